@@ -6,18 +6,34 @@
  * - Notification-based progress when popup is closed
  * - Filename extraction from Content-Disposition / URL
  * - Fetch-based download via offscreen document
+ * - User settings (output container, variant preference) passed to offscreen jobs
+ * - MPEG-DASH manifests detected by URL (.mpd) and Content-Type (application/dash+xml)
+ * - Extension-less media detected by Content-Type / Content-Disposition; MIME type and size recorded per entry
+ * - Live HLS record mode (max duration from settings)
+ * - HLS time-range clips (start / end from the popup card)
+ * - Disk-staged offscreen files released once their browser download ends
+ * - Resumable HLS / DASH / ranged direct job records (chrome.storage.local), marked interrupted when the offscreen document is gone
+ * - Download queue: shared connection budget, pause / continue / cancel, reorderable priority
+ * - Bandwidth cap setting passed to offscreen jobs (and to running ones when changed)
+ * - Strict integrity setting (no file with gaps); "save anyway" resume lifts it per job
+ * - Media detected in every tab (not just the active one), with a per-tab badge and a cross-tab list
+ * - Detection store kept in chrome.storage.session per tab (bounded), restored when the worker wakes
+ * - Direct MP4 / WebM files probed on detection (media-probe.js): duration, codecs, resolution, moov position
+ * - HLS playlists fetched on detection and summarized: variants, duration / LIVE, segments, encryption, estimated size
+ * - Page Referer / Origin set per media host (session rules) for probes and offscreen downloads
  */
 
+importScripts('hls-playlist.js', 'media-probe.js');
+
 // ---- State ----
 let store = {};
 let contentMediaCache = {};
-let activeTabId = null;
-const recentUrls = new Map(); // url -> timestamp (proper per-URL throttle)
+const recentUrls = new Map(); // 'tabId url' -> timestamp (proper per-URL throttle)
 const THROTTLE_MS = 1000;
 const RECENT_URLS_MAX = 200;
 
 // Active download tracking
-const activeDownloads = new Map(); // downloadId -> { url, tabId, progress, status, filename }
+const activeDownloads = new Map(); // downloadId -> { url, tabId, progress, status, filename, stagedFile }
 
 // ---- Site Exclusion ----
 function isExcluded(url) {
@@ -31,9 +47,53 @@ function ensureMediaExtension(filename) {
   return filename.replace(/\.[^.]+$/, '.mp4');
 }
 
+// ---- Detection Store Persistence ----
+// chrome.storage.session outlives the service worker (not the browser); one key per tab,
+// so a wake-up restores every tab's list before anything reads or changes it
+const MAX_MEDIA_PER_TAB = 100;
+const TAB_MEDIA_PREFIX = 'tabMedia:';
+
+const storeReady = Promise.all([chrome.storage.session.get(null), chrome.tabs.query({})])
+  .then(([saved, tabs]) => {
+    const openTabs = new Set(tabs.map(tab => tab.id));
+    for (const [key, value] of Object.entries(saved)) {
+      if (!key.startsWith(TAB_MEDIA_PREFIX)) continue;
+      const tabId = Number(key.slice(TAB_MEDIA_PREFIX.length));
+      // Closed while the worker was asleep
+      if (!openTabs.has(tabId)) {
+        forgetTabMedia(tabId);
+        continue;
+      }
+      store[tabId] = value.media;
+      contentMediaCache[tabId] = value.content;
+      // The worker stopped mid-probe: start those again
+      value.media.forEach(entry => {
+        if (entry.probe && entry.probe.status === 'pending') {
+          entry.probe = null;
+          scheduleProbe(tabId, entry);
+        }
+      });
+    }
+  })
+  .catch(() => { });
+
+function saveTabMedia(tabId) {
+  chrome.storage.session.set({
+    [TAB_MEDIA_PREFIX + tabId]: { media: store[tabId] || [], content: contentMediaCache[tabId] || [] }
+  }).catch(() => { });
+}
+
+function forgetTabMedia(tabId) {
+  chrome.storage.session.remove(TAB_MEDIA_PREFIX + tabId).catch(() => { });
+}
+
 // ---- Media Storage with Priority ----
+// Every tab records its own media, whether or not it is the one being looked at
 function addMediaWithPriority(tabId, mediaList, source) {
-  if (tabId !== activeTabId) return;
+  storeReady.then(() => mergeMedia(tabId, mediaList, source));
+}
+
+function mergeMedia(tabId, mediaList, source) {
   if (!store[tabId]) store[tabId] = [];
 
   let changed = false;
@@ -46,23 +106,40 @@ function addMediaWithPriority(tabId, mediaList, source) {
         existing.priority = item.priority;
         changed = true;
       }
+      // Header detection fills these in for entries first seen by URL, and knows
+      // what an extension-less <video src> the content script reported really is
+      if ((item.mime && !existing.mime) || (item.size && !existing.size)) {
+        existing.mime = existing.mime || item.mime;
+        existing.size = existing.size || item.size;
+        if (item.mime && ['Media', 'Unknown'].includes(existing.type)) existing.type = item.type;
+        scheduleProbe(tabId, existing);
+        changed = true;
+      }
       existing.source = source;
     } else {
-      store[tabId].push({
+      const entry = {
         url: item.url,
         type: item.type || 'Unknown',
         priority: item.priority || 0,
         source,
         width: item.width,
         height: item.height,
+        mime: item.mime || null,
+        size: item.size || null,
+        probe: null,
         timestamp: Date.now()
-      });
+      };
+      store[tabId].push(entry);
+      scheduleProbe(tabId, entry);
       changed = true;
     }
   });
 
   if (changed) {
     store[tabId].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    // Lowest priority first out
+    if (store[tabId].length > MAX_MEDIA_PER_TAB) store[tabId].length = MAX_MEDIA_PER_TAB;
+    saveTabMedia(tabId);
     chrome.action.setBadgeText({
       text: store[tabId].length.toString(),
       tabId
@@ -71,18 +148,28 @@ function addMediaWithPriority(tabId, mediaList, source) {
   }
 }
 
+// Tabs with detected media, most recent detection first (popup's "All tabs" list)
+async function getAllMedia() {
+  await storeReady;
+  const tabIds = Object.keys(store).map(Number).filter(tabId => store[tabId].length);
+  const tabs = await Promise.all(tabIds.map(tabId => chrome.tabs.get(tabId).catch(() => null)));
+  return tabs
+    .filter(Boolean)
+    .map(tab => ({ tabId: tab.id, windowId: tab.windowId, title: tab.title, pageUrl: tab.url, media: store[tab.id] }))
+    .sort((a, b) => Math.max(...b.media.map(m => m.timestamp)) - Math.max(...a.media.map(m => m.timestamp)));
+}
+
 // ---- Throttle cleanup ----
 function cleanRecentUrls() {
   if (recentUrls.size <= RECENT_URLS_MAX) return;
   const now = Date.now();
-  for (const [url, time] of recentUrls) {
-    if (now - time > THROTTLE_MS * 2) recentUrls.delete(url);
+  for (const [key, time] of recentUrls) {
+    if (now - time > THROTTLE_MS * 2) recentUrls.delete(key);
   }
 }
 
-// ---- Active Tab Tracking ----
+// ---- Tab Activation ----
 chrome.tabs.onActivated.addListener(({ tabId }) => {
-  activeTabId = tabId;
   chrome.tabs.get(tabId, (tab) => {
     if (chrome.runtime.lastError) return;
     if (tab && isExcluded(tab.url)) {
@@ -93,7 +180,7 @@ chrome.tabs.onActivated.addListener(({ tabId }) => {
 
 // ---- Tab Update ----
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (tabId === activeTabId && changeInfo.url) {
+  if (changeInfo.url) {
     if (isExcluded(changeInfo.url)) {
       chrome.action.setBadgeText({ text: '', tabId }).catch(() => { });
     }
@@ -102,30 +189,82 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 // ---- Tab Removed: cleanup ----
 chrome.tabs.onRemoved.addListener((tabId) => {
-  delete store[tabId];
-  delete contentMediaCache[tabId];
+  storeReady.then(() => {
+    delete store[tabId];
+    delete contentMediaCache[tabId];
+    forgetTabMedia(tabId);
+  });
 });
 
-// ---- Navigation: clear store & set headers ----
+// ---- Navigation: clear store ----
 chrome.webNavigation.onBeforeNavigate.addListener((d) => {
   if (d.frameId !== 0) return;
 
-  store[d.tabId] = [];
-  contentMediaCache[d.tabId] = [];
+  storeReady.then(() => {
+    store[d.tabId] = [];
+    contentMediaCache[d.tabId] = [];
+    forgetTabMedia(d.tabId);
+  });
+  chrome.action.setBadgeText({ text: '', tabId: d.tabId }).catch(() => { });
+});
+
+// ---- Request Headers ----
+// Probes from this worker and downloads in the offscreen document belong to no tab, so the
+// browser sends no page Referer / Origin with them. One session rule per media host sets the
+// origin of the page the media was found on; only tab-less requests match, so pages' own
+// requests are left alone. A host shared by two sites follows whichever asked last.
+const MAX_HEADER_RULES = 200;
+const hostRules = new Map(); // host -> { id, origin }, oldest first
+let nextHeaderRuleId = 1;
 
-  chrome.tabs.get(d.tabId, (tab) => {
-    if (chrome.runtime.lastError) return;
-    if (tab && isExcluded(tab.url)) {
-      chrome.action.setBadgeText({ text: '', tabId: d.tabId }).catch(() => { });
+const headerRulesReady = chrome.declarativeNetRequest.getSessionRules()
+  .then((rules) => {
+    for (const rule of rules) {
+      const host = rule.condition.requestDomains && rule.condition.requestDomains[0];
+      const origin = rule.action.requestHeaders && rule.action.requestHeaders.find(h => h.header === 'origin');
+      if (host && origin) hostRules.set(host, { id: rule.id, origin: origin.value });
+      nextHeaderRuleId = Math.max(nextHeaderRuleId, rule.id + 1);
     }
-  });
+  })
+  .catch(() => { });
+let headerRuleWrites = headerRulesReady;
+
+// Older versions set one global rule (id 1) on every navigation
+chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [1] }).catch(() => { });
 
+function pageOrigin(pageUrl) {
   try {
-    const origin = new URL(d.url).origin;
-    chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: [1],
-      addRules: [{
-        id: 1,
+    const origin = new URL(pageUrl).origin;
+    return /^https?:/.test(origin) ? origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Resolves once requests to every host in `urls` carry pageUrl's origin
+function setRequestOrigin(urls, pageUrl) {
+  const origin = pageOrigin(pageUrl);
+  if (!origin || isExcluded(pageUrl)) return headerRuleWrites;
+
+  headerRuleWrites = headerRuleWrites.then(() => {
+    const hosts = new Set();
+    for (const url of urls) {
+      try {
+        const { protocol, hostname } = new URL(url);
+        if (/^https?:$/.test(protocol)) hosts.add(hostname);
+      } catch (e) { /* not a URL */ }
+    }
+    const removeRuleIds = [];
+    const addRules = [];
+    for (const host of hosts) {
+      const existing = hostRules.get(host);
+      if (existing && existing.origin === origin) continue;
+      if (existing) removeRuleIds.push(existing.id);
+      hostRules.delete(host);
+      const id = nextHeaderRuleId++;
+      hostRules.set(host, { id, origin });
+      addRules.push({
+        id,
         priority: 1,
         action: {
           type: 'modifyHeaders',
@@ -135,26 +274,48 @@ chrome.webNavigation.onBeforeNavigate.addListener((d) => {
           ]
         },
         condition: {
-          urlFilter: '*',
-          excludedInitiatorDomains: ['youtube.com', 'x.com', 'twitter.com'],
+          requestDomains: [host],
+          tabIds: [chrome.tabs.TAB_ID_NONE],
           resourceTypes: ['xmlhttprequest', 'media', 'other']
         }
-      }]
-    }).catch(() => { });
-  } catch (e) { /* invalid URL */ }
-});
+      });
+    }
+    while (hostRules.size > MAX_HEADER_RULES) {
+      const [host, { id }] = hostRules.entries().next().value;
+      hostRules.delete(host);
+      removeRuleIds.push(id);
+    }
+    if (!addRules.length && !removeRuleIds.length) return;
+    return chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds, addRules });
+  }).catch(() => { });
+  return headerRuleWrites;
+}
 
 // ---- Network Request Monitoring ----
+function networkPriority(url, type) {
+  let priority = 10;
+
+  if (/master/i.test(url)) priority += 30;
+  else if (type === 'HLS' || type === 'DASH') priority += 20;
+
+  if (/1080|1920/i.test(url)) priority += 15;
+  else if (/720/i.test(url)) priority += 10;
+  else if (/480/i.test(url)) priority += 5;
+
+  return priority;
+}
+
 chrome.webRequest.onBeforeRequest.addListener(
   (d) => {
-    if (d.tabId !== activeTabId || d.tabId < 0) return;
+    if (d.tabId < 0) return;
 
     const url = d.url;
 
-    // Per-URL throttle
+    // Per-URL throttle, per tab so two tabs playing the same stream both record it
     const now = Date.now();
-    if (recentUrls.has(url) && now - recentUrls.get(url) < THROTTLE_MS) return;
-    recentUrls.set(url, now);
+    const key = `${d.tabId} ${url}`;
+    if (recentUrls.has(key) && now - recentUrls.get(key) < THROTTLE_MS) return;
+    recentUrls.set(key, now);
     cleanRecentUrls();
 
     chrome.tabs.get(d.tabId, (tab) => {
@@ -163,25 +324,17 @@ chrome.webRequest.onBeforeRequest.addListener(
       // Skip segment files
       if (/\.(ts|m4s)(\?|$|&)/i.test(url)) return;
 
-      // Detect HLS / MP4 / WebM
-      if (/\.(m3u8|mp4|webm)(\?|$|&|#)/i.test(url)) {
-        let priority = 10;
-
-        if (/master/i.test(url)) priority += 30;
-        else if (url.includes('.m3u8')) priority += 20;
-
-        if (/1080|1920/i.test(url)) priority += 15;
-        else if (/720/i.test(url)) priority += 10;
-        else if (/480/i.test(url)) priority += 5;
-
+      // Detect HLS / DASH / MP4 / WebM
+      if (/\.(m3u8|mpd|mp4|webm)(\?|$|&|#)/i.test(url)) {
         let type = 'MP4';
         if (url.includes('.m3u8')) type = 'HLS';
+        else if (url.includes('.mpd')) type = 'DASH';
         else if (url.includes('.webm')) type = 'WebM';
 
         addMediaWithPriority(d.tabId, [{
           url,
           type,
-          priority
+          priority: networkPriority(url, type)
         }], 'network');
       }
     });
@@ -189,11 +342,179 @@ chrome.webRequest.onBeforeRequest.addListener(
   { urls: ['<all_urls>'] }
 );
 
+// ---- Response Header Detection ----
+// Extension-less endpoints (/playlist?id=..., /video/stream) are only recognisable by their
+// headers; URLs matched above also get their MIME type and size recorded here
+const MIME_MEDIA_TYPES = [
+  [/^(application|audio)\/(vnd\.apple\.mpegurl|x-mpegurl|mpegurl)$/, 'HLS'],
+  [/^application\/dash\+xml$/, 'DASH'],
+  [/^video\/mp4$/, 'MP4'],
+  [/^video\/webm$/, 'WebM'],
+  [/^(video|audio)\//, 'Media']
+];
+const SEGMENT_MIME_TYPES = ['video/mp2t', 'video/iso.segment'];
+const DISPOSITION_MEDIA_TYPES = { m3u8: 'HLS', mpd: 'DASH', mp4: 'MP4', webm: 'WebM', mkv: 'Media', avi: 'Media', flv: 'Media' };
+
+function responseHeader(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name);
+  return header ? header.value || '' : '';
+}
+
+// { type, mime, size } for a media response, or null
+function classifyResponse(d) {
+  const mime = responseHeader(d.responseHeaders, 'content-type').split(';')[0].trim().toLowerCase();
+  if (SEGMENT_MIME_TYPES.includes(mime)) return null;
+
+  let type = null;
+  const match = MIME_MEDIA_TYPES.find(([pattern]) => pattern.test(mime));
+  if (match) type = match[1];
+
+  // application/octet-stream downloads named by Content-Disposition
+  const disposition = responseHeader(d.responseHeaders, 'content-disposition');
+  if (!type && disposition) {
+    const filename = extractFilename('', disposition) || '';
+    type = DISPOSITION_MEDIA_TYPES[filename.split('.').pop().toLowerCase()] || null;
+  }
+  if (!type) return null;
+
+  // Audio / video bodies fetched by a script are MSE segments, not whole files
+  const isManifest = type === 'HLS' || type === 'DASH';
+  if (!isManifest && (d.type === 'xmlhttprequest' || /\.(ts|m4s)(\?|$|&)/i.test(d.url))) return null;
+
+  // 206 responses carry the full size after the slash of Content-Range
+  const range = responseHeader(d.responseHeaders, 'content-range').match(/\/(\d+)\s*$/);
+  const length = parseInt(responseHeader(d.responseHeaders, 'content-length'), 10);
+  const size = range ? parseInt(range[1], 10) : (d.statusCode === 200 && length > 0 ? length : null);
+
+  return { type, mime: mime || null, size };
+}
+
+chrome.webRequest.onHeadersReceived.addListener(
+  (d) => {
+    if (d.tabId < 0) return;
+
+    const media = classifyResponse(d);
+    if (!media) return;
+
+    chrome.tabs.get(d.tabId, (tab) => {
+      if (chrome.runtime.lastError || !tab || isExcluded(tab.url)) return;
+      addMediaWithPriority(d.tabId, [{
+        url: d.url,
+        type: media.type,
+        priority: networkPriority(d.url, media.type),
+        mime: media.mime,
+        size: media.size
+      }], 'network');
+    });
+  },
+  { urls: ['<all_urls>'] },
+  ['responseHeaders']
+);
+
+// ---- Metadata Probe ----
+// A couple of requests per direct file or playlist, so the popup can tell which one is worth
+// downloading; entry.probe is { status: 'pending' | 'done' | 'failed', ...MediaProbe | HLS summary | error }
+const PROBE_CONCURRENCY = 2;
+const probeQueue = []; // [tabId, entry]
+let probesRunning = 0;
+
+function isProbeable(entry) {
+  if (!/^https?:/i.test(entry.url)) return false;
+  return ['MP4', 'WebM', 'HLS'].includes(entry.type) || /^video\/(mp4|webm)$/.test(entry.mime || '');
+}
+
+function scheduleProbe(tabId, entry) {
+  if (entry.probe || !isProbeable(entry)) return;
+  entry.probe = { status: 'pending' };
+  probeQueue.push([tabId, entry]);
+  runProbes();
+}
+
+function runProbes() {
+  while (probesRunning < PROBE_CONCURRENCY && probeQueue.length) {
+    const [tabId, entry] = probeQueue.shift();
+    // Navigated away, closed or pushed out of the list while waiting
+    if (!store[tabId] || !store[tabId].includes(entry)) continue;
+
+    probesRunning++;
+    chrome.tabs.get(tabId)
+      .then(tab => (entry.type === 'HLS'
+        ? summarizeHls(entry.url, tab.url)
+        : setRequestOrigin([entry.url], tab.url).then(() => probeMedia(entry.url))))
+      .then((result) => { entry.probe = { status: 'done', ...result }; })
+      .catch((e) => { entry.probe = { status: 'failed', error: e.message }; })
+      .finally(() => {
+        probesRunning--;
+        if (store[tabId] && store[tabId].includes(entry)) saveTabMedia(tabId);
+        runProbes();
+      });
+  }
+}
+
+// ---- Playlist Summary ----
+async function fetchPlaylist(url, pageUrl) {
+  await setRequestOrigin([url], pageUrl);
+  const res = await fetch(url, { signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return parseM3u8(await res.text(), url);
+}
+
+// { container: 'HLS', isMaster, variants, topResolution, live, duration, segments, encryption,
+// segmentFormat, estimatedSize, separateAudio }. A master playlist is described by the variant
+// a download would pick (settings' variant preference), so duration and size match what would
+// be saved. pageUrl: the tab the playlist was found in (request headers)
+async function summarizeHls(url, pageUrl) {
+  const playlist = await fetchPlaylist(url, pageUrl);
+  let media = playlist;
+  let variant = null;
+  if (playlist.isMaster) {
+    variant = selectVariant(playlist.variants, (await getSettings()).variantPreference);
+    if (!variant) throw new Error('Master playlist without variants');
+    media = await fetchPlaylist(variant.url, pageUrl);
+  }
+
+  const sized = playlist.variants.filter(v => v.resolution);
+  const topResolution = sized.length
+    ? sized.reduce((top, v) => (v.resolution.width * v.resolution.height > top.width * top.height ? v.resolution : top), sized[0].resolution)
+    : null;
+  // AVERAGE-BANDWIDTH when given; BANDWIDTH is the peak and overestimates
+  const bandwidth = variant ? variant.averageBandwidth || variant.bandwidth : null;
+  // Alternate audio has no bandwidth of its own in the master, and many servers leave it out
+  // of the variant's: the estimate then only covers the video
+  const separateAudio = !!variant && defaultRendition(variantRenditions(playlist, variant, 'AUDIO')) !== null;
+  return {
+    container: 'HLS',
+    isMaster: playlist.isMaster,
+    variants: playlist.variants.length,
+    topResolution,
+    live: !media.endList,
+    duration: media.endList ? media.totalDuration : null,
+    segments: media.segments.length,
+    encryption: [...new Set(media.segments.flatMap(s => s.keys.map(key => key.method)))],
+    segmentFormat: media.segments.some(s => s.map) ? 'fMP4' : 'TS',
+    estimatedSize: bandwidth && media.endList ? Math.round((bandwidth * media.totalDuration) / 8) : null,
+    separateAudio
+  };
+}
+
 // ---- Offscreen Document Management ----
-async function ensureOffscreen() {
+// One creation at a time: jobs dispatched together all wait for the same document,
+// which has its message listener registered once createDocument resolves
+let offscreenCreating = null;
+
+function ensureOffscreen() {
+  if (!offscreenCreating) {
+    offscreenCreating = createOffscreen().finally(() => { offscreenCreating = null; });
+  }
+  return offscreenCreating;
+}
+
+async function createOffscreen() {
   try {
     const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
     if (contexts.length === 0) {
+      // A new document: whatever the queue had running in the old one is gone
+      await markQueueInterrupted();
       await chrome.offscreen.createDocument({
         url: 'offscreen.html',
         reasons: ['BLOBS'],
@@ -206,11 +527,28 @@ async function ensureOffscreen() {
 }
 
 // ---- Filename Extraction ----
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text; // a literal '%' (e.g. "clip 50%.mp4")
+  }
+}
+
+// filename*=charset'lang'percent-encoded (RFC 6266) wins over plain filename=, which is taken as is
+function dispositionFilename(header) {
+  const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;\s]+)/i);
+  if (extended) return safeDecode(extended[2]).trim() || null;
+  const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;\s]+))/i);
+  if (plain) return (plain[1] ?? plain[2]).trim() || null;
+  return null;
+}
+
 function extractFilename(url, contentDisposition) {
   // Try Content-Disposition first
   if (contentDisposition) {
-    const match = contentDisposition.match(/filename\*?=(?:UTF-8'')?["']?([^"';\n]+)/i);
-    if (match) return decodeURIComponent(match[1].trim());
+    const name = dispositionFilename(contentDisposition);
+    if (name) return name;
   }
 
   // Extract from URL path
@@ -220,7 +558,7 @@ function extractFilename(url, contentDisposition) {
     if (segments.length > 0) {
       const last = segments[segments.length - 1];
       // Remove query-like suffixes and decode
-      const clean = decodeURIComponent(last.split('?')[0].split('#')[0]);
+      const clean = safeDecode(last.split('?')[0].split('#')[0]);
       if (/\.(mp4|webm|m3u8|mkv|avi|flv)$/i.test(clean)) {
         return clean;
       }
@@ -246,13 +584,37 @@ chrome.alarms.create('keepAlive', { periodInMinutes: 0.4 }); // Every 24 seconds
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'keepAlive') {
     // Keep service worker alive during active downloads
-    if (activeDownloads.size > 0) {
+    if (activeDownloads.size > 0 || downloadQueue.some(entry => entry.state === 'running')) {
       // Touch storage to prevent idle
       chrome.storage.local.get('_keepAlive', () => { });
     }
   }
 });
 
+// ---- Settings ----
+const DEFAULT_SETTINGS = {
+  outputFormat: 'mp4', // 'mp4' (progressive) | 'fmp4' (fragmented) | 'ts' (keep MPEG-TS)
+  variantPreference: DEFAULT_VARIANT_PREFERENCE, // hls-playlist.js
+  maxRecordMinutes: 60, // live HLS recording limit, 0 = until stopped
+  maxBytesPerSecond: 0, // bandwidth cap shared by all offscreen downloads, 0 = unlimited
+  strictIntegrity: false // true: never save a file with failed segments; the job stays resumable
+};
+
+async function getSettings() {
+  try {
+    const { settings = {} } = await chrome.storage.local.get('settings');
+    return { ...DEFAULT_SETTINGS, ...settings };
+  } catch (e) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+async function saveSettings(patch) {
+  const settings = { ...(await getSettings()), ...patch };
+  await chrome.storage.local.set({ settings });
+  return settings;
+}
+
 // ---- Notification Helper ----
 function showNotification(title, message) {
   chrome.notifications.create({
@@ -266,9 +628,13 @@ function showNotification(title, message) {
 // ---- Message Handler ----
 chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
   if (m.action === 'getMedia') {
-    const media = store[m.tabId] || [];
-    sendResponse({ media });
-    return false;
+    storeReady.then(() => sendResponse({ media: store[m.tabId] || [] }));
+    return true;
+  }
+
+  if (m.action === 'getAllMedia') {
+    getAllMedia().then(tabs => sendResponse({ tabs }));
+    return true;
   }
 
   if (m.action === 'contentMediaFound') {
@@ -284,46 +650,55 @@ chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
 
   if (m.action === 'startHlsDownload') {
     (async () => {
-      await ensureOffscreen();
-      let pageUrl = '';
-      try {
-        const tab = await chrome.tabs.get(m.tabId);
-        pageUrl = tab.url;
-      } catch (e) { /* ignore */ }
-
-      chrome.runtime.sendMessage({
-        action: 'executeUltimateDownload',
+      const settings = await getSettings();
+      enqueueDownload({
+        kind: 'hls',
         url: m.url,
         tabId: m.tabId,
-        pageUrl
+        live: !!m.record,
+        options: {
+          outputFormat: settings.outputFormat,
+          variantPreference: settings.variantPreference,
+          variantUrl: m.variantUrl || null,
+          audioUrl: m.audioUrl,
+          subtitleUrl: m.subtitleUrl,
+          record: !!m.record,
+          maxRecordSeconds: settings.maxRecordMinutes * 60,
+          clip: m.clip || null
+        }
       });
     })();
     return true;
   }
 
-  if (m.action === 'startDirectDownload') {
+  if (m.action === 'startDashDownload') {
     (async () => {
-      try {
-        let pageUrl = '';
-        try {
-          const tab = await chrome.tabs.get(m.tabId);
-          pageUrl = tab.url;
-        } catch (e) { /* ignore */ }
-
-        const urlFilename = extractFilename(m.url);
-        let filename = urlFilename || `direct_${Date.now()}.mp4`;
-        filename = ensureMediaExtension(filename);
-
-        // Use fetch-based download via offscreen document
-        // This ensures declarativeNetRequest rules inject proper headers
-        fetchBasedDownload(m.url, filename, m.tabId, pageUrl);
-      } catch (e) {
-        console.error('Direct download error:', e);
-      }
+      const settings = await getSettings();
+      enqueueDownload({
+        kind: 'dash',
+        url: m.url,
+        tabId: m.tabId,
+        options: {
+          outputFormat: settings.outputFormat,
+          variantPreference: settings.variantPreference,
+          videoKey: m.videoKey || null,
+          audioKey: m.audioKey
+        }
+      });
     })();
     return true;
   }
 
+  if (m.action === 'startDirectDownload') {
+    const urlFilename = extractFilename(m.url);
+    let filename = urlFilename || `direct_${Date.now()}.mp4`;
+    filename = ensureMediaExtension(filename);
+
+    // Fetched in the offscreen document; dispatchJob sets the page's Referer / Origin for the host
+    enqueueDownload({ kind: 'direct', url: m.url, tabId: m.tabId, filename });
+    return false;
+  }
+
   if (m.action === 'downloadCombinedBlob') {
     const filename = m.filename || `capture_${Date.now()}.mp4`;
     chrome.downloads.download({
@@ -333,11 +708,13 @@ chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
     }, (downloadId) => {
       if (chrome.runtime.lastError) {
         console.error('Blob download failed:', chrome.runtime.lastError.message);
+        releaseStagedFile(m.stagedFile);
       } else {
         activeDownloads.set(downloadId, {
           url: m.blobUrl,
           tabId: m.tabId,
           filename,
+          stagedFile: m.stagedFile,
           status: 'downloading'
         });
       }
@@ -356,6 +733,7 @@ chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
     if (m.msg && m.msg.startsWith('Error')) {
       showNotification('Download Failed', m.msg);
     }
+    if (m.jobId) updateQueueProgress(m.jobId, m.msg, m.prog);
     return false;
   }
 
@@ -366,6 +744,131 @@ chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
     return true;
   }
 
+  if (m.action === 'getSettings') {
+    getSettings().then(settings => sendResponse({ settings }));
+    return true;
+  }
+
+  if (m.action === 'saveSettings') {
+    saveSettings(m.settings || {}).then((settings) => {
+      // Running downloads pick up a new cap straight away (no offscreen document, nothing to do)
+      if (m.settings && m.settings.maxBytesPerSecond !== undefined) {
+        chrome.runtime.sendMessage({ action: 'setBandwidthLimit', maxBytesPerSecond: settings.maxBytesPerSecond }).catch(() => { });
+      }
+      sendResponse({ settings });
+    });
+    return true;
+  }
+
+  if (m.action === 'saveJob') {
+    updateJobs(jobs => { jobs[m.job.id] = m.job; });
+    return false;
+  }
+
+  if (m.action === 'updateJob') {
+    updateJobs(jobs => {
+      if (jobs[m.id]) Object.assign(jobs[m.id], m.patch);
+    });
+    return false;
+  }
+
+  if (m.action === 'finishJob') {
+    updateJobs(jobs => { delete jobs[m.id]; });
+    return false;
+  }
+
+  if (m.action === 'offscreenStarted') {
+    // No list (storage failed) means the offscreen document keeps everything staged
+    markJobsInterrupted().then(jobs => sendResponse(jobs ? { jobIds: Object.keys(jobs) } : null));
+    return true;
+  }
+
+  if (m.action === 'setRequestOrigin') {
+    // Hosts the offscreen document found in a playlist / manifest (variants, segments, keys)
+    setRequestOrigin(m.urls || [], m.pageUrl).then(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (m.action === 'getJobs') {
+    jobWrites.then(getJobs).then(jobs => sendResponse({ jobs: Object.values(jobs) }));
+    return true;
+  }
+
+  if (m.action === 'resumeDownload') {
+    (async () => {
+      let job = null;
+      await updateJobs(jobs => {
+        job = jobs[m.jobId];
+        // A second click while the job is already running is ignored
+        if (job && job.status === 'interrupted') job.status = 'downloading';
+        else job = null;
+      });
+      if (!job) return;
+      enqueueDownload({ id: job.id, kind: job.kind || 'hls', url: job.url, tabId: m.tabId, resume: true, allowGaps: !!m.allowGaps });
+    })();
+    return true;
+  }
+
+  if (m.action === 'discardJob') {
+    (async () => {
+      await updateJobs(jobs => { delete jobs[m.jobId]; });
+      await ensureOffscreen();
+      chrome.runtime.sendMessage({ action: 'discardJob', jobId: m.jobId });
+    })();
+    return true;
+  }
+
+  if (m.action === 'getDownloadQueue') {
+    queueReady.then(() => sendResponse({ queue: downloadQueue }));
+    return true;
+  }
+
+  if (m.action === 'pauseDownload') {
+    queueReady.then(() => {
+      pauseDownload(m.id);
+      sendResponse({ queue: downloadQueue });
+    });
+    return true;
+  }
+
+  if (m.action === 'continueDownload') {
+    queueReady.then(() => {
+      continueDownload(m.id);
+      sendResponse({ queue: downloadQueue });
+    });
+    return true;
+  }
+
+  if (m.action === 'cancelDownload') {
+    queueReady.then(() => {
+      cancelDownload(m.id);
+      sendResponse({ queue: downloadQueue });
+    });
+    return true;
+  }
+
+  if (m.action === 'moveDownload') {
+    queueReady.then(() => {
+      moveDownload(m.id, m.delta);
+      sendResponse({ queue: downloadQueue });
+    });
+    return true;
+  }
+
+  if (m.action === 'releaseConnections') {
+    queueReady.then(() => releaseConnections(m.jobId, m.connections));
+    return false;
+  }
+
+  if (m.action === 'clearFinishedDownloads') {
+    queueReady.then(() => {
+      downloadQueue = downloadQueue.filter(entry => !FINISHED_STATES.includes(entry.state));
+      saveQueue();
+      sendResponse({ queue: downloadQueue });
+    });
+    return true;
+  }
+
   if (m.action === 'getActiveDownloads') {
     sendResponse({ downloads: Array.from(activeDownloads.entries()) });
     return false;
@@ -374,25 +877,268 @@ chrome.runtime.onMessage.addListener((m, sender, sendResponse) => {
   return true;
 });
 
-// ---- Fetch-based Download ----
-// Downloads via offscreen document where declarativeNetRequest rules apply
-async function fetchBasedDownload(url, filename, tabId, pageUrl) {
+// ---- Download Queue ----
+// Every offscreen job goes through this queue. Jobs start in queue order while
+// the connection budget allows; a paused job gives its connections back.
+const CONNECTION_BUDGET = 16;
+const JOB_CONNECTIONS = 8;
+const FINISHED_STATES = ['complete', 'failed', 'cancelled'];
+
+// { id, kind: 'hls'|'dash'|'direct', url, tabId, pageUrl, label, options, filename,
+//   live, resume, state, started, connections, progress, message, createdAt }
+let downloadQueue = [];
+let queueCount = 0;
+
+const queueReady = chrome.storage.local.get('downloadQueue').then(({ downloadQueue: saved = [] }) => {
+  downloadQueue = saved.concat(downloadQueue);
+}).catch(() => { });
+
+function saveQueue() {
+  chrome.storage.local.set({ downloadQueue }).catch(() => { });
+}
+
+function findQueueEntry(id) {
+  return downloadQueue.find(entry => entry.id === id);
+}
+
+// Shown on the media card while the job waits for a free slot
+function reportQueued(entry) {
+  chrome.runtime.sendMessage({
+    action: 'downloadProgress',
+    tabId: entry.tabId,
+    url: entry.url,
+    jobId: entry.id,
+    msg: entry.message,
+    prog: null
+  }).catch(() => { });
+}
+
+async function enqueueDownload(job) {
+  await queueReady;
+  let pageUrl = '';
+  let label = job.filename || extractFilename(job.url) || job.url;
   try {
-    await ensureOffscreen();
-    chrome.runtime.sendMessage({
-      action: 'executeFetchDownload',
-      url,
-      filename,
-      tabId,
-      pageUrl
-    });
-  } catch (e) {
-    console.error('Fetch-based download failed:', e);
+    const tab = await chrome.tabs.get(job.tabId);
+    pageUrl = tab.url;
+    if (job.kind !== 'direct' && tab.title) label = tab.title;
+  } catch (e) { /* ignore */ }
+
+  // A resumed job keeps its entry (and place in the queue)
+  let entry = job.id && findQueueEntry(job.id);
+  if (!entry) {
+    entry = { id: job.id || `dl_${Date.now().toString(36)}_${++queueCount}`, createdAt: Date.now() };
+    downloadQueue.push(entry);
+  }
+  Object.assign(entry, job, {
+    pageUrl,
+    label: entry.label || label,
+    state: 'queued',
+    started: false,
+    progress: null,
+    message: 'Queued'
+  });
+
+  scheduleQueue();
+  if (entry.state === 'queued') {
+    entry.message = 'Queued - waiting for a free connection';
+    reportQueued(entry);
+  }
+  saveQueue();
+}
+
+// Start (or continue) queued jobs in order until the budget runs out
+function scheduleQueue() {
+  let available = CONNECTION_BUDGET;
+  for (const entry of downloadQueue) {
+    if (entry.state === 'running') available -= entry.connections;
+  }
+
+  for (const entry of downloadQueue) {
+    if (entry.state !== 'queued') continue;
+    // Once the budget is spent everything further down waits, except live
+    // recordings: the stream moves on without them
+    if (available < 1 && !entry.live) continue;
+    // A paused job continues with the connections it started with
+    if (entry.started && entry.connections > available) {
+      available = 0;
+      continue;
+    }
+
+    entry.state = 'running';
+    if (entry.started) {
+      chrome.runtime.sendMessage({ action: 'continueJob', jobId: entry.id }).catch(() => { });
+    } else {
+      // Direct files use them too when the server supports ranges, else they give them back
+      entry.connections = Math.max(Math.min(JOB_CONNECTIONS, available), 1);
+      dispatchJob(entry);
+    }
+    available -= entry.connections;
+  }
+  saveQueue();
+}
+
+async function dispatchJob(entry) {
+  const settings = await getSettings();
+  const limits = {
+    connections: entry.connections,
+    maxBytesPerSecond: settings.maxBytesPerSecond,
+    // "Save anyway" on an incomplete job lifts strict mode for that run
+    strictIntegrity: settings.strictIntegrity && !entry.allowGaps
+  };
+  const options = { ...entry.options, jobId: entry.id, ...limits };
+  let message;
+
+  if (entry.resume) {
+    const job = (await getJobs())[entry.id];
+    if (!job) {
+      finishQueueEntry(entry, 'failed', 'Error: Job record not found');
+      return;
+    }
+    await setRequestOrigin([job.url], job.pageUrl);
+    const action = { dash: 'resumeDashDownload', direct: 'resumeFetchDownload' }[job.kind] || 'resumeHlsDownload';
+    message = { action, job: { ...job, options: { ...job.options, ...limits } } };
+  } else if (entry.kind === 'hls') {
+    message = { action: 'executeUltimateDownload', url: entry.url, pageUrl: entry.pageUrl, options };
+  } else if (entry.kind === 'dash') {
+    message = { action: 'executeDashDownload', url: entry.url, pageUrl: entry.pageUrl, options };
+  } else {
+    message = { action: 'executeFetchDownload', url: entry.url, filename: entry.filename, pageUrl: entry.pageUrl, options };
+  }
+  if (!entry.resume) await setRequestOrigin([entry.url], entry.pageUrl);
+
+  await ensureOffscreen();
+  // Cancelled while the offscreen document was starting
+  if (entry.state !== 'running') return;
+  entry.started = true;
+  saveQueue();
+  chrome.runtime.sendMessage({ ...message, tabId: entry.tabId }).catch((e) => {
+    console.error('Offscreen dispatch failed:', e);
     showNotification('Download Failed', `Could not download: ${e.message}`);
+    finishQueueEntry(entry, 'failed', 'Error: ' + e.message);
+  });
+}
+
+function finishQueueEntry(entry, state, message) {
+  entry.state = state;
+  entry.message = message;
+  scheduleQueue();
+}
+
+function updateQueueProgress(id, msg, prog) {
+  const entry = findQueueEntry(id);
+  if (!entry || FINISHED_STATES.includes(entry.state)) return;
+  if (prog !== null && prog !== undefined) entry.progress = prog;
+
+  if (msg.startsWith('Complete')) finishQueueEntry(entry, 'complete', msg);
+  else if (msg.startsWith('Error')) finishQueueEntry(entry, 'failed', msg);
+  else if (msg.startsWith('Cancelled')) finishQueueEntry(entry, 'cancelled', msg);
+  else entry.message = msg;
+}
+
+// A direct file turned out not to need all it was granted; the rest go to queued jobs
+function releaseConnections(id, connections) {
+  const entry = findQueueEntry(id);
+  if (!entry || entry.state !== 'running' || connections >= entry.connections) return;
+  entry.connections = Math.max(connections, 1);
+  scheduleQueue();
+}
+
+function pauseDownload(id) {
+  const entry = findQueueEntry(id);
+  if (!entry || entry.live || !['queued', 'running'].includes(entry.state)) return;
+  if (entry.started) chrome.runtime.sendMessage({ action: 'pauseJob', jobId: id }).catch(() => { });
+  entry.state = 'paused';
+  scheduleQueue();
+}
+
+// Back in line; it resumes once the jobs ahead of it leave room
+function continueDownload(id) {
+  const entry = findQueueEntry(id);
+  if (!entry || entry.state !== 'paused') return;
+  entry.state = 'queued';
+  scheduleQueue();
+}
+
+function cancelDownload(id) {
+  const entry = findQueueEntry(id);
+  if (!entry || FINISHED_STATES.includes(entry.state)) return;
+  if (entry.started) {
+    // The job reports 'Cancelled' once it has stopped and cleaned up
+    chrome.runtime.sendMessage({ action: 'cancelJob', jobId: id }).catch(() => { });
+    return;
+  }
+  // A resume that never started stays resumable
+  if (entry.resume) {
+    updateJobs(jobs => { if (jobs[id]) jobs[id].status = 'interrupted'; });
+  }
+  finishQueueEntry(entry, 'cancelled', 'Cancelled');
+}
+
+function moveDownload(id, delta) {
+  const index = downloadQueue.findIndex(entry => entry.id === id);
+  const target = index + delta;
+  if (index < 0 || target < 0 || target >= downloadQueue.length) return;
+  const [entry] = downloadQueue.splice(index, 1);
+  downloadQueue.splice(target, 0, entry);
+  scheduleQueue();
+}
+
+// Jobs started in an offscreen document that no longer exists
+async function markQueueInterrupted() {
+  await queueReady;
+  for (const entry of downloadQueue) {
+    if (entry.started && ['running', 'paused'].includes(entry.state)) {
+      entry.state = 'failed';
+      entry.message = 'Error: Interrupted';
+    }
+  }
+  scheduleQueue();
+}
+
+// ---- Resumable Jobs ----
+// The offscreen document reports its HLS and DASH jobs (playlists or segment lists, keys,
+// completed segment indices) here; the segments themselves stay in its OPFS staging directory.
+let jobWrites = Promise.resolve();
+
+async function getJobs() {
+  try {
+    const { downloadJobs = {} } = await chrome.storage.local.get('downloadJobs');
+    return downloadJobs;
+  } catch (e) {
+    return {};
   }
 }
 
+// Read-modify-write, one at a time so concurrent job updates don't overwrite each other
+function updateJobs(mutate) {
+  jobWrites = jobWrites.then(async () => {
+    const jobs = await getJobs();
+    mutate(jobs);
+    await chrome.storage.local.set({ downloadJobs: jobs });
+    return jobs;
+  }).catch((e) => {
+    console.error('Job record update failed:', e);
+    return null;
+  });
+  return jobWrites;
+}
+
+// Jobs still marked as downloading have lost the document that ran them
+function markJobsInterrupted() {
+  return updateJobs(jobs => {
+    for (const job of Object.values(jobs)) {
+      if (job.status === 'downloading') job.status = 'interrupted';
+    }
+  });
+}
+
 // ---- Download State Tracking ----
+// Offscreen downloads are served from a file staged on disk; drop it once the browser has its copy
+function releaseStagedFile(name) {
+  if (!name) return;
+  chrome.runtime.sendMessage({ action: 'releaseStagedFile', name }).catch(() => { });
+}
+
 chrome.downloads.onChanged.addListener((delta) => {
   const download = activeDownloads.get(delta.id);
   if (!download) return;
@@ -407,17 +1153,22 @@ chrome.downloads.onChanged.addListener((delta) => {
         status: 'complete'
       });
       showNotification('Download Complete', download.filename);
+      releaseStagedFile(download.stagedFile);
       activeDownloads.delete(delta.id);
     } else if (delta.state.current === 'interrupted') {
       download.status = 'interrupted';
       download.error = delta.error?.current;
       showNotification('Download Interrupted', `${download.filename}: ${delta.error?.current || 'Unknown error'}`);
+      releaseStagedFile(download.stagedFile);
       activeDownloads.delete(delta.id);
     }
   }
 });
 
-// ---- Startup: restore active tab ----
-chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-  if (tabs[0]) activeTabId = tabs[0].id;
-});
+// ---- Startup: jobs of a torn-down offscreen document ----
+chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] }).then((contexts) => {
+  if (contexts.length === 0) {
+    markJobsInterrupted();
+    markQueueInterrupted();
+  }
+}).catch(() => { });
@@ -5,6 +5,9 @@
  * - SPA navigation support (popstate, hashchange, URL polling)
  * - <source> tag detection
  * - requestIdleCallback for non-blocking DOM scans
+ * - WebRTC connection state and stats timeline relayed from webrtc-hook.js (page world)
+ * - Capture streams and track transitions relayed from track-hook.js (page world)
+ * - Playback diagnostics per found element: ready / network state, buffered ranges, dropped frames, event log
  */
 (() => {
   'use strict';
@@ -113,11 +116,78 @@
 
       knownUrls.add(url);
       trackedElements.add(new WeakRef(el));
+      watchPlayback(el);
     });
 
     return media;
   }
 
+  // ---- Playback Diagnostics ----
+  // Snapshots of the elements found above, for the popup to explain stalls and dropped frames
+  const PLAYBACK_EVENTS = ['waiting', 'stalled', 'error', 'seeking', 'ratechange', 'playing'];
+  const MAX_PLAYBACK_EVENTS = 50;
+  const READY_STATES = ['HAVE_NOTHING', 'HAVE_METADATA', 'HAVE_CURRENT_DATA', 'HAVE_FUTURE_DATA', 'HAVE_ENOUGH_DATA'];
+  const NETWORK_STATES = ['NETWORK_EMPTY', 'NETWORK_IDLE', 'NETWORK_LOADING', 'NETWORK_NO_SOURCE'];
+  const MEDIA_ERRORS = ['', 'MEDIA_ERR_ABORTED', 'MEDIA_ERR_NETWORK', 'MEDIA_ERR_DECODE', 'MEDIA_ERR_SRC_NOT_SUPPORTED'];
+  const playbackLogs = new WeakMap(); // element -> [{ t, type, time, detail }]
+
+  function watchPlayback(el) {
+    if (playbackLogs.has(el)) return;
+    const log = [];
+    playbackLogs.set(el, log);
+    PLAYBACK_EVENTS.forEach(type => el.addEventListener(type, () => {
+      let detail = null;
+      if (type === 'ratechange') detail = `${el.playbackRate}x`;
+      else if (type === 'error' && el.error) detail = MEDIA_ERRORS[el.error.code] || `code ${el.error.code}`;
+      log.push({ t: Date.now(), type, time: el.currentTime, detail });
+      if (log.length > MAX_PLAYBACK_EVENTS) log.shift();
+    }));
+  }
+
+  function timeRanges(ranges) {
+    const list = [];
+    for (let i = 0; i < ranges.length; i++) list.push([ranges.start(i), ranges.end(i)]);
+    return list;
+  }
+
+  function playbackSnapshot(el) {
+    const buffered = timeRanges(el.buffered);
+    const current = buffered.find(([start, end]) => el.currentTime >= start && el.currentTime <= end);
+    const quality = typeof el.getVideoPlaybackQuality === 'function' ? el.getVideoPlaybackQuality() : null;
+    const rect = el.getBoundingClientRect();
+    return {
+      url: getMediaUrl(el),
+      kind: el.localName,
+      readyState: READY_STATES[el.readyState],
+      networkState: NETWORK_STATES[el.networkState],
+      paused: el.paused,
+      ended: el.ended,
+      playbackRate: el.playbackRate,
+      currentTime: el.currentTime,
+      duration: el.duration, // NaN / Infinity are sent as null
+      bufferAhead: current ? current[1] - el.currentTime : 0,
+      buffered,
+      seekable: timeRanges(el.seekable),
+      frames: quality ? { dropped: quality.droppedVideoFrames, total: quality.totalVideoFrames } : null,
+      videoWidth: el.videoWidth || null,
+      videoHeight: el.videoHeight || null,
+      renderedWidth: Math.round(rect.width),
+      renderedHeight: Math.round(rect.height),
+      error: el.error ? `${MEDIA_ERRORS[el.error.code] || `code ${el.error.code}`}${el.error.message ? `: ${el.error.message}` : ''}` : null,
+      events: playbackLogs.get(el) || []
+    };
+  }
+
+  function getPlaybackDiagnostics() {
+    cleanTrackedElements();
+    const elements = [];
+    for (const ref of trackedElements) {
+      const el = ref.deref();
+      if (el && el.isConnected) elements.push(playbackSnapshot(el));
+    }
+    return elements.filter(diag => diag.url);
+  }
+
   // ---- Communication ----
   function sendMedia(mediaList) {
     if (!mediaList.length) return;
@@ -199,6 +269,110 @@
     });
   }
 
+  // ---- WebRTC ----
+  // webrtc-hook.js runs in the page world and posts what it sees; the timeline lives here
+  // so the popup and the WebRTC inspector can ask the tab directly
+  const RTC_MAX_CONNECTIONS = 20;
+  const RTC_MAX_SAMPLES = 600; // 10 minutes at one poll per second
+  const RTC_MAX_EVENTS = 200;
+  const RTC_STATE_FIELDS = ['signalingState', 'iceGatheringState', 'iceConnectionState', 'connectionState'];
+  const rtcConnections = new Map(); // id -> { state, events, samples }
+
+  function onRtcState(state) {
+    let entry = rtcConnections.get(state.id);
+    const previous = entry ? entry.state : null;
+    if (!entry) {
+      entry = { state, events: [], samples: [] };
+      rtcConnections.set(state.id, entry);
+      if (rtcConnections.size > RTC_MAX_CONNECTIONS) {
+        const oldest = [...rtcConnections.values()].find(e => e.state.connectionState === 'closed') ||
+          rtcConnections.values().next().value;
+        rtcConnections.delete(oldest.state.id);
+      }
+    }
+    const now = Date.now();
+    for (const field of RTC_STATE_FIELDS) {
+      if (previous && previous[field] === state[field]) continue;
+      entry.events.push({ t: now, field, value: state[field] });
+    }
+    if (entry.events.length > RTC_MAX_EVENTS) entry.events.splice(0, entry.events.length - RTC_MAX_EVENTS);
+    entry.state = state;
+  }
+
+  function onRtcStats(sample) {
+    const entry = rtcConnections.get(sample.id);
+    if (!entry) return;
+    entry.samples.push({ t: sample.t, rtt: sample.rtt, streams: sample.streams });
+    if (entry.samples.length > RTC_MAX_SAMPLES) entry.samples.shift();
+  }
+
+  // ---- Capture Tracks ----
+  // Streams from getUserMedia / getDisplayMedia / captureStream, reported by track-hook.js;
+  // enabled / muted / ended changes are diffed into a per-track transition log
+  const MAX_CAPTURE_STREAMS = 50;
+  const MAX_TRACK_EVENTS = 100;
+  const captureStreams = new Map(); // id -> stream snapshot, tracks carrying `events`
+
+  function trackTransitions(previous, track) {
+    if (!previous) return [track.readyState === 'ended' ? 'ended' : 'started'];
+    const changes = [];
+    if (previous.enabled !== track.enabled) changes.push(track.enabled ? 'enabled' : 'disabled');
+    if (previous.muted !== track.muted) changes.push(track.muted ? 'muted' : 'unmuted');
+    if (previous.readyState !== track.readyState) changes.push(track.readyState);
+    return changes;
+  }
+
+  function onMediaStream(stream) {
+    const previous = captureStreams.get(stream.id);
+    const previousTracks = new Map(previous ? previous.tracks.map(track => [track.id, track]) : []);
+    stream.tracks = stream.tracks.map(track => {
+      const before = previousTracks.get(track.id);
+      const events = before ? before.events : [];
+      // A stream first seen on sync started back when it was created
+      const t = previous ? stream.t : stream.created;
+      trackTransitions(before, track).forEach(change => events.push({ t, change }));
+      if (events.length > MAX_TRACK_EVENTS) events.splice(0, events.length - MAX_TRACK_EVENTS);
+      return { ...track, events };
+    });
+    captureStreams.delete(stream.id); // re-insert: most recently active last
+    captureStreams.set(stream.id, stream);
+    if (captureStreams.size > MAX_CAPTURE_STREAMS) captureStreams.delete(captureStreams.keys().next().value);
+  }
+
+  // ---- Page Hooks ----
+  const PAGE_MESSAGE_SOURCE = 'media-stream-inspector';
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== PAGE_MESSAGE_SOURCE) return;
+    const { type, payload } = event.data;
+    if (!payload || typeof payload.id !== 'string') return;
+    if (type === 'rtc-state') onRtcState(payload);
+    else if (type === 'rtc-stats') onRtcStats(payload);
+    else if (type === 'media-stream' && Array.isArray(payload.tracks)) onMediaStream(payload);
+  });
+
+  // Connections and streams the page made before this script loaded
+  window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: 'sync' }, '*');
+
+  // ---- Tab Queries ----
+  // Asked directly by the popup and the WebRTC inspector (chrome.tabs.sendMessage)
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'getWebrtcState') {
+      // `summary`: latest state and sample only (popup); otherwise the full timeline (inspector)
+      const connections = [...rtcConnections.values()].map(entry => request.summary
+        ? {
+          state: { ...entry.state, localDescription: null, remoteDescription: null },
+          latest: entry.samples[entry.samples.length - 1] || null
+        }
+        : entry);
+      sendResponse({ connections });
+    } else if (request.action === 'getCaptureStreams') {
+      sendResponse({ streams: [...captureStreams.values()] });
+    } else if (request.action === 'getPlaybackDiagnostics') {
+      sendResponse({ elements: getPlaybackDiagnostics() });
+    }
+  });
+
   // ---- Initialization ----
   function init() {
     // Initial scan
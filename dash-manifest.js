@@ -0,0 +1,445 @@
+/**
+ * DASH Manifest Model v1.0.0
+ * - MPD parser: Periods, AdaptationSets, Representations with inherited attributes
+ * - BaseURL resolution (MPD -> Period -> AdaptationSet -> Representation)
+ * - SegmentTemplate ($Number$ / $Time$, with and without SegmentTimeline), SegmentList, SegmentBase
+ * - sidx parser for SegmentBase indexRange addressing
+ * - ContentProtection flagged per Representation (protected ones are listed, not downloaded)
+ * - Default video/audio pick shared by the popup and the offscreen downloader
+ * - Needs DOMParser: used by the offscreen document and popup
+ */
+
+// ---- Types ----
+
+/**
+ * @typedef {Object} DashSegment
+ * @property {string} url
+ * @property {ByteRange|null} byteRange     Same shape as HLS byte ranges
+ * @property {number} number                $Number$ (or position for lists)
+ * @property {number} start                 Seconds from the start of the period
+ * @property {number} duration              Seconds
+ */
+
+/**
+ * @typedef {Object} DashRepresentation
+ * @property {string} id
+ * @property {string} key                   Unique across periods: `<periodIndex>/<id>`
+ * @property {number} periodIndex
+ * @property {string} contentType           video | audio | text | other
+ * @property {string} mimeType
+ * @property {string|null} codecs
+ * @property {number} bandwidth
+ * @property {{width: number, height: number}|null} resolution
+ * @property {number|null} frameRate
+ * @property {number|null} audioSamplingRate
+ * @property {string|null} lang
+ * @property {boolean} protected            ContentProtection present (DRM / CENC)
+ * @property {string[]} protectionSchemes   schemeIdUri values
+ * @property {{url: string, byteRange: ByteRange|null}|null} init
+ * @property {DashSegment[]} segments       Empty for SegmentBase until the sidx is loaded
+ * @property {{url: string, indexRange: ByteRange|null}|null} segmentBase
+ */
+
+/**
+ * @typedef {Object} DashManifest
+ * @property {string} type                  static | dynamic
+ * @property {number|null} duration         mediaPresentationDuration, seconds
+ * @property {number|null} minimumUpdatePeriod
+ * @property {Array<{id: string|null, start: number, duration: number|null, representations: DashRepresentation[]}>} periods
+ * @property {DashRepresentation[]} representations  All periods, flattened
+ */
+
+// ---- Attribute Helpers ----
+
+// ISO 8601 duration (PT1H2M3.5S, P1DT2H) -> seconds
+function parseIsoDuration(value) {
+  if (!value) return null;
+  const match = /^(-)?P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const n = i => parseFloat(match[i] || '0');
+  const seconds = n(2) * 31536000 + n(3) * 2592000 + n(4) * 86400 + n(5) * 3600 + n(6) * 60 + n(7);
+  return match[1] ? -seconds : seconds;
+}
+
+function parseRange(value) {
+  if (!value) return null;
+  const [first, last] = value.split('-').map(v => parseInt(v, 10));
+  if (isNaN(first) || isNaN(last)) return null;
+  return { offset: first, length: last - first + 1 };
+}
+
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [num, den] = value.split('/').map(parseFloat);
+  return den ? num / den : num;
+}
+
+function childElements(el, name) {
+  return Array.from(el.childNodes).filter(n => n.nodeType === 1 && n.localName === name);
+}
+
+function firstChild(el, name) {
+  return el ? childElements(el, name)[0] || null : null;
+}
+
+// Attribute from the first element in the chain (most specific first) that has it
+function inherited(chain, name) {
+  for (const el of chain) {
+    if (el && el.hasAttribute(name)) return el.getAttribute(name);
+  }
+  return null;
+}
+
+function resolveBaseUrl(chain, manifestUrl) {
+  // chain is most specific first; resolve from the MPD down
+  let base = manifestUrl;
+  for (const el of chain.slice().reverse()) {
+    const baseEl = el && firstChild(el, 'BaseURL');
+    if (baseEl && baseEl.textContent.trim()) base = new URL(baseEl.textContent.trim(), base).href;
+  }
+  return base;
+}
+
+// ---- Segment Addressing ----
+
+// $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$, $$
+function expandTemplate(template, values) {
+  return template.replace(/\$(RepresentationID|Number|Time|Bandwidth|SubNumber)?(?:%0(\d+)d)?\$/g, (all, name, width) => {
+    if (!name) return '$';
+    const value = String(values[name] ?? '');
+    return width ? value.padStart(parseInt(width, 10), '0') : value;
+  });
+}
+
+// Merge SegmentTemplate / SegmentList / SegmentBase attributes across levels
+function segmentInfo(levels, name) {
+  const elements = levels.map(el => firstChild(el, name)).filter(Boolean);
+  if (!elements.length) return null;
+  const attr = attrName => inherited(elements, attrName);
+  return {
+    elements,
+    attr,
+    child: childName => elements.map(el => firstChild(el, childName)).find(Boolean) || null
+  };
+}
+
+function timelineEntries(timeline, periodDuration, timescale) {
+  const entries = [];
+  let time = 0;
+  const items = childElements(timeline, 'S');
+  items.forEach((s, i) => {
+    if (s.hasAttribute('t')) time = parseInt(s.getAttribute('t'), 10);
+    const d = parseInt(s.getAttribute('d'), 10);
+    let repeat = parseInt(s.getAttribute('r') || '0', 10);
+    if (repeat < 0) {
+      // Negative repeat: until the next S@t, else the end of the period
+      const next = items[i + 1];
+      const end = next && next.hasAttribute('t')
+        ? parseInt(next.getAttribute('t'), 10)
+        : (periodDuration ? periodDuration * timescale : time + d);
+      repeat = Math.max(0, Math.ceil((end - time) / d) - 1);
+    }
+    for (let r = 0; r <= repeat; r++) {
+      entries.push({ time, duration: d });
+      time += d;
+    }
+  });
+  return entries;
+}
+
+function templateSegments(info, rep, baseUrl, period, manifest, now) {
+  const timescale = parseInt(info.attr('timescale') || '1', 10);
+  const startNumber = parseInt(info.attr('startNumber') || '1', 10);
+  const presentationOffset = parseInt(info.attr('presentationTimeOffset') || '0', 10);
+  const media = info.attr('media');
+  const initialization = info.attr('initialization');
+  const values = { RepresentationID: rep.id, Bandwidth: rep.bandwidth };
+
+  const init = initialization
+    ? { url: new URL(expandTemplate(initialization, values), baseUrl).href, byteRange: null }
+    : null;
+  if (!media) return { init, segments: [] };
+
+  const segments = [];
+  const timeline = info.child('SegmentTimeline');
+  if (timeline) {
+    timelineEntries(timeline, period.duration, timescale).forEach((entry, i) => {
+      segments.push({
+        url: new URL(expandTemplate(media, { ...values, Number: startNumber + i, Time: entry.time }), baseUrl).href,
+        byteRange: null,
+        number: startNumber + i,
+        start: (entry.time - presentationOffset) / timescale,
+        duration: entry.duration / timescale
+      });
+    });
+    return { init, segments };
+  }
+
+  const duration = parseInt(info.attr('duration') || '0', 10);
+  if (!duration) return { init, segments };
+  const segmentSeconds = duration / timescale;
+
+  let first = 0;
+  let count;
+  if (manifest.type === 'dynamic' && manifest.availabilityStartTime) {
+    // Live: the segments available now, within the time-shift buffer
+    const elapsed = (now - manifest.availabilityStartTime) / 1000 - period.start;
+    const last = Math.floor(elapsed / segmentSeconds) - 1;
+    const depth = manifest.timeShiftBufferDepth ?? 60;
+    first = Math.max(0, Math.ceil((elapsed - depth) / segmentSeconds));
+    count = Math.max(0, last - first + 1);
+  } else {
+    const total = period.duration ?? manifest.duration ?? 0;
+    count = Math.ceil(total / segmentSeconds - 1e-6);
+  }
+
+  for (let i = first; i < first + count; i++) {
+    const number = startNumber + i;
+    segments.push({
+      url: new URL(expandTemplate(media, { ...values, Number: number, Time: i * duration }), baseUrl).href,
+      byteRange: null,
+      number,
+      start: i * segmentSeconds,
+      duration: segmentSeconds
+    });
+  }
+  return { init, segments };
+}
+
+function listSegments(info, baseUrl) {
+  const timescale = parseInt(info.attr('timescale') || '1', 10);
+  const duration = parseInt(info.attr('duration') || '0', 10) / timescale;
+  const initEl = info.child('Initialization');
+  const init = initEl
+    ? {
+      url: new URL(initEl.getAttribute('sourceURL') || '', baseUrl).href,
+      byteRange: parseRange(initEl.getAttribute('range'))
+    }
+    : null;
+
+  const list = info.elements.find(el => childElements(el, 'SegmentURL').length);
+  const segments = list
+    ? childElements(list, 'SegmentURL').map((el, i) => ({
+      url: new URL(el.getAttribute('media') || '', baseUrl).href,
+      byteRange: parseRange(el.getAttribute('mediaRange')),
+      number: i + 1,
+      start: i * duration,
+      duration
+    }))
+    : [];
+  return { init, segments };
+}
+
+function baseSegments(info, baseUrl) {
+  const initEl = info.child('Initialization');
+  const indexRange = parseRange(info.attr('indexRange'));
+  let init = initEl && initEl.hasAttribute('range')
+    ? { url: baseUrl, byteRange: parseRange(initEl.getAttribute('range')) }
+    : null;
+  // No <Initialization range>: ftyp / moov are everything before the index
+  if (!init && indexRange && indexRange.offset > 0) {
+    init = { url: baseUrl, byteRange: { offset: 0, length: indexRange.offset } };
+  }
+  return { init, segmentBase: { url: baseUrl, indexRange } };
+}
+
+// ---- sidx (SegmentBase) ----
+
+/**
+ * Parse a Segment Index box into media segments. Offsets in the sidx are
+ * relative to the first byte after the box.
+ * @param {Uint8Array} bytes    Starts at the sidx box
+ * @param {number} boxOffset    File offset of `bytes[0]`
+ * @param {string} url
+ * @returns {DashSegment[]}
+ */
+function parseSidx(bytes, boxOffset, url) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  // Skip anything before the sidx (e.g. an index range that starts at a styp)
+  while (offset + 8 <= bytes.length) {
+    const size = view.getUint32(offset);
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    if (type === 'sidx') break;
+    if (size < 8) return [];
+    offset += size;
+  }
+  if (offset + 8 > bytes.length) return [];
+
+  const boxSize = view.getUint32(offset);
+  const version = bytes[offset + 8];
+  const timescale = view.getUint32(offset + 16);
+  let p = offset + 20;
+  let earliest;
+  let firstOffset;
+  if (version === 0) {
+    earliest = view.getUint32(p);
+    firstOffset = view.getUint32(p + 4);
+    p += 8;
+  } else {
+    earliest = view.getUint32(p) * 0x100000000 + view.getUint32(p + 4);
+    firstOffset = view.getUint32(p + 8) * 0x100000000 + view.getUint32(p + 12);
+    p += 16;
+  }
+  const count = view.getUint16(p + 2);
+  p += 4;
+
+  const segments = [];
+  let position = boxOffset + offset + boxSize + firstOffset;
+  let time = earliest;
+  for (let i = 0; i < count; i++) {
+    const ref = view.getUint32(p);
+    const duration = view.getUint32(p + 4);
+    p += 12;
+    const size = ref & 0x7fffffff;
+    // Hierarchical indexes (reference_type 1) point at further sidx boxes; not expected for single-file reps
+    if (!(ref & 0x80000000)) {
+      segments.push({
+        url,
+        byteRange: { offset: position, length: size },
+        number: i + 1,
+        start: time / timescale,
+        duration: duration / timescale
+      });
+    }
+    position += size;
+    time += duration;
+  }
+  return segments;
+}
+
+// ---- MPD Parser ----
+
+function contentTypeOf(adaptation, rep) {
+  const explicit = inherited([adaptation], 'contentType');
+  if (explicit) return explicit;
+  const mime = inherited([rep, adaptation], 'mimeType') || '';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('text/') || mime === 'application/ttml+xml') return 'text';
+  const codecs = inherited([rep, adaptation], 'codecs') || '';
+  if (/^(stpp|wvtt)/.test(codecs)) return 'text';
+  return 'other';
+}
+
+/**
+ * @param {string} text
+ * @param {string} manifestUrl
+ * @param {number} [now]  Wall clock (ms) for live SegmentTemplate windows
+ * @returns {DashManifest}
+ */
+function parseMpd(text, manifestUrl, now = Date.now()) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const mpd = doc.documentElement;
+  if (!mpd || mpd.localName !== 'MPD') throw new Error('Not a DASH manifest (no MPD root)');
+
+  const manifest = {
+    type: mpd.getAttribute('type') || 'static',
+    duration: parseIsoDuration(mpd.getAttribute('mediaPresentationDuration')),
+    minimumUpdatePeriod: parseIsoDuration(mpd.getAttribute('minimumUpdatePeriod')),
+    availabilityStartTime: mpd.hasAttribute('availabilityStartTime')
+      ? Date.parse(mpd.getAttribute('availabilityStartTime'))
+      : null,
+    timeShiftBufferDepth: parseIsoDuration(mpd.getAttribute('timeShiftBufferDepth')),
+    periods: [],
+    representations: []
+  };
+
+  const periodEls = childElements(mpd, 'Period');
+  let nextStart = 0;
+  periodEls.forEach((periodEl, periodIndex) => {
+    const start = parseIsoDuration(periodEl.getAttribute('start')) ?? nextStart;
+    let duration = parseIsoDuration(periodEl.getAttribute('duration'));
+    if (duration === null) {
+      const next = periodEls[periodIndex + 1];
+      const nextPeriodStart = next && parseIsoDuration(next.getAttribute('start'));
+      if (nextPeriodStart !== null && nextPeriodStart !== undefined) duration = nextPeriodStart - start;
+      else if (manifest.duration !== null) duration = manifest.duration - start;
+    }
+    nextStart = start + (duration || 0);
+    const period = { id: periodEl.getAttribute('id'), start, duration, representations: [] };
+
+    for (const adaptation of childElements(periodEl, 'AdaptationSet')) {
+      const adaptationProtection = childElements(adaptation, 'ContentProtection');
+      for (const repEl of childElements(adaptation, 'Representation')) {
+        const chain = [repEl, adaptation, periodEl, mpd];
+        const protection = adaptationProtection.concat(childElements(repEl, 'ContentProtection'));
+        const width = parseInt(inherited([repEl, adaptation], 'width') || '0', 10);
+        const height = parseInt(inherited([repEl, adaptation], 'height') || '0', 10);
+        const rep = {
+          id: repEl.getAttribute('id') || String(period.representations.length),
+          key: '',
+          periodIndex,
+          contentType: contentTypeOf(adaptation, repEl),
+          mimeType: inherited([repEl, adaptation], 'mimeType') || '',
+          codecs: inherited([repEl, adaptation], 'codecs'),
+          bandwidth: parseInt(repEl.getAttribute('bandwidth') || '0', 10),
+          resolution: width && height ? { width, height } : null,
+          frameRate: parseFrameRate(inherited([repEl, adaptation], 'frameRate')),
+          audioSamplingRate: parseInt(inherited([repEl, adaptation], 'audioSamplingRate') || '0', 10) || null,
+          lang: inherited([repEl, adaptation], 'lang'),
+          protected: protection.length > 0,
+          protectionSchemes: protection.map(el => el.getAttribute('schemeIdUri') || ''),
+          init: null,
+          segments: [],
+          segmentBase: null
+        };
+        rep.key = `${periodIndex}/${rep.id}`;
+
+        const baseUrl = resolveBaseUrl(chain, manifestUrl);
+        const levels = [repEl, adaptation, periodEl];
+        const template = segmentInfo(levels, 'SegmentTemplate');
+        const list = segmentInfo(levels, 'SegmentList');
+        const base = segmentInfo(levels, 'SegmentBase');
+        let addressing;
+        if (template) addressing = templateSegments(template, rep, baseUrl, period, manifest, now);
+        else if (list) addressing = listSegments(list, baseUrl);
+        else if (base) addressing = baseSegments(base, baseUrl);
+        else addressing = { init: null, segmentBase: { url: baseUrl, indexRange: null } };
+
+        rep.init = addressing.init || null;
+        rep.segments = addressing.segments || [];
+        rep.segmentBase = addressing.segmentBase || null;
+        period.representations.push(rep);
+        manifest.representations.push(rep);
+      }
+    }
+    manifest.periods.push(period);
+  });
+
+  return manifest;
+}
+
+// ---- Representation Selection ----
+
+/**
+ * Explicit picks (representation keys, audioKey '' = no audio), else the variant
+ * preference rule for video (selectVariant from hls-playlist.js) and the
+ * highest-bandwidth clear audio in the same period.
+ * @param {DashManifest} manifest
+ * @param {{videoKey?: string, audioKey?: string, variantPreference?: Object}} [options]
+ * @returns {{video: DashRepresentation|null, audio: DashRepresentation|null}}
+ */
+function selectDashRepresentations(manifest, options = {}) {
+  const byKey = key => (key ? manifest.representations.find(r => r.key === key) || null : null);
+  const clear = manifest.representations.filter(r => !r.protected);
+
+  let video = byKey(options.videoKey);
+  if (!video) {
+    const videos = clear.filter(r => r.contentType === 'video');
+    const period = videos.length ? videos[0].periodIndex : 0;
+    video = selectVariant(videos.filter(r => r.periodIndex === period), options.variantPreference);
+  }
+
+  let audio = null;
+  if (options.audioKey !== '') {
+    audio = byKey(options.audioKey);
+    if (!audio) {
+      const period = video ? video.periodIndex : 0;
+      audio = clear
+        .filter(r => r.contentType === 'audio' && r.periodIndex === period)
+        .sort((a, b) => b.bandwidth - a.bandwidth)[0] || null;
+    }
+  }
+  return { video, audio };
+}
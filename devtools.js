@@ -0,0 +1,6 @@
+/**
+ * DevTools Page v1.0.0
+ * - Registers the Media panel (panel.html) for the inspected tab
+ */
+
+chrome.devtools.panels.create('Media', 'icons/icon16.png', 'panel.html');
@@ -0,0 +1,158 @@
+/**
+ * Disk Staging v1.1.0
+ * - Download data written to the origin private file system (OPFS) as it arrives
+ * - One directory per job: a segment store per track plus the output files
+ * - Segments stored one file each, so every completed segment survives a teardown (resume)
+ * - Appends plus positioned writes (progressive MP4 header patched in place)
+ * - A closed file can be reopened to append more (resumed ranged downloads)
+ * - Finished files handed out as disk-backed File objects, so large captures never sit in memory
+ * - Files removed once the browser download finishes; orphaned jobs cleared on startup
+ */
+
+const STAGING_DIR = 'staging';
+
+async function stagingDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(STAGING_DIR, { create: true });
+}
+
+async function jobDirectory(jobId) {
+  const dir = await stagingDirectory();
+  return dir.getDirectoryHandle(jobId, { create: true });
+}
+
+/**
+ * Open (or create) the segment store of one track. Segments already on disk
+ * from an earlier run are picked up; a file only appears once fully written.
+ * @param {string} jobId
+ * @param {string} source  Track name ('main', 'audio', 'subtitles')
+ */
+async function openSegmentStore(jobId, source) {
+  const dir = await (await jobDirectory(jobId)).getDirectoryHandle(source, { create: true });
+  const stored = new Set();
+  for await (const [name, handle] of dir.entries()) {
+    if (handle.kind === 'file' && /^\d+$/.test(name)) stored.add(parseInt(name, 10));
+  }
+
+  return {
+    get size() { return stored.size; },
+
+    has(index) {
+      return stored.has(index);
+    },
+
+    async write(index, data) {
+      const handle = await dir.getFileHandle(String(index), { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(data);
+      await writable.close();
+      stored.add(index);
+    },
+
+    /** @returns {Promise<File>} */
+    async file(index) {
+      return (await dir.getFileHandle(String(index))).getFile();
+    },
+
+    async read(index) {
+      return (await this.file(index)).arrayBuffer();
+    }
+  };
+}
+
+/**
+ * Create an empty file in a job's directory. Written data becomes readable after close().
+ * @param {string} jobId
+ * @param {string} label  OPFS file name (usually the download filename)
+ * @param {{keepExisting?: boolean}} [options]  keepExisting: append to what an earlier
+ *   run closed (a resumed ranged download) instead of starting empty
+ */
+async function createStagedFile(jobId, label, { keepExisting = false } = {}) {
+  const dir = await jobDirectory(jobId);
+  const fileName = label.replace(/[^\w.-]+/g, '_');
+  const handle = await dir.getFileHandle(fileName, { create: true });
+  const writable = await handle.createWritable({ keepExistingData: keepExisting });
+  let size = keepExisting ? (await handle.getFile()).size : 0;
+  if (size) await writable.seek(size);
+  let file = null;
+
+  return {
+    name: `${jobId}/${fileName}`,
+    kept: false,
+
+    get size() { return size; },
+
+    // Accepts bytes or a Blob/File; returns the offset the data was written at
+    async append(data) {
+      const offset = size;
+      await writable.write(data);
+      size += data instanceof Blob ? data.size : data.byteLength;
+      return offset;
+    },
+
+    // Overwrite earlier bytes; the append position is left where it was
+    async writeAt(position, data) {
+      await writable.write({ type: 'write', position, data });
+      await writable.seek(size);
+    },
+
+    /** @returns {Promise<File>} */
+    async close() {
+      if (!file) {
+        await writable.close();
+        file = await handle.getFile();
+      }
+      return file;
+    },
+
+    async remove() {
+      if (!file) await writable.abort().catch(() => { });
+      await removeStagedFile(this.name);
+    }
+  };
+}
+
+// `name` is the `${jobId}/${file}` path handed out by createStagedFile
+async function removeStagedFile(name) {
+  const [jobId, fileName] = name.split('/');
+  try {
+    const dir = await jobDirectory(jobId);
+    await dir.removeEntry(fileName);
+    // The job directory goes with its last file (fails while anything is left)
+    await (await stagingDirectory()).removeEntry(jobId);
+  } catch (e) { /* already gone, or still in use */ }
+}
+
+// Drop the segment stores of a finished job; its output files stay until downloaded
+async function removeSegmentStores(jobId, sources) {
+  try {
+    const staging = await stagingDirectory();
+    const dir = await staging.getDirectoryHandle(jobId);
+    for (const source of sources) {
+      try {
+        await dir.removeEntry(source, { recursive: true });
+      } catch (e) { /* never created */ }
+    }
+    // Nothing left to download (failed or cancelled job): the job directory goes too
+    await staging.removeEntry(jobId);
+  } catch (e) { /* no job directory, or output files still staged */ }
+}
+
+async function removeJobStaging(jobId) {
+  try {
+    const dir = await stagingDirectory();
+    await dir.removeEntry(jobId, { recursive: true });
+  } catch (e) { /* nothing staged */ }
+}
+
+// Remove every job directory except the resumable ones
+async function clearStaging(keepJobIds = []) {
+  try {
+    const dir = await stagingDirectory();
+    const orphans = [];
+    for await (const name of dir.keys()) {
+      if (!keepJobIds.includes(name)) orphans.push(name);
+    }
+    for (const name of orphans) await dir.removeEntry(name, { recursive: true });
+  } catch (e) { /* nothing staged */ }
+}
@@ -0,0 +1,20 @@
+/**
+ * Shared Formatting v1.0.0
+ * - Bitrates (kbps below 1 Mbps, else Mbps with one decimal)
+ * - Durations (M:SS, or H:MM:SS from an hour)
+ * - Loaded before the page script by the popup and the manifest inspector
+ */
+
+// 850000 -> 850 kbps, 5120000 -> 5.1 Mbps
+function formatBitrate(bps) {
+  return bps >= 1000000 ? `${(bps / 1000000).toFixed(1)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+}
+
+// 75.4 -> 1:15, 3725.4 -> 1:02:05
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const pad = n => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${m}:${pad(total % 60)}`;
+}
@@ -0,0 +1,599 @@
+/**
+ * HLS Playlist Model v1.0.0
+ * - RFC 8216 master and media playlist parser
+ * - Quoted attribute lists (CODECS="avc1,mp4a" stays intact)
+ * - Per-segment duration, byte range, key, init map, discontinuity and program date-time
+ * - Variant selection by preference rule (highest / lowest / closest height, codec family)
+ * - EXT-X-MEDIA rendition groups (alternate audio, subtitles) per variant
+ * - Time-range clipping by EXTINF timeline or EXT-X-PROGRAM-DATE-TIME
+ * - No DOM dependency: shared by the offscreen document, popup and service worker
+ */
+
+// ---- Types ----
+
+/**
+ * @typedef {Object} ByteRange
+ * @property {number} length
+ * @property {number} offset
+ */
+
+/**
+ * @typedef {Object} HlsKey
+ * @property {string} method            NONE | AES-128 | SAMPLE-AES | SAMPLE-AES-CTR
+ * @property {string|null} uri
+ * @property {string|null} url          Absolute key URL
+ * @property {string|null} iv           Hex IV as written (0x...)
+ * @property {string} keyFormat
+ * @property {string|null} keyFormatVersions
+ */
+
+/**
+ * @typedef {Object} HlsMap
+ * @property {string} uri
+ * @property {string} url
+ * @property {ByteRange|null} byteRange
+ * @property {HlsKey|null} key              Identity-format key in effect at the EXT-X-MAP tag
+ */
+
+/**
+ * @typedef {Object} HlsSegment
+ * @property {number} index                 Position in this playlist
+ * @property {number} sequence              Media sequence number
+ * @property {string} uri
+ * @property {string} url
+ * @property {number} duration              EXTINF seconds
+ * @property {string} title
+ * @property {number} start                 Seconds from the first segment in this playlist
+ * @property {ByteRange|null} byteRange
+ * @property {boolean} discontinuity        Preceded by EXT-X-DISCONTINUITY
+ * @property {number} discontinuitySequence
+ * @property {number|null} programDateTime  Epoch ms (tagged or extrapolated)
+ * @property {HlsKey|null} key              Identity-format key in effect (null when clear)
+ * @property {HlsKey[]} keys                Every key in effect, all KEYFORMATs
+ * @property {HlsMap|null} map
+ * @property {boolean} gap
+ */
+
+/**
+ * @typedef {Object} HlsVariant
+ * @property {string} uri
+ * @property {string} url
+ * @property {number} bandwidth
+ * @property {number|null} averageBandwidth
+ * @property {string|null} codecs
+ * @property {{width: number, height: number}|null} resolution
+ * @property {number|null} frameRate
+ * @property {string|null} hdcpLevel
+ * @property {string|null} audio            GROUP-ID of the AUDIO renditions
+ * @property {string|null} video
+ * @property {string|null} subtitles
+ * @property {string|null} closedCaptions
+ */
+
+/**
+ * @typedef {Object} HlsRendition
+ * @property {string} type                  AUDIO | VIDEO | SUBTITLES | CLOSED-CAPTIONS
+ * @property {string} groupId
+ * @property {string} name
+ * @property {string|null} language
+ * @property {string|null} assocLanguage
+ * @property {boolean} default
+ * @property {boolean} autoselect
+ * @property {boolean} forced
+ * @property {string|null} uri
+ * @property {string|null} url              null when carried in the variant stream
+ * @property {string|null} instreamId
+ * @property {string|null} characteristics
+ * @property {string|null} channels
+ */
+
+/**
+ * @typedef {Object} HlsPlaylist
+ * @property {boolean} isMaster
+ * @property {number} version
+ * @property {boolean} independentSegments
+ * @property {{timeOffset: number, precise: boolean}|null} start
+ * @property {HlsVariant[]} variants
+ * @property {Array<HlsVariant & {iFrame: true}>} iFrameVariants
+ * @property {HlsRendition[]} renditions
+ * @property {Array<Object>} sessionData
+ * @property {HlsKey[]} sessionKeys
+ * @property {number|null} targetDuration
+ * @property {number} mediaSequence
+ * @property {number} discontinuitySequence
+ * @property {string|null} playlistType     VOD | EVENT
+ * @property {boolean} endList
+ * @property {boolean} iFramesOnly
+ * @property {HlsSegment[]} segments
+ * @property {number} totalDuration
+ */
+
+// ---- Attribute Lists ----
+
+// Splits `KEY=VALUE,KEY="quoted, value"` without breaking on commas inside quotes.
+// Quoted values are returned without their quotes; everything else stays a raw string.
+function parseAttributeList(input) {
+  const attrs = {};
+  const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)(?:,|$)/gi;
+  let match;
+  while ((match = re.exec(input)) !== null) {
+    let value = match[2];
+    if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+    attrs[match[1].toUpperCase()] = value.trim();
+  }
+  return attrs;
+}
+
+function attrInt(value) {
+  if (value == null || value === '') return null;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function attrFloat(value) {
+  if (value == null || value === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function attrResolution(value) {
+  const match = /^(\d+)x(\d+)$/i.exec(value || '');
+  return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+}
+
+// `<length>[@<offset>]`; offset is null when omitted so the caller can continue the previous range
+function parseByteRange(value) {
+  const match = /^(\d+)(?:@(\d+))?$/.exec((value || '').trim());
+  if (!match) return null;
+  return {
+    length: parseInt(match[1], 10),
+    offset: match[2] !== undefined ? parseInt(match[2], 10) : null
+  };
+}
+
+function resolveUri(uri, baseUrl) {
+  try {
+    return new URL(uri, baseUrl).href;
+  } catch (e) {
+    return uri;
+  }
+}
+
+function tagValue(line) {
+  const idx = line.indexOf(':');
+  return idx === -1 ? '' : line.slice(idx + 1);
+}
+
+function buildKey(attrs, baseUrl) {
+  const uri = attrs.URI || null;
+  return {
+    method: (attrs.METHOD || 'NONE').toUpperCase(),
+    uri,
+    url: uri ? resolveUri(uri, baseUrl) : null,
+    iv: attrs.IV || null,
+    keyFormat: attrs.KEYFORMAT || 'identity',
+    keyFormatVersions: attrs.KEYFORMATVERSIONS || null
+  };
+}
+
+function buildVariant(attrs, uri, baseUrl) {
+  return {
+    uri,
+    url: resolveUri(uri, baseUrl),
+    bandwidth: attrInt(attrs.BANDWIDTH) || 0,
+    averageBandwidth: attrInt(attrs['AVERAGE-BANDWIDTH']),
+    codecs: attrs.CODECS || null,
+    resolution: attrResolution(attrs.RESOLUTION),
+    frameRate: attrFloat(attrs['FRAME-RATE']),
+    hdcpLevel: attrs['HDCP-LEVEL'] || null,
+    audio: attrs.AUDIO || null,
+    video: attrs.VIDEO || null,
+    subtitles: attrs.SUBTITLES || null,
+    closedCaptions: attrs['CLOSED-CAPTIONS'] && attrs['CLOSED-CAPTIONS'] !== 'NONE'
+      ? attrs['CLOSED-CAPTIONS']
+      : null
+  };
+}
+
+function buildRendition(attrs, baseUrl) {
+  const uri = attrs.URI || null;
+  return {
+    type: (attrs.TYPE || '').toUpperCase(),
+    groupId: attrs['GROUP-ID'] || '',
+    name: attrs.NAME || '',
+    language: attrs.LANGUAGE || null,
+    assocLanguage: attrs['ASSOC-LANGUAGE'] || null,
+    default: attrs.DEFAULT === 'YES',
+    autoselect: attrs.AUTOSELECT === 'YES',
+    forced: attrs.FORCED === 'YES',
+    uri,
+    url: uri ? resolveUri(uri, baseUrl) : null,
+    instreamId: attrs['INSTREAM-ID'] || null,
+    characteristics: attrs.CHARACTERISTICS || null,
+    channels: attrs.CHANNELS || null
+  };
+}
+
+// ---- Playlist Parser ----
+
+/**
+ * Parse an M3U8 playlist into a master or media playlist model.
+ * @param {string} text
+ * @param {string} baseUrl  URL the playlist was fetched from (relative URIs resolve against it)
+ * @returns {HlsPlaylist}
+ */
+function parseM3u8(text, baseUrl) {
+  const lines = String(text || '').split(/\r?\n/);
+  const result = {
+    isMaster: false,
+    version: 1,
+    independentSegments: false,
+    start: null,
+    variants: [],
+    iFrameVariants: [],
+    renditions: [],
+    sessionData: [],
+    sessionKeys: [],
+    targetDuration: null,
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    playlistType: null,
+    endList: false,
+    iFramesOnly: false,
+    segments: [],
+    totalDuration: 0
+  };
+
+  // Media playlist state: tags before a URI line apply to that segment,
+  // KEY / MAP stay in effect until replaced
+  let keys = new Map(); // KEYFORMAT -> key
+  let map = null;
+  let pending = null;
+  let pendingStreamInf = null;
+  let discontinuitySequence = null;
+  let nextPdt = null;
+  let lastRange = null; // { url, end } for implicit BYTERANGE offsets
+  let elapsed = 0;
+
+  const pendingSegment = () => {
+    if (!pending) {
+      pending = {
+        duration: 0,
+        title: '',
+        byteRange: null,
+        discontinuity: false,
+        programDateTime: null,
+        gap: false
+      };
+    }
+    return pending;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    if (!line.startsWith('#')) {
+      // URI line
+      if (pendingStreamInf) {
+        result.variants.push(buildVariant(pendingStreamInf, line, baseUrl));
+        pendingStreamInf = null;
+        continue;
+      }
+      if (result.isMaster) continue;
+
+      if (discontinuitySequence === null) discontinuitySequence = result.discontinuitySequence;
+      const seg = pendingSegment();
+      const url = resolveUri(line, baseUrl);
+
+      if (seg.discontinuity) discontinuitySequence++;
+
+      let byteRange = null;
+      if (seg.byteRange) {
+        const offset = seg.byteRange.offset !== null
+          ? seg.byteRange.offset
+          : (lastRange && lastRange.url === url ? lastRange.end : 0);
+        byteRange = { length: seg.byteRange.length, offset };
+        lastRange = { url, end: offset + byteRange.length };
+      } else {
+        lastRange = null;
+      }
+
+      let programDateTime = seg.programDateTime;
+      if (programDateTime === null && nextPdt !== null && !seg.discontinuity) {
+        programDateTime = nextPdt;
+      }
+      nextPdt = programDateTime !== null ? programDateTime + seg.duration * 1000 : null;
+
+      const allKeys = Array.from(keys.values());
+      result.segments.push({
+        index: result.segments.length,
+        sequence: result.mediaSequence + result.segments.length,
+        uri: line,
+        url,
+        duration: seg.duration,
+        title: seg.title,
+        start: elapsed,
+        byteRange,
+        discontinuity: seg.discontinuity,
+        discontinuitySequence,
+        programDateTime,
+        key: keys.get('identity') || null,
+        keys: allKeys,
+        map,
+        gap: seg.gap
+      });
+      elapsed += seg.duration;
+      pending = null;
+      continue;
+    }
+
+    if (!line.startsWith('#EXT')) continue; // comment
+
+    const colon = line.indexOf(':');
+    const tag = colon === -1 ? line : line.slice(0, colon);
+    const value = tagValue(line);
+
+    switch (tag) {
+      case '#EXTM3U':
+        break;
+
+      case '#EXT-X-VERSION':
+        result.version = attrInt(value) || 1;
+        break;
+
+      case '#EXT-X-INDEPENDENT-SEGMENTS':
+        result.independentSegments = true;
+        break;
+
+      case '#EXT-X-START': {
+        const attrs = parseAttributeList(value);
+        result.start = {
+          timeOffset: attrFloat(attrs['TIME-OFFSET']) || 0,
+          precise: attrs.PRECISE === 'YES'
+        };
+        break;
+      }
+
+      // -- Master playlist tags --
+      case '#EXT-X-STREAM-INF':
+        result.isMaster = true;
+        pendingStreamInf = parseAttributeList(value);
+        break;
+
+      case '#EXT-X-I-FRAME-STREAM-INF': {
+        result.isMaster = true;
+        const attrs = parseAttributeList(value);
+        if (attrs.URI) {
+          result.iFrameVariants.push(Object.assign(buildVariant(attrs, attrs.URI, baseUrl), { iFrame: true }));
+        }
+        break;
+      }
+
+      case '#EXT-X-MEDIA':
+        result.isMaster = true;
+        result.renditions.push(buildRendition(parseAttributeList(value), baseUrl));
+        break;
+
+      case '#EXT-X-SESSION-DATA': {
+        const attrs = parseAttributeList(value);
+        result.sessionData.push({
+          dataId: attrs['DATA-ID'] || '',
+          value: attrs.VALUE || null,
+          uri: attrs.URI ? resolveUri(attrs.URI, baseUrl) : null,
+          language: attrs.LANGUAGE || null
+        });
+        break;
+      }
+
+      case '#EXT-X-SESSION-KEY':
+        result.sessionKeys.push(buildKey(parseAttributeList(value), baseUrl));
+        break;
+
+      // -- Media playlist tags --
+      case '#EXT-X-TARGETDURATION':
+        result.targetDuration = attrInt(value);
+        break;
+
+      case '#EXT-X-MEDIA-SEQUENCE':
+        result.mediaSequence = attrInt(value) || 0;
+        break;
+
+      case '#EXT-X-DISCONTINUITY-SEQUENCE':
+        result.discontinuitySequence = attrInt(value) || 0;
+        break;
+
+      case '#EXT-X-PLAYLIST-TYPE':
+        result.playlistType = value.trim().toUpperCase() || null;
+        break;
+
+      case '#EXT-X-ENDLIST':
+        result.endList = true;
+        break;
+
+      case '#EXT-X-I-FRAMES-ONLY':
+        result.iFramesOnly = true;
+        break;
+
+      // -- Media segment tags --
+      case '#EXTINF': {
+        const comma = value.indexOf(',');
+        const seg = pendingSegment();
+        seg.duration = attrFloat(comma === -1 ? value : value.slice(0, comma)) || 0;
+        seg.title = comma === -1 ? '' : value.slice(comma + 1).trim();
+        break;
+      }
+
+      case '#EXT-X-BYTERANGE':
+        pendingSegment().byteRange = parseByteRange(value);
+        break;
+
+      case '#EXT-X-DISCONTINUITY':
+        pendingSegment().discontinuity = true;
+        break;
+
+      case '#EXT-X-GAP':
+        pendingSegment().gap = true;
+        break;
+
+      case '#EXT-X-PROGRAM-DATE-TIME': {
+        const time = Date.parse(value.trim());
+        pendingSegment().programDateTime = Number.isFinite(time) ? time : null;
+        break;
+      }
+
+      case '#EXT-X-KEY': {
+        const key = buildKey(parseAttributeList(value), baseUrl);
+        if (key.method === 'NONE') {
+          keys = new Map();
+        } else {
+          keys = new Map(keys);
+          keys.set(key.keyFormat, key);
+        }
+        break;
+      }
+
+      case '#EXT-X-MAP': {
+        const attrs = parseAttributeList(value);
+        if (attrs.URI) {
+          const range = attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE) : null;
+          map = {
+            uri: attrs.URI,
+            url: resolveUri(attrs.URI, baseUrl),
+            byteRange: range ? { length: range.length, offset: range.offset || 0 } : null,
+            key: keys.get('identity') || null
+          };
+        }
+        break;
+      }
+
+      default:
+        // Unknown or informational tag (EXT-X-DATERANGE, EXT-X-BITRATE, ...) - ignored
+        break;
+    }
+  }
+
+  result.totalDuration = elapsed;
+  return result;
+}
+
+// ---- Variant Selection ----
+
+// rule: 'highest' | 'lowest' | 'closest' (to `height`); codec: 'any' | 'avc' | 'hevc' | 'av1' | 'vp9'
+const DEFAULT_VARIANT_PREFERENCE = { rule: 'highest', height: 720, codec: 'any' };
+
+function variantCodecFamily(variant) {
+  const codecs = (variant.codecs || '').toLowerCase().split(',').map(c => c.trim());
+  for (const codec of codecs) {
+    if (/^(hvc1|hev1|dvh1|dvhe)/.test(codec)) return 'hevc';
+    if (/^avc[13]/.test(codec)) return 'avc';
+    if (codec.startsWith('av01')) return 'av1';
+    if (/^vp0?9/.test(codec)) return 'vp9';
+  }
+  return null;
+}
+
+/**
+ * Pick the variant matching a preference rule. A codec filter that matches
+ * nothing is ignored; ties on resolution go to the higher bandwidth.
+ * @param {HlsVariant[]} variants
+ * @param {{rule?: string, height?: number, codec?: string}} [preference]
+ * @returns {HlsVariant|null}
+ */
+function selectVariant(variants, preference) {
+  if (!variants || !variants.length) return null;
+  const pref = { ...DEFAULT_VARIANT_PREFERENCE, ...preference };
+
+  let pool = variants;
+  if (pref.codec && pref.codec !== 'any') {
+    const matching = variants.filter(v => variantCodecFamily(v) === pref.codec);
+    if (matching.length) pool = matching;
+  }
+
+  const sorted = pool.slice().sort((a, b) => b.bandwidth - a.bandwidth);
+  if (pref.rule === 'lowest') return sorted[sorted.length - 1];
+
+  if (pref.rule === 'closest') {
+    const sized = sorted.filter(v => v.resolution);
+    if (sized.length) {
+      const distance = v => Math.abs(v.resolution.height - pref.height);
+      return sized.reduce((best, v) => (distance(v) < distance(best) ? v : best));
+    }
+  }
+  return sorted[0];
+}
+
+// ---- Rendition Selection ----
+
+const RENDITION_GROUP_ATTR = { AUDIO: 'audio', VIDEO: 'video', SUBTITLES: 'subtitles' };
+
+/**
+ * Renditions of one TYPE in the group a variant references.
+ * @param {HlsPlaylist} playlist  Master playlist
+ * @param {HlsVariant} variant
+ * @param {string} type           AUDIO | VIDEO | SUBTITLES
+ * @returns {HlsRendition[]}
+ */
+function variantRenditions(playlist, variant, type) {
+  const groupId = variant && variant[RENDITION_GROUP_ATTR[type]];
+  if (!groupId) return [];
+  return playlist.renditions.filter(r => r.type === type && r.groupId === groupId);
+}
+
+/**
+ * The rendition a player would pick by default: DEFAULT=YES, else the first
+ * AUTOSELECT one. Null when that rendition is carried in the variant stream.
+ * @param {HlsRendition[]} renditions
+ * @returns {HlsRendition|null}
+ */
+function defaultRendition(renditions) {
+  const pick = renditions.find(r => r.default) || renditions.find(r => r.autoselect) || null;
+  return pick && pick.url ? pick : null;
+}
+
+// ---- Time Range ----
+
+/**
+ * Parse a clip boundary typed by the user: seconds ("90"), [h:]mm:ss[.f] as an
+ * offset from the start of the playlist, or an ISO date-time matched against
+ * EXT-X-PROGRAM-DATE-TIME. Empty input is an open end.
+ * @param {string} text
+ * @returns {{value: number, wallClock: boolean}|null}  Seconds, or epoch ms when wallClock
+ */
+function parseClipTime(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) return { value: parseFloat(value), wallClock: false };
+
+  const clock = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(value);
+  if (clock) {
+    const seconds = parseInt(clock[1] || '0', 10) * 3600 + parseInt(clock[2], 10) * 60 + parseFloat(clock[3]);
+    return { value: seconds, wallClock: false };
+  }
+
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return { value: date, wallClock: true };
+  throw new Error(`Unrecognised time "${value}" (use seconds, mm:ss or an ISO date-time)`);
+}
+
+/**
+ * Segments overlapping a time range. Only whole segments can be cut, so the
+ * result usually starts a little before `start` and ends a little after `end`.
+ * @param {HlsSegment[]} segments
+ * @param {{start: number|null, end: number|null, wallClock?: boolean}} range
+ *   Seconds on the EXTINF timeline, or epoch ms on the PROGRAM-DATE-TIME clock
+ *   (segments without a date-time never match); null is an open end
+ * @returns {HlsSegment[]}
+ */
+function clipSegments(segments, range) {
+  return segments.filter((segment) => {
+    let from = segment.start;
+    let to = segment.start + segment.duration;
+    if (range.wallClock) {
+      if (segment.programDateTime === null) return false;
+      from = segment.programDateTime;
+      to = from + segment.duration * 1000;
+    }
+    return (range.start === null || to > range.start) && (range.end === null || from < range.end);
+  });
+}
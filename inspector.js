@@ -0,0 +1,495 @@
+/**
+ * Manifest Inspector v1.0.0
+ * - Opened from an HLS card (inspector.html?url=...)
+ * - Raw playlist with syntax highlighting (tags, attributes, quoted strings, URIs)
+ * - Master playlists: variant tree with rendition groups and I-frame variants
+ * - Media playlists: summary, encryption summary and segment table
+ * - Live playlists re-fetched on the target duration and updated in place
+ * - XSS-safe DOM construction (playlist text only ever set as textContent)
+ */
+
+// Well-known KEYFORMAT values
+const KEY_SYSTEMS = {
+  'identity': 'Identity',
+  'com.apple.streamingkeydelivery': 'FairPlay',
+  'com.microsoft.playready': 'PlayReady',
+  'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'PlayReady',
+  'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'Widevine'
+};
+
+const MIN_REFRESH_MS = 2000;
+
+// ---- Formatting ----
+
+// 75.5 -> 01:15.500, 3723 -> 1:02:03.000 (formatDuration in format.js rounds to seconds)
+function formatTimestamp(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = ((ms % 60000) / 1000).toFixed(3).padStart(6, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+}
+
+function lastPathPart(url) {
+  try {
+    return new URL(url).pathname.split('/').pop() || url;
+  } catch (e) {
+    return url;
+  }
+}
+
+function keySystem(keyFormat) {
+  return KEY_SYSTEMS[keyFormat] || keyFormat;
+}
+
+// ---- DOM Helpers ----
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function appendSpan(parent, className, text) {
+  parent.appendChild(el('span', className, text));
+}
+
+// ---- Syntax Highlighting ----
+
+// Attribute lists (NAME=value,NAME="value") or a leading number (EXTINF, TARGETDURATION)
+function highlightValue(line, value) {
+  const attr = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let last = 0;
+  let match;
+  while ((match = attr.exec(value))) {
+    line.append(value.slice(last, match.index));
+    appendSpan(line, 'attr', match[1]);
+    line.append('=');
+    appendSpan(line, match[2].startsWith('"') ? 'str' : 'val', match[2]);
+    last = attr.lastIndex;
+  }
+  if (last === 0) {
+    const number = /^-?\d+(\.\d+)?(?=,|$)/.exec(value);
+    if (number) {
+      appendSpan(line, 'val', number[0]);
+      last = number[0].length;
+    }
+  }
+  line.append(value.slice(last));
+}
+
+function highlightLine(text) {
+  const line = el('span', 'line');
+  if (text.startsWith('#EXT')) {
+    const idx = text.indexOf(':');
+    appendSpan(line, 'tag', idx === -1 ? text : text.slice(0, idx + 1));
+    if (idx !== -1) highlightValue(line, text.slice(idx + 1));
+  } else if (text.startsWith('#')) {
+    appendSpan(line, 'comment', text);
+  } else if (text.trim()) {
+    appendSpan(line, 'uri', text);
+  } else {
+    line.textContent = ' ';
+  }
+  return line;
+}
+
+// Replaces the listing but keeps the reader's scroll position (live refresh)
+function renderRaw(pre, text) {
+  const scrollTop = pre.scrollTop;
+  const fragment = document.createDocumentFragment();
+  text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').forEach(line => {
+    fragment.appendChild(highlightLine(line));
+  });
+  pre.replaceChildren(fragment);
+  pre.scrollTop = scrollTop;
+}
+
+// ---- Variant Tree ----
+
+function variantLabel(variant) {
+  const parts = [variant.resolution ? `${variant.resolution.width}x${variant.resolution.height}` : 'No video'];
+  parts.push(formatBitrate(variant.bandwidth));
+  if (variant.frameRate) parts.push(`${Number(variant.frameRate.toFixed(3))} fps`);
+  return parts.join(' · ');
+}
+
+function renditionLabel(rendition) {
+  const parts = [rendition.name || rendition.language || 'Unnamed'];
+  if (rendition.language && rendition.name) parts.push(rendition.language);
+  if (rendition.channels) parts.push(`${rendition.channels}ch`);
+  if (rendition.instreamId) parts.push(rendition.instreamId);
+  const flags = ['default', 'autoselect', 'forced'].filter(flag => rendition[flag]);
+  if (flags.length) parts.push(flags.join(', ').toUpperCase());
+  return parts.join(' · ');
+}
+
+// A tree row; rows with a playlist URL open it in the media view
+function treeNode(label, detail, url, onSelect) {
+  const item = el('li');
+  const node = el('div', url ? 'node link' : 'node');
+  node.appendChild(el('div', '', label));
+  if (detail) node.appendChild(el('div', 'sub', detail));
+  if (url) {
+    node.dataset.url = url;
+    node.title = url;
+    node.addEventListener('click', () => onSelect(url));
+  }
+  item.appendChild(node);
+  return item;
+}
+
+function treeGroup(label, children) {
+  const item = el('li');
+  item.appendChild(el('div', 'group', label));
+  const list = el('ul');
+  children.forEach(child => list.appendChild(child));
+  item.appendChild(list);
+  return item;
+}
+
+const GROUP_TITLES = { AUDIO: 'Audio', VIDEO: 'Video', SUBTITLES: 'Subtitles', 'CLOSED-CAPTIONS': 'Closed captions' };
+
+function renderTree(container, master, onSelect) {
+  const items = [];
+
+  const variants = master.variants.slice().sort((a, b) => b.bandwidth - a.bandwidth);
+  items.push(treeGroup(`Variants (${variants.length})`, variants.map(variant => {
+    const refs = [['audio', variant.audio], ['video', variant.video], ['subs', variant.subtitles], ['cc', variant.closedCaptions]]
+      .filter(([, group]) => group)
+      .map(([name, group]) => `${name}: ${group}`);
+    const detail = [variant.codecs, refs.join(' · ')].filter(Boolean).join(' | ');
+    return treeNode(variantLabel(variant), detail, variant.url, onSelect);
+  })));
+
+  // One entry per rendition group, however many variants reference it
+  const groups = new Map();
+  for (const rendition of master.renditions) {
+    const key = `${rendition.type}|${rendition.groupId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(rendition);
+  }
+  for (const renditions of groups.values()) {
+    const { type, groupId } = renditions[0];
+    items.push(treeGroup(`${GROUP_TITLES[type] || type} group "${groupId}"`, renditions.map(rendition =>
+      treeNode(renditionLabel(rendition), rendition.url ? null : 'Carried in the variant stream', rendition.url, onSelect))));
+  }
+
+  if (master.iFrameVariants.length) {
+    items.push(treeGroup(`I-frame variants (${master.iFrameVariants.length})`, master.iFrameVariants.map(variant =>
+      treeNode(variantLabel(variant), variant.codecs, variant.url, onSelect))));
+  }
+
+  container.replaceChildren(...items);
+}
+
+function markSelected(container, url) {
+  container.querySelectorAll('.node.link').forEach(node => {
+    node.classList.toggle('selected', node.dataset.url === url);
+  });
+}
+
+// ---- Media Playlist ----
+
+function playlistKind(playlist) {
+  if (playlist.endList) return playlist.playlistType || 'VOD';
+  return playlist.playlistType === 'EVENT' ? 'EVENT (live)' : 'LIVE';
+}
+
+function renderSummary(container, playlist) {
+  const segments = playlist.segments;
+  const first = segments[0];
+  const discontinuities = segments.filter(s => s.discontinuity).length;
+  const gaps = segments.filter(s => s.gap).length;
+  const items = [
+    ['Type', playlistKind(playlist)],
+    ['Total duration', formatTimestamp(playlist.totalDuration)],
+    ['Target duration', playlist.targetDuration !== null ? `${playlist.targetDuration}s` : '—'],
+    ['Segments', String(segments.length)],
+    ['Media sequence', String(playlist.mediaSequence)],
+    ['Discontinuities', String(discontinuities)],
+    ['Container', first && first.map ? 'fMP4 (EXT-X-MAP)' : 'MPEG-TS / packed'],
+    ['Version', String(playlist.version)]
+  ];
+  if (first && first.programDateTime !== null) items.push(['Program date-time', new Date(first.programDateTime).toISOString()]);
+  if (gaps) items.push(['EXT-X-GAP', String(gaps)]);
+  if (playlist.iFramesOnly) items.push(['I-frames only', 'Yes']);
+
+  container.replaceChildren(...items.map(([label, value]) => {
+    const item = el('div');
+    item.appendChild(el('div', 'label', label));
+    item.appendChild(el('div', 'value', value));
+    return item;
+  }));
+}
+
+function keyEntry(method, className, lines) {
+  const entry = el('div', 'key');
+  entry.appendChild(el('div', `method ${className}`, method));
+  lines.forEach(line => entry.appendChild(el('div', 'sub', line)));
+  return entry;
+}
+
+// Segments grouped by the key (every KEYFORMAT) in effect for them
+function renderEncryption(container, playlist, sessionKeys) {
+  const groups = new Map();
+  let clear = 0;
+  for (const segment of playlist.segments) {
+    if (!segment.keys.length) clear++;
+    for (const key of segment.keys) {
+      const id = `${key.method}|${key.keyFormat}|${key.url}|${key.iv}`;
+      const group = groups.get(id);
+      if (group) {
+        group.count++;
+        group.last = segment.sequence;
+      } else {
+        groups.set(id, { key, count: 1, first: segment.sequence, last: segment.sequence });
+      }
+    }
+  }
+
+  const entries = [];
+  if (clear) entries.push(keyEntry('Clear', 'clear', [`${clear} segment${clear === 1 ? '' : 's'} unencrypted`]));
+  for (const { key, count, first, last } of groups.values()) {
+    const drm = key.keyFormat !== 'identity';
+    const lines = [
+      `Key system: ${keySystem(key.keyFormat)}${key.keyFormatVersions ? ` (versions ${key.keyFormatVersions})` : ''}`,
+      `Key URI: ${key.url || key.uri || 'none'}`,
+      `IV: ${key.iv || 'media sequence number'}`,
+      `Segments: ${count} (#${first} - #${last})`
+    ];
+    entries.push(keyEntry(key.method, drm ? 'drm' : 'aes', lines));
+  }
+  for (const key of sessionKeys) {
+    entries.push(keyEntry(`${key.method} (session key)`, key.keyFormat !== 'identity' ? 'drm' : 'aes', [
+      `Key system: ${keySystem(key.keyFormat)}`,
+      `Key URI: ${key.url || key.uri || 'none'}`
+    ]));
+  }
+  if (!entries.length) entries.push(el('div', 'muted', 'No segments'));
+  container.replaceChildren(...entries);
+}
+
+function keyCell(segment) {
+  if (!segment.keys.length) return { text: '—', title: '' };
+  const text = segment.keys.map(key => key.keyFormat === 'identity'
+    ? `${key.method} ${lastPathPart(key.url || '')}`.trim()
+    : `${key.method} (${keySystem(key.keyFormat)})`).join(', ');
+  return { text, title: segment.keys.map(key => key.url || key.uri || '').join('\n') };
+}
+
+function fillSegmentRow(row, segment) {
+  const key = keyCell(segment);
+  const range = segment.byteRange ? `${segment.byteRange.length}@${segment.byteRange.offset}` : '—';
+  const cells = [
+    String(segment.index),
+    String(segment.sequence),
+    segment.duration.toFixed(3),
+    formatTimestamp(segment.start),
+    range,
+    key.text,
+    segment.discontinuity ? `Yes (${segment.discontinuitySequence})` : '',
+    segment.uri
+  ];
+  row.replaceChildren(...cells.map((text, i) => el('td', i === cells.length - 1 ? 'uri' : '', text)));
+  row.cells[5].title = key.title;
+  row.cells[7].title = segment.url;
+  row.classList.toggle('discontinuity', segment.discontinuity);
+  row.classList.toggle('gap', segment.gap);
+}
+
+/**
+ * Keyed segment table: a live refresh drops rows that left the window,
+ * renumbers the rest and appends new ones (flashed), instead of rebuilding.
+ */
+function createSegmentTable(tbody) {
+  let rows = new Map(); // `${sequence}|${uri}` -> tr
+
+  return {
+    reset() {
+      rows = new Map();
+      tbody.replaceChildren();
+    },
+
+    update(segments) {
+      const fresh = rows.size > 0;
+      const next = new Map();
+      for (const segment of segments) {
+        const id = `${segment.sequence}|${segment.uri}`;
+        let row = rows.get(id);
+        if (row) {
+          row.classList.remove('new');
+        } else {
+          row = el('tr');
+          if (fresh) row.classList.add('new');
+        }
+        fillSegmentRow(row, segment);
+        next.set(id, row);
+      }
+      for (const [id, row] of rows) {
+        if (!next.has(id)) row.remove();
+      }
+
+      let cursor = tbody.firstChild;
+      for (const row of next.values()) {
+        if (row === cursor) cursor = cursor.nextSibling;
+        else tbody.insertBefore(row, cursor);
+      }
+      const added = fresh ? [...next.keys()].filter(id => !rows.has(id)).length : 0;
+      rows = next;
+      return added;
+    }
+  };
+}
+
+// ---- Page ----
+
+document.addEventListener('DOMContentLoaded', () => {
+  const url = new URLSearchParams(location.search).get('url');
+  const sourceEl = document.getElementById('source');
+  const statusEl = document.getElementById('status');
+  const layout = document.getElementById('layout');
+  const tree = document.getElementById('variant-tree');
+  const masterRaw = document.getElementById('master-raw');
+  const mediaRaw = document.getElementById('media-raw');
+  const summary = document.getElementById('summary');
+  const summaryTitle = document.getElementById('summary-title');
+  const encryption = document.getElementById('encryption');
+  const liveToggle = document.getElementById('live-toggle');
+  const table = createSegmentTable(document.getElementById('segments'));
+
+  // The media playlist on show; `token` invalidates refreshes of one no longer shown
+  const current = { url: null, text: null, playlist: null, sessionKeys: [], token: 0 };
+  let refreshTimer = null;
+  let liveRefresh = true;
+
+  function setStatus(text, className = '') {
+    statusEl.textContent = text;
+    statusEl.className = `status ${className}`;
+  }
+
+  async function fetchPlaylist(playlistUrl) {
+    const res = await fetch(playlistUrl, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const text = await res.text();
+    return { text, playlist: parseM3u8(text, playlistUrl) };
+  }
+
+  function liveStatus(added) {
+    const time = new Date().toLocaleTimeString();
+    if (!liveRefresh) return setStatus(`Live · paused at ${time}`, 'live');
+    setStatus(`Live · updated ${time}${added ? ` · +${added} segment${added === 1 ? '' : 's'}` : ''}`, 'live');
+  }
+
+  function showMedia(text, playlist) {
+    current.text = text;
+    current.playlist = playlist;
+    renderSummary(summary, playlist);
+    renderEncryption(encryption, playlist, current.sessionKeys);
+    const added = table.update(playlist.segments);
+    renderRaw(mediaRaw, text);
+
+    liveToggle.hidden = playlist.endList;
+    if (playlist.endList) setStatus(`${playlistKind(playlist)} · ${formatTimestamp(playlist.totalDuration)}`);
+    else liveStatus(added);
+    return added;
+  }
+
+  // RFC 8216 6.3.4: reload after the target duration, half of it when nothing changed
+  function scheduleRefresh(changed) {
+    clearTimeout(refreshTimer);
+    if (!current.playlist || current.playlist.endList || !liveRefresh) return;
+    const target = (current.playlist.targetDuration || 6) * 1000;
+    refreshTimer = setTimeout(refresh, Math.max(changed ? target : target / 2, MIN_REFRESH_MS));
+  }
+
+  async function refresh() {
+    const token = current.token;
+    try {
+      const { text, playlist } = await fetchPlaylist(current.url);
+      if (token !== current.token) return;
+      const changed = text !== current.text;
+      if (changed) showMedia(text, playlist);
+      else liveStatus(0);
+      scheduleRefresh(changed);
+    } catch (e) {
+      if (token !== current.token) return;
+      setStatus(`Refresh failed: ${e.message} (retrying)`, 'error');
+      scheduleRefresh(true);
+    }
+  }
+
+  async function selectMedia(mediaUrl, loaded = null) {
+    clearTimeout(refreshTimer);
+    const token = ++current.token;
+    current.url = mediaUrl;
+    markSelected(tree, mediaUrl);
+    summaryTitle.textContent = `Media playlist · ${lastPathPart(mediaUrl)}`;
+    table.reset();
+    setStatus('Loading...');
+    try {
+      const { text, playlist } = loaded || await fetchPlaylist(mediaUrl);
+      if (token !== current.token) return;
+      if (playlist.isMaster) throw new Error('Expected a media playlist');
+      showMedia(text, playlist);
+      scheduleRefresh(true);
+    } catch (e) {
+      if (token !== current.token) return;
+      setStatus(`Could not load playlist: ${e.message}`, 'error');
+    }
+  }
+
+  async function openPlaylist() {
+    clearTimeout(refreshTimer);
+    current.token++;
+    setStatus('Loading...');
+    let loaded;
+    try {
+      loaded = await fetchPlaylist(url);
+    } catch (e) {
+      setStatus(`Could not load playlist: ${e.message}`, 'error');
+      return;
+    }
+
+    const { text, playlist } = loaded;
+    if (!playlist.isMaster) {
+      layout.classList.add('media-only');
+      current.sessionKeys = [];
+      selectMedia(url, loaded);
+      return;
+    }
+
+    layout.classList.remove('media-only');
+    current.sessionKeys = playlist.sessionKeys;
+    renderTree(tree, playlist, selectMedia);
+    renderRaw(masterRaw, text);
+
+    // Keep the playlist picked before a reload when the master still lists it
+    const listed = new Set([...tree.querySelectorAll('.node.link')].map(node => node.dataset.url));
+    const variant = selectVariant(playlist.variants);
+    const target = listed.has(current.url) ? current.url : variant && variant.url;
+    if (target) selectMedia(target);
+    else setStatus('Master playlist lists no media playlists', 'error');
+  }
+
+  if (!url) {
+    setStatus('No playlist URL given', 'error');
+    return;
+  }
+  sourceEl.textContent = url;
+  document.title = `Manifest Inspector - ${lastPathPart(url)}`;
+
+  document.getElementById('reload').addEventListener('click', openPlaylist);
+  liveToggle.addEventListener('click', () => {
+    liveRefresh = !liveRefresh;
+    liveToggle.textContent = liveRefresh ? 'Pause refresh' : 'Resume refresh';
+    if (liveRefresh) refresh();
+    else {
+      clearTimeout(refreshTimer);
+      liveStatus(0);
+    }
+  });
+
+  openPlaylist();
+});
@@ -0,0 +1,488 @@
+/**
+ * Media Probe v1.0.0
+ * - Reads MP4 / WebM metadata from a few ranged requests instead of the whole file
+ * - MP4: ftyp brand, moov (mvhd / mehd / tkhd / mdhd / hdlr / stsd / stts), moov found after mdat too
+ * - WebM / Matroska: EBML DocType, Segment Info (duration) and Tracks
+ * - RFC 6381 codec strings (avc1, hvc1, av01, vp09, mp4a) where the config box allows
+ * - No DOM dependency: loaded by the service worker (importScripts)
+ */
+
+// ---- Types ----
+
+/**
+ * @typedef {Object} ProbeTrack
+ * @property {string} kind                  video | audio | other
+ * @property {string} codec
+ * @property {boolean} encrypted            encv / enca sample entry, or WebM ContentEncryption
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {number|null} frameRate
+ * @property {number|null} sampleRate
+ * @property {number|null} channels
+ */
+
+/**
+ * @typedef {Object} MediaProbe
+ * @property {string} container             MP4 | WebM
+ * @property {string|null} brand            ftyp major brand or EBML DocType
+ * @property {number|null} duration         Seconds
+ * @property {number|null} size             Bytes, from Content-Range
+ * @property {boolean|null} moovAtFront     MP4 only: moov before mdat (playable while downloading)
+ * @property {ProbeTrack[]} tracks
+ */
+
+const PROBE_HEAD_BYTES = 64 * 1024;
+const PROBE_MAX_MOOV_BYTES = 8 * 1024 * 1024;
+const PROBE_MAX_BOX_HOPS = 8; // top-level boxes walked past the head looking for moov
+const PROBE_TIMEOUT_MS = 15000; // per request; a stalled server must not hold a probe slot
+
+// ---- Byte Helpers ----
+function fourcc(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function readUint(bytes, offset, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i];
+  return value;
+}
+
+function hex2(value) {
+  return value.toString(16).padStart(2, '0');
+}
+
+// ---- MP4 Boxes ----
+
+// Boxes between start and end: { type, offset, start (payload), end, size }; the last one may run past `end`
+function mp4Boxes(bytes, start, end, baseOffset = 0) {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = readUint(bytes, pos, 4);
+    const type = fourcc(bytes, pos + 4);
+    let header = 8;
+    if (size === 1) {
+      if (pos + 16 > end) break;
+      size = readUint(bytes, pos + 8, 8);
+      header = 16;
+    } else if (size === 0) {
+      size = Infinity; // runs to the end of the file
+    }
+    if (size < header) break;
+    boxes.push({ type, offset: baseOffset + pos, start: pos + header, end: Math.min(pos + size, end), size });
+    pos += size;
+  }
+  return boxes;
+}
+
+function childBox(bytes, box, type) {
+  return mp4Boxes(bytes, box.start, box.end).find(child => child.type === type) || null;
+}
+
+function childPath(bytes, box, ...types) {
+  let current = box;
+  for (const type of types) {
+    current = current && childBox(bytes, current, type);
+  }
+  return current;
+}
+
+// Reversed bit order, as RFC 6381 writes HEVC compatibility flags
+function reverseBits32(value) {
+  let result = 0;
+  for (let i = 0; i < 32; i++) {
+    result = result * 2 + (value & 1);
+    value >>>= 1;
+  }
+  return result;
+}
+
+// ES descriptor lengths are 7 bits per byte with a continuation flag
+function readDescriptorLength(bytes, pos) {
+  let length = 0;
+  for (let i = 0; i < 4; i++) {
+    const b = bytes[pos++];
+    length = (length << 7) | (b & 0x7f);
+    if (!(b & 0x80)) break;
+  }
+  return { length, pos };
+}
+
+function esdsCodec(bytes, box) {
+  let pos = box.start + 4;
+  if (bytes[pos] !== 0x03) return 'mp4a';
+  pos = readDescriptorLength(bytes, pos + 1).pos;
+  const flags = bytes[pos + 2];
+  pos += 3;
+  if (flags & 0x80) pos += 2;
+  if (flags & 0x40) pos += 1 + bytes[pos];
+  if (flags & 0x20) pos += 2;
+  if (bytes[pos] !== 0x04) return 'mp4a';
+  pos = readDescriptorLength(bytes, pos + 1).pos;
+  const objectType = bytes[pos];
+  pos += 13;
+  if (bytes[pos] !== 0x05) return `mp4a.${hex2(objectType)}`;
+  pos = readDescriptorLength(bytes, pos + 1).pos;
+  let audioObjectType = bytes[pos] >> 3;
+  if (audioObjectType === 31) audioObjectType = 32 + (((bytes[pos] & 0x07) << 3) | (bytes[pos + 1] >> 5));
+  return `mp4a.${hex2(objectType)}.${audioObjectType}`;
+}
+
+function sampleEntryCodec(bytes, entry, format, configs) {
+  const config = type => configs.find(box => box.type === type);
+  if (format === 'avc1' || format === 'avc3') {
+    const avcC = config('avcC');
+    if (avcC) return `${format}.${hex2(bytes[avcC.start + 1])}${hex2(bytes[avcC.start + 2])}${hex2(bytes[avcC.start + 3])}`;
+  }
+  if (format === 'hvc1' || format === 'hev1') {
+    const hvcC = config('hvcC');
+    if (hvcC) {
+      const p = hvcC.start;
+      const profileSpace = ['', 'A', 'B', 'C'][bytes[p + 1] >> 6];
+      const tier = bytes[p + 1] & 0x20 ? 'H' : 'L';
+      const compatibility = reverseBits32(readUint(bytes, p + 2, 4)).toString(16);
+      return `${format}.${profileSpace}${bytes[p + 1] & 0x1f}.${compatibility}.${tier}${bytes[p + 12]}`;
+    }
+  }
+  if (format === 'av01') {
+    const av1C = config('av1C');
+    if (av1C) {
+      const p = av1C.start;
+      const bitDepth = bytes[p + 2] & 0x40 ? (bytes[p + 2] & 0x20 ? 12 : 10) : 8;
+      const level = String(bytes[p + 1] & 0x1f).padStart(2, '0');
+      return `av01.${bytes[p + 1] >> 5}.${level}${bytes[p + 2] & 0x80 ? 'H' : 'M'}.${String(bitDepth).padStart(2, '0')}`;
+    }
+  }
+  if (format === 'vp09') {
+    const vpcC = config('vpcC');
+    if (vpcC) {
+      const p = vpcC.start + 4;
+      return `vp09.${hex2(bytes[p])}.${String(bytes[p + 1]).padStart(2, '0')}.${String(bytes[p + 2] >> 4).padStart(2, '0')}`;
+    }
+  }
+  if (format === 'mp4a') {
+    const esds = config('esds');
+    if (esds) return esdsCodec(bytes, esds);
+  }
+  return format;
+}
+
+function parseSampleEntry(bytes, stsd, kind) {
+  const entry = mp4Boxes(bytes, stsd.start + 8, stsd.end)[0];
+  if (!entry) return { codec: null, encrypted: false };
+
+  let childStart = entry.start + 8;
+  const info = { width: null, height: null, sampleRate: null, channels: null };
+  if (kind === 'video') {
+    info.width = readUint(bytes, entry.start + 24, 2);
+    info.height = readUint(bytes, entry.start + 26, 2);
+    childStart = entry.start + 78;
+  } else if (kind === 'audio') {
+    const version = readUint(bytes, entry.start + 8, 2); // QuickTime sound description version
+    info.channels = readUint(bytes, entry.start + 16, 2);
+    info.sampleRate = readUint(bytes, entry.start + 24, 2);
+    childStart = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+  }
+
+  const configs = mp4Boxes(bytes, childStart, entry.end);
+  let format = entry.type;
+  const encrypted = format === 'encv' || format === 'enca';
+  if (encrypted) {
+    const sinf = configs.find(box => box.type === 'sinf');
+    const frma = sinf && childBox(bytes, sinf, 'frma');
+    if (frma) format = fourcc(bytes, frma.start);
+  }
+  return { ...info, codec: sampleEntryCodec(bytes, entry, format, configs), encrypted };
+}
+
+function parseTrak(bytes, trak) {
+  const mdia = childBox(bytes, trak, 'mdia');
+  if (!mdia) return null;
+
+  const hdlr = childBox(bytes, mdia, 'hdlr');
+  const handler = hdlr ? fourcc(bytes, hdlr.start + 8) : '';
+  const kind = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : 'other';
+
+  let seconds = null;
+  const mdhd = childBox(bytes, mdia, 'mdhd');
+  if (mdhd) {
+    const v1 = bytes[mdhd.start] === 1;
+    const timescale = readUint(bytes, mdhd.start + (v1 ? 20 : 12), 4);
+    const duration = readUint(bytes, mdhd.start + (v1 ? 24 : 16), v1 ? 8 : 4);
+    if (timescale && duration) seconds = duration / timescale;
+  }
+
+  const stbl = childPath(bytes, mdia, 'minf', 'stbl');
+  const stsd = stbl && childBox(bytes, stbl, 'stsd');
+  const track = {
+    kind,
+    codec: null,
+    encrypted: false,
+    width: null,
+    height: null,
+    frameRate: null,
+    sampleRate: null,
+    channels: null,
+    ...(stsd ? parseSampleEntry(bytes, stsd, kind) : {})
+  };
+
+  // tkhd carries the display size (16.16), which beats the coded size of the sample entry
+  const tkhd = childBox(bytes, trak, 'tkhd');
+  if (tkhd && kind === 'video') {
+    const base = tkhd.start + (bytes[tkhd.start] === 1 ? 88 : 76);
+    const width = readUint(bytes, base, 4) / 65536;
+    const height = readUint(bytes, base + 4, 4) / 65536;
+    if (width && height) {
+      track.width = Math.round(width);
+      track.height = Math.round(height);
+    }
+  }
+
+  // Progressive files only: fragmented ones have empty sample tables
+  const stts = stbl && childBox(bytes, stbl, 'stts');
+  if (stts && kind === 'video' && seconds) {
+    let samples = 0;
+    const count = readUint(bytes, stts.start + 4, 4);
+    for (let i = 0; i < count && stts.start + 16 + i * 8 <= stts.end; i++) {
+      samples += readUint(bytes, stts.start + 8 + i * 8, 4);
+    }
+    if (samples) track.frameRate = Math.round((samples / seconds) * 1000) / 1000;
+  }
+  return track;
+}
+
+function parseMoov(bytes, moov) {
+  let duration = null;
+  const mvhd = childBox(bytes, moov, 'mvhd');
+  if (mvhd) {
+    const v1 = bytes[mvhd.start] === 1;
+    const timescale = readUint(bytes, mvhd.start + (v1 ? 20 : 12), 4);
+    let units = readUint(bytes, mvhd.start + (v1 ? 24 : 16), v1 ? 8 : 4);
+    // Fragmented files put the real duration in mvex/mehd
+    const mehd = childPath(bytes, moov, 'mvex', 'mehd');
+    if (!units && mehd) units = readUint(bytes, mehd.start + 4, bytes[mehd.start] === 1 ? 8 : 4);
+    if (timescale && units) duration = units / timescale;
+  }
+  const tracks = mp4Boxes(bytes, moov.start, moov.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => parseTrak(bytes, trak))
+    .filter(Boolean);
+  return { duration, tracks };
+}
+
+// ---- EBML (WebM / Matroska) ----
+const EBML_HEADER = 0x1a45dfa3;
+const EBML_DOC_TYPE = 0x4282;
+const MKV_SEGMENT = 0x18538067;
+const MKV_INFO = 0x1549a966;
+const MKV_TIMESTAMP_SCALE = 0x2ad7b1;
+const MKV_DURATION = 0x4489;
+const MKV_TRACKS = 0x1654ae6b;
+const MKV_TRACK_ENTRY = 0xae;
+const MKV_TRACK_TYPE = 0x83;
+const MKV_CODEC_ID = 0x86;
+const MKV_DEFAULT_DURATION = 0x23e383;
+const MKV_VIDEO = 0xe0;
+const MKV_PIXEL_WIDTH = 0xb0;
+const MKV_PIXEL_HEIGHT = 0xba;
+const MKV_AUDIO = 0xe1;
+const MKV_SAMPLING_FREQUENCY = 0xb5;
+const MKV_CHANNELS = 0x9f;
+const MKV_CONTENT_ENCODINGS = 0x6d80;
+const MKV_CLUSTER = 0x1f43b675;
+
+const MKV_CODECS = {
+  V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1', 'V_MPEG4/ISO/AVC': 'avc1', 'V_MPEGH/ISO/HEVC': 'hvc1',
+  A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'mp4a', A_FLAC: 'flac', A_AC3: 'ac-3', A_EAC3: 'ec-3'
+};
+
+// Variable-length integer: IDs keep their length marker, sizes drop it (all ones = unknown size)
+function readVint(bytes, pos, keepMarker) {
+  const first = bytes[pos];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (pos + length > bytes.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) allOnes = false;
+  }
+  return { value: !keepMarker && allOnes ? -1 : value, length };
+}
+
+function ebmlElements(bytes, start, end) {
+  const elements = [];
+  let pos = start;
+  while (pos < end) {
+    const id = readVint(bytes, pos, true);
+    const size = id && readVint(bytes, pos + id.length, false);
+    if (!size) break;
+    const dataStart = pos + id.length + size.length;
+    const dataEnd = size.value < 0 ? end : dataStart + size.value;
+    elements.push({ id: id.value, start: dataStart, end: Math.min(dataEnd, end), complete: dataEnd <= end });
+    if (dataEnd > end) break;
+    pos = dataEnd;
+  }
+  return elements;
+}
+
+function ebmlFloat(bytes, element) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.start, element.end - element.start);
+  return element.end - element.start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function ebmlString(bytes, element) {
+  return String.fromCharCode(...bytes.subarray(element.start, element.end)).replace(/\0+$/, '');
+}
+
+function parseMkvTrack(bytes, entry) {
+  const track = {
+    kind: 'other', codec: null, encrypted: false, width: null, height: null, frameRate: null, sampleRate: null, channels: null
+  };
+  for (const el of ebmlElements(bytes, entry.start, entry.end)) {
+    if (el.id === MKV_TRACK_TYPE) track.kind = { 1: 'video', 2: 'audio' }[readUint(bytes, el.start, el.end - el.start)] || 'other';
+    else if (el.id === MKV_CODEC_ID) {
+      const id = ebmlString(bytes, el);
+      track.codec = MKV_CODECS[id] || id;
+    } else if (el.id === MKV_DEFAULT_DURATION) {
+      const nanoseconds = readUint(bytes, el.start, el.end - el.start);
+      if (nanoseconds) track.frameRate = Math.round((1e9 / nanoseconds) * 1000) / 1000;
+    } else if (el.id === MKV_CONTENT_ENCODINGS) {
+      track.encrypted = true;
+    } else if (el.id === MKV_VIDEO) {
+      for (const v of ebmlElements(bytes, el.start, el.end)) {
+        if (v.id === MKV_PIXEL_WIDTH) track.width = readUint(bytes, v.start, v.end - v.start);
+        else if (v.id === MKV_PIXEL_HEIGHT) track.height = readUint(bytes, v.start, v.end - v.start);
+      }
+    } else if (el.id === MKV_AUDIO) {
+      for (const a of ebmlElements(bytes, el.start, el.end)) {
+        if (a.id === MKV_SAMPLING_FREQUENCY) track.sampleRate = ebmlFloat(bytes, a);
+        else if (a.id === MKV_CHANNELS) track.channels = readUint(bytes, a.start, a.end - a.start);
+      }
+    }
+  }
+  // Audio frame durations are not a frame rate
+  if (track.kind !== 'video') track.frameRate = null;
+  return track;
+}
+
+/**
+ * WebM / Matroska header: Info and Tracks normally precede the first Cluster.
+ * @returns {MediaProbe|null}  null when the bytes are not EBML
+ */
+function parseWebmHead(bytes) {
+  const top = ebmlElements(bytes, 0, bytes.length);
+  if (!top.length || top[0].id !== EBML_HEADER) return null;
+
+  const docType = ebmlElements(bytes, top[0].start, top[0].end).find(el => el.id === EBML_DOC_TYPE);
+  const probe = {
+    container: 'WebM', brand: docType ? ebmlString(bytes, docType) : null, duration: null, size: null, moovAtFront: null, tracks: []
+  };
+  const segment = top.find(el => el.id === MKV_SEGMENT);
+  if (!segment) return probe;
+
+  for (const el of ebmlElements(bytes, segment.start, segment.end)) {
+    if (el.id === MKV_CLUSTER) break;
+    if (el.id === MKV_INFO) {
+      let scale = 1000000;
+      let duration = null;
+      for (const info of ebmlElements(bytes, el.start, el.end)) {
+        if (info.id === MKV_TIMESTAMP_SCALE) scale = readUint(bytes, info.start, info.end - info.start);
+        else if (info.id === MKV_DURATION) duration = ebmlFloat(bytes, info);
+      }
+      if (duration) probe.duration = (duration * scale) / 1e9;
+    } else if (el.id === MKV_TRACKS) {
+      probe.tracks = ebmlElements(bytes, el.start, el.end)
+        .filter(entry => entry.id === MKV_TRACK_ENTRY && entry.complete)
+        .map(entry => parseMkvTrack(bytes, entry));
+    }
+  }
+  return probe;
+}
+
+// ---- Ranged Fetch ----
+async function fetchRange(url, start, end) {
+  const res = await fetch(url, {
+    headers: { Range: `bytes=${start}-${end - 1}` },
+    signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  // A server ignoring Range sends the whole file: read no further than needed
+  const reader = res.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (received < end - start) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  reader.cancel().catch(() => { });
+  const bytes = new Uint8Array(Math.min(received, end - start));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+    if (offset >= bytes.length) break;
+  }
+
+  const range = (res.headers.get('content-range') || '').match(/\/(\d+)\s*$/);
+  const length = parseInt(res.headers.get('content-length'), 10);
+  const total = range ? parseInt(range[1], 10) : res.status === 200 && length > 0 ? length : null;
+  return { bytes, total, ranged: res.status === 206 };
+}
+
+// Walk the top-level boxes after the head one 16-byte header at a time (skipping mdat,
+// free, ...) until moov turns up; its body is fetched once the size is known
+async function findMoov(url, offset, total) {
+  for (let i = 0; i < PROBE_MAX_BOX_HOPS; i++) {
+    if (total && offset >= total) break;
+    const { bytes } = await fetchRange(url, offset, offset + 16);
+    const [box] = mp4Boxes(bytes, 0, bytes.length, offset);
+    if (!box) break;
+    if (box.type === 'moov') return box;
+    if (!Number.isFinite(box.size)) break;
+    offset += box.size;
+  }
+  throw new Error('No moov box');
+}
+
+/**
+ * Probe an MP4 or WebM URL: one 64 KB request for the head; when the moov is not in
+ * it, a 16-byte request per box header up to the moov, then exactly the moov.
+ * @returns {Promise<MediaProbe>}
+ */
+async function probeMedia(url) {
+  const head = await fetchRange(url, 0, PROBE_HEAD_BYTES);
+  const webm = parseWebmHead(head.bytes);
+  if (webm) return { ...webm, size: head.total };
+
+  const boxes = mp4Boxes(head.bytes, 0, head.bytes.length);
+  if (!boxes.length || boxes[0].type !== 'ftyp') throw new Error('Not an MP4 or WebM file');
+  const probe = {
+    container: 'MP4', brand: fourcc(head.bytes, boxes[0].start), duration: null, size: head.total, moovAtFront: null, tracks: []
+  };
+
+  let moov = boxes.find(box => box.type === 'moov');
+  let bytes = head.bytes;
+  if (!moov || moov.offset + moov.size > head.bytes.length) {
+    // Either moov is cut off by the head (its header has the size), or it follows mdat
+    const last = boxes[boxes.length - 1];
+    const next = last.offset + last.size;
+    if (!moov && (!Number.isFinite(next) || (head.total && next >= head.total))) throw new Error('No moov box');
+    if (!head.ranged) throw new Error('Server ignores Range; moov is not at the front');
+    if (!moov) moov = await findMoov(url, next, head.total);
+    if (moov.size > PROBE_MAX_MOOV_BYTES) throw new Error(`moov box too large (${moov.size} bytes)`);
+    const tail = await fetchRange(url, moov.offset, moov.offset + moov.size);
+    bytes = tail.bytes;
+    moov = mp4Boxes(bytes, 0, bytes.length, moov.offset).find(box => box.type === 'moov');
+    if (!moov) throw new Error('No moov box');
+  }
+
+  const mdat = boxes.find(box => box.type === 'mdat');
+  probe.moovAtFront = !mdat || moov.offset < mdat.offset;
+  return { ...probe, ...parseMoov(bytes, moov) };
+}
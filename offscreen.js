@@ -1,18 +1,39 @@
 /**
  * Offscreen Document v2.0.0
  * - AES-128 encrypted HLS support (#EXT-X-KEY)
+ * - Per-segment keys with key rotation (keys fetched once per URI)
+ * - fMP4/CMAF init segments (#EXT-X-MAP), re-emitted when the map changes
+ * - MPEG-TS -> MP4 remux via remux.js (progressive / fragmented / keep .ts)
  * - Configurable concurrency (default 8, was 15)
+ * - Sliding-window segment scheduler: connections adapt to throughput and errors
+ * - Failed segments reported as gaps (sequence, time range, HTTP status / decrypt error);
+ *   strict integrity mode keeps them out of a saved file and leaves the job resumable
+ * - Optional bandwidth cap shared by all downloads; byte-based speed and ETA
  * - Proper blob URL revocation
  * - Stream-based memory management for large files
- * - Master playlist quality selection (picks highest bitrate)
+ * - Segments and output staged on disk (OPFS) as they arrive; memory bounded by the concurrency window
+ * - Resumable HLS and DASH jobs: playlists / segment lists, keys and completed segments recorded,
+ *   missing segments fetched on resume
+ * - Queue control: connections granted per job, pause holds new requests, cancel via AbortController
+ * - Master playlist variant selection (user pick or saved preference rule)
+ * - Alternate audio renditions muxed in (or saved alongside); WebVTT stitched to .vtt/.srt
+ * - MPEG-DASH download of clear representations (video + audio merged to MP4)
+ * - Live HLS recording: playlist re-polled per target duration until ENDLIST, stop or time limit
+ * - Time-range clips: only the covering segments fetched, captured span noted in a .clip.txt
+ * - Playlist model from hls-playlist.js (EXTINF, BYTERANGE, MAP, DISCONTINUITY, ...)
  * - Retry logic for failed segments
  * - Fetch-based direct download fallback
+ * - Page Referer / Origin registered with the background worker for every media host before fetching
+ * - Direct files split into byte ranges fetched in parallel when the server supports ranges;
+ *   a failed ranged download is resumable after the ranges already staged
  * - Progress with speed and ETA estimation
  */
 
 const CONCURRENCY = 8;
+const INITIAL_CONNECTIONS = 4;
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
+const PROGRESS_INTERVAL_MS = 500;
 
 // ---- AES-128 Decryption ----
 async function importAesKey(keyData) {
@@ -44,83 +65,148 @@ function parseHexIV(ivString) {
 }
 
 function sequenceIV(sequenceNumber) {
+  // 128-bit big-endian media sequence number
   const iv = new Uint8Array(16);
   const view = new DataView(iv.buffer);
-  view.setUint32(12, sequenceNumber);
+  view.setUint32(8, Math.floor(sequenceNumber / 0x100000000));
+  view.setUint32(12, sequenceNumber >>> 0);
   return iv;
 }
 
-// ---- HLS Parsing ----
-function parseM3u8(text, baseUrl) {
-  const lines = text.split('\n').map(l => l.trim());
-  const result = {
-    isMaster: false,
-    variants: [],
-    segments: [],
-    encryption: null,
-    mediaSequence: 0
-  };
+function keyToHex(raw) {
+  return Array.from(new Uint8Array(raw), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Keys are fetched once per URI; concurrent segments share the pending promise.
+// `savedKeys` (key url -> hex) come from a resumed job record; `onKey` is told
+// about every key fetched so the record can keep it.
+function createKeyCache(savedKeys = {}, onKey = null) {
+  const keys = new Map(); // key url -> Promise<CryptoKey>
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    // Master playlist detection
-    if (line.startsWith('#EXT-X-STREAM-INF')) {
-      result.isMaster = true;
-      const bandwidthMatch = line.match(/BANDWIDTH=(\d+)/i);
-      const resMatch = line.match(/RESOLUTION=(\d+x\d+)/i);
-      const nextLine = lines[i + 1];
-      if (nextLine && !nextLine.startsWith('#')) {
-        result.variants.push({
-          bandwidth: bandwidthMatch ? parseInt(bandwidthMatch[1]) : 0,
-          resolution: resMatch ? resMatch[1] : 'unknown',
-          url: new URL(nextLine, baseUrl).href
-        });
-        i++;
+  return {
+    get size() { return keys.size; },
+
+    get(keyUrl) {
+      if (!keys.has(keyUrl)) {
+        const pending = (async () => {
+          // AES-128 keys are 16 bytes, the same hex layout as an IV
+          if (savedKeys[keyUrl]) return importAesKey(parseHexIV(savedKeys[keyUrl]));
+          const res = await fetch(keyUrl);
+          if (!res.ok) throw new Error(`Key fetch failed: ${res.status}`);
+          const raw = await res.arrayBuffer();
+          if (onKey) onKey(keyUrl, keyToHex(raw));
+          return importAesKey(raw);
+        })();
+        // Let a later segment retry a key that failed to load
+        pending.catch(() => keys.delete(keyUrl));
+        keys.set(keyUrl, pending);
       }
+      return keys.get(keyUrl);
     }
+  };
+}
 
-    // Media sequence
-    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE')) {
-      const val = line.split(':')[1];
-      if (val) result.mediaSequence = parseInt(val) || 0;
+function assertSupportedEncryption(segments) {
+  for (const segment of segments) {
+    const method = segment.key ? segment.key.method : 'NONE';
+    if (method !== 'NONE' && method !== 'AES-128') {
+      throw new Error(`Unsupported encryption: ${method}`);
     }
+    if (method === 'AES-128' && !segment.key.url) {
+      throw new Error(`Missing key URI for segment ${segment.sequence}`);
+    }
+  }
+}
 
-    // Encryption key
-    if (line.startsWith('#EXT-X-KEY')) {
-      const methodMatch = line.match(/METHOD=([^,]+)/i);
-      const uriMatch = line.match(/URI="([^"]+)"/i);
-      const ivMatch = line.match(/IV=([^,]+)/i);
+// Decrypt with the key in effect for this segment; clear segments pass through.
+// `sequence` supplies the IV when the key tag has none.
+async function decryptWithKey(data, key, sequence, keyCache) {
+  if (!key || key.method !== 'AES-128') return data;
 
-      const method = methodMatch ? methodMatch[1] : 'NONE';
-      if (method === 'AES-128' && uriMatch) {
-        result.encryption = {
-          method,
-          keyUrl: new URL(uriMatch[1], baseUrl).href,
-          iv: ivMatch ? ivMatch[1] : null
-        };
-      } else if (method === 'NONE') {
-        result.encryption = null;
-      }
-    }
+  const cryptoKey = await keyCache.get(key.url);
+  const iv = key.iv ? parseHexIV(key.iv) : sequenceIV(sequence);
+  return decryptSegment(data, cryptoKey, iv);
+}
 
-    // Segment
-    if (line && !line.startsWith('#')) {
-      result.segments.push(new URL(line, baseUrl).href);
-    }
+async function decryptForSegment(data, segment, keyCache) {
+  return decryptWithKey(data, segment.key, segment.sequence, keyCache);
+}
+
+// ---- Init Segments (EXT-X-MAP) ----
+function mapId(map) {
+  if (!map) return null;
+  return map.byteRange ? `${map.url}@${map.byteRange.offset}+${map.byteRange.length}` : map.url;
+}
+
+// Fetch (and decrypt) every distinct init section once, keyed by mapId.
+// Pass `inits` to extend an existing map (live recording refreshes).
+async function fetchInitSections(segments, keyCache, inits = new Map()) {
+  for (const segment of segments) {
+    const id = mapId(segment.map);
+    if (!id || inits.has(id)) continue;
+
+    const data = await fetchWithRetry(segment.map.url, segment.map.byteRange);
+    if (!data) throw new Error(`Init segment fetch failed: ${segment.map.uri}`);
+    // Without an explicit IV the init section uses the sequence number of its first segment
+    inits.set(id, await decryptWithKey(data, segment.map.key, segment.sequence, keyCache));
   }
+  return inits;
+}
 
-  return result;
+// ---- Request Headers ----
+// The background worker keeps the page's Referer / Origin on a rule per media host; hosts first
+// seen here (variant, segment, key CDNs) are registered before anything is fetched from them
+function applyRequestOrigin(urls, pageUrl) {
+  const origins = new Set();
+  for (const url of urls) {
+    try {
+      const { protocol, origin } = new URL(url);
+      if (/^https?:$/.test(protocol)) origins.add(origin);
+    } catch (e) { /* not a URL */ }
+  }
+  if (!pageUrl || !origins.size) return Promise.resolve();
+  return new Promise(resolve => chrome.runtime.sendMessage(
+    { action: 'setRequestOrigin', urls: [...origins], pageUrl },
+    () => { void chrome.runtime.lastError; resolve(); }
+  ));
 }
 
 // ---- Segment Fetcher with Retry ----
-async function fetchWithRetry(url, retries = MAX_RETRIES) {
+function rangeHeaders(byteRange) {
+  if (!byteRange) return undefined;
+  return { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` };
+}
+
+// A server that ignores Range answers 200 with the whole file, which must not take
+// the place of the requested bytes: without a 206 only a body of exactly the
+// requested length is accepted
+function ignoredRange(res, byteRange) {
+  if (!byteRange || res.status === 206) return false;
+  const length = parseInt(res.headers.get('Content-Length') || '', 10);
+  return Number.isFinite(length) && length !== byteRange.length;
+}
+
+// `onFailure(reason)` is told about every failed attempt ('HTTP 503', a network
+// error message); the last reason is why the fetch gave up
+async function fetchWithRetry(url, byteRange = null, { signal = null, retries = MAX_RETRIES, onFailure = null } = {}) {
+  const fail = (reason) => { if (onFailure) onFailure(reason); };
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const res = await fetch(url);
-      if (res.ok) return await res.arrayBuffer();
-      if (res.status === 404) return null; // Don't retry 404s
+      const res = await fetch(url, { headers: rangeHeaders(byteRange), signal });
+      if (res.ok && ignoredRange(res, byteRange)) {
+        if (res.body) res.body.cancel().catch(() => { });
+        fail('server ignored the range');
+      } else if (res.ok) {
+        const data = await readBody(res, signal);
+        if (!byteRange || res.status === 206 || data.byteLength === byteRange.length) return data;
+        fail('server ignored the range');
+      } else {
+        fail(`HTTP ${res.status}`);
+        if (res.status === 404) return null; // Don't retry 404s
+      }
     } catch (e) {
+      if (signal && signal.aborted) return null;
+      fail(e.message);
       if (attempt === retries) return null;
     }
     await new Promise(r => setTimeout(r, RETRY_DELAY_MS * (attempt + 1)));
@@ -128,227 +214,1483 @@ async function fetchWithRetry(url, retries = MAX_RETRIES) {
   return null;
 }
 
+// ---- Bandwidth Limit ----
+// One token bucket for the whole document, so the cap holds however many jobs
+// run. Each read takes its bytes up front and sleeps off any debt.
+const bandwidth = {
+  rate: 0, // bytes per second, 0 = unlimited
+  tokens: 0,
+  last: Date.now(),
+
+  setRate(bytesPerSecond) {
+    this.rate = Math.max(0, bytesPerSecond || 0);
+    this.tokens = 0;
+    this.last = Date.now();
+  },
+
+  async take(bytes, signal = null) {
+    if (!this.rate) return;
+    const now = Date.now();
+    // At most one second of burst
+    this.tokens = Math.min(this.rate, this.tokens + (now - this.last) / 1000 * this.rate);
+    this.last = now;
+    this.tokens -= bytes;
+    if (this.tokens < 0) await sleep(-this.tokens / this.rate * 1000, signal);
+  }
+};
+
+// Sleep that ends early on abort
+function sleep(ms, signal = null) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done);
+  });
+}
+
+// Response body, read chunk by chunk while a bandwidth limit is set
+async function readBody(res, signal) {
+  if (!bandwidth.rate || !res.body) {
+    const data = await res.arrayBuffer();
+    await bandwidth.take(data.byteLength, signal);
+    return data;
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    await bandwidth.take(value.byteLength, signal);
+    chunks.push(value);
+    size += value.byteLength;
+  }
+
+  const data = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return data.buffer;
+}
+
+// ---- Job Control ----
+// Pause / cancel from the background download queue. A job runs with at most
+// the number of connections the queue granted it.
+const jobControls = new Map(); // job id -> control
+
+function createJobControl(jobId, options = {}) {
+  // Jobs carry the current limit; a settings change also updates running ones
+  if (options.maxBytesPerSecond !== undefined) bandwidth.setRate(options.maxBytesPerSecond);
+  // Registered when the job arrived (see the message handler), possibly paused or cancelled since
+  if (jobControls.has(jobId)) return jobControls.get(jobId);
+
+  const controller = new AbortController();
+  const control = {
+    jobId,
+    connections: options.connections || CONCURRENCY,
+    paused: false,
+    stopped: false, // live recording: finish and save what was recorded
+    controller,
+    signal: controller.signal
+  };
+  jobControls.set(jobId, control);
+  return control;
+}
+
+// Hand connections the job cannot use back to the queue (a direct file without ranges
+// or with fewer parts than it was granted)
+function releaseConnections(control, connections) {
+  if (connections >= control.connections) return;
+  control.connections = connections;
+  chrome.runtime.sendMessage({ action: 'releaseConnections', jobId: control.jobId, connections });
+}
+
+// Before each request: wait while paused, throw once cancelled
+async function checkpoint(control) {
+  while (control.paused && !control.signal.aborted) {
+    await new Promise(r => setTimeout(r, 250));
+  }
+  if (control.signal.aborted) throw new Error('Cancelled');
+}
+
+// ---- Segment Download ----
+// Connections in flight for one job: one more while throughput keeps rising,
+// one less when it drops, halved on errors. Never above what the queue granted.
+function createConnectionWindow(max) {
+  const SAMPLE_MS = 2000;
+  let size = Math.min(INITIAL_CONNECTIONS, max);
+  let sampleStart = Date.now();
+  let sampleBytes = 0;
+  let lastRate = 0;
+
+  return {
+    get size() { return size; },
+
+    onData(bytes) {
+      sampleBytes += bytes;
+      const elapsed = Date.now() - sampleStart;
+      if (elapsed < SAMPLE_MS) return;
+      const rate = sampleBytes / elapsed;
+      if (rate > lastRate * 1.1) size = Math.min(size + 1, max);
+      else if (rate < lastRate * 0.8) size = Math.max(size - 1, 1);
+      lastRate = rate;
+      sampleStart = Date.now();
+      sampleBytes = 0;
+    },
+
+    onError() {
+      size = Math.max(1, Math.floor(size / 2));
+      lastRate = 0;
+      sampleStart = Date.now();
+      sampleBytes = 0;
+    }
+  };
+}
+
+// Fetch and decrypt segments through a sliding window: a new request starts as
+// soon as one finishes, so a slow segment holds up only its own slot. Each
+// segment is handed to `onSegment(segment, data)` when it arrives (data is null
+// for a failed segment) and `onProgress(1, bytes)` follows; memory holds only
+// the requests in flight. Failed segments come back in `failures` with the
+// reason (last HTTP status or network error, or the decrypt error).
+async function downloadSegments(segments, keyCache, onProgress, onSegment, control) {
+  const slots = createConnectionWindow(control.connections);
+  const inFlight = new Set();
+  const failures = [];
+  let next = 0;
+
+  const fail = async (segment, reason) => {
+    failures.push({ index: segment.index, sequence: segment.sequence, start: segment.start, duration: segment.duration, reason });
+    await onSegment(segment, null);
+    onProgress(1, 0);
+  };
+
+  const run = async (segment) => {
+    let reason = 'Fetch failed';
+    const data = await fetchWithRetry(segment.url, segment.byteRange, {
+      signal: control.signal,
+      onFailure: (why) => {
+        reason = why;
+        slots.onError();
+      }
+    });
+    // Segments cut off by a cancel are not failures
+    if (control.signal.aborted) return;
+    if (!data) return fail(segment, reason);
+    slots.onData(data.byteLength);
+
+    // Decrypt if needed. Still-encrypted bytes would only corrupt the output,
+    // so a segment that can't be decrypted is a failed one.
+    let clear;
+    try {
+      clear = await decryptForSegment(data, segment, keyCache);
+    } catch (e) {
+      console.error(`Decrypt failed for segment ${segment.index}:`, e);
+      // WebCrypto's OperationError on AES-CBC means the padding didn't check out
+      return fail(segment, e.name === 'OperationError' ? 'Decrypt failed: wrong key or IV' : `Decrypt failed: ${e.message}`);
+    }
+    await onSegment(segment, clear);
+    onProgress(1, data.byteLength);
+  };
+
+  try {
+    while (next < segments.length) {
+      await checkpoint(control);
+      if (inFlight.size >= slots.size) {
+        await Promise.race(inFlight);
+        continue;
+      }
+      const task = run(segments[next++]).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }
+    while (inFlight.size) await Promise.race(inFlight);
+  } finally {
+    // A failed write or a cancel: let the other requests settle before cleanup
+    await Promise.allSettled(inFlight);
+  }
+  if (control.signal.aborted) throw new Error('Cancelled');
+
+  return { failures };
+}
+
+// ---- Gaps ----
+// Failed segments of a track, labelled for the popup: source, sequence, time range and reason
+function describeGaps(source, failures) {
+  return failures.map((failure) => {
+    const range = failure.start === null || failure.start === undefined
+      ? ''
+      : ` ${formatClock(failure.start)}-${formatClock(failure.start + (failure.duration || 0))}`;
+    const number = failure.sequence !== undefined ? failure.sequence : failure.index;
+    return { source, ...failure, label: `${source} #${number}${range}: ${failure.reason}` };
+  });
+}
+
+// Warning with the first few gaps; the full list travels with the progress message
+function gapWarning(gaps, totalSegments) {
+  const shown = gaps.slice(0, 3).map(gap => gap.label).join('; ');
+  const more = gaps.length > 3 ? `; +${gaps.length - 3} more` : '';
+  return `Warning: ${gaps.length}/${totalSegments} segments failed (${shown}${more})`;
+}
+
+// Strict mode: a file with holes is not saved
+class IntegrityError extends Error {
+  constructor(gaps) {
+    super(`${gaps.length} segment(s) failed; nothing saved (strict integrity mode)`);
+    this.name = 'IntegrityError';
+    this.gaps = gaps;
+  }
+}
+
+// Progress callback for downloadSegments, shared by all tracks of a job. Speed is
+// measured in bytes over the last few seconds; the ETA assumes the remaining
+// segments average the size of those fetched so far. `done` segments were
+// already stored by an earlier run (resume).
+function segmentProgress(report, totalSegments, done = 0) {
+  const SPEED_WINDOW_MS = 5000;
+  const samples = []; // [time, bytes]
+  let completed = done;
+  let fetchedBytes = 0;
+  let lastReport = 0;
+
+  return (count, bytes) => {
+    const now = Date.now();
+    completed += count;
+    fetchedBytes += bytes;
+    samples.push([now, bytes]);
+    while (samples.length > 1 && now - samples[0][0] > SPEED_WINDOW_MS) samples.shift();
+    if (now - lastReport < PROGRESS_INTERVAL_MS && completed < totalSegments) return;
+    lastReport = now;
+
+    const span = Math.max(now - samples[0][0], 1000) / 1000;
+    const speed = samples.reduce((n, [, size]) => n + size, 0) / span;
+    const fetched = completed - done;
+    const remainingBytes = fetched > 0 ? (fetchedBytes / fetched) * (totalSegments - completed) : 0;
+    const remaining = speed > 0 ? Math.round(remainingBytes / speed) : '?';
+    const speedMB = (speed / (1024 * 1024)).toFixed(1);
+    const progress = Math.round((completed / totalSegments) * 100);
+
+    report(
+      `${completed}/${totalSegments} segments - ${speedMB}MB/s (${remaining}s left)`,
+      Math.min(progress, 95)
+    );
+  };
+}
+
+// The playlist text is kept so a resumed job sees the same segment URLs
+async function fetchPlaylist(url, label) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${label} fetch failed: ${res.status}`);
+  const text = await res.text();
+  return { ...parseM3u8(text, url), text };
+}
+
+// ---- Renditions (EXT-X-MEDIA) ----
+// requested: undefined = automatic, '' = none (audio stays muxed in the variant), else a rendition URL
+function pickRendition(renditions, requested, automatic) {
+  if (requested === '') return null;
+  if (requested) return renditions.find(r => r.url === requested) || null;
+  return automatic(renditions);
+}
+
+// Filename tag for a sidecar file: language, else rendition name
+function renditionTag(rendition) {
+  return (rendition.language || rendition.name || rendition.type.toLowerCase()).replace(/[^\w.-]+/g, '_');
+}
+
+async function audioSidecarFormat(track) {
+  if (track.inits.size > 0) return { extension: 'm4a', mimeType: 'audio/mp4' };
+  const first = track.playlist.segments.find(s => track.store.has(s.index));
+  if (isPackedAudio(new Uint8Array(await track.store.read(first.index)))) return { extension: 'aac', mimeType: 'audio/aac' };
+  return { extension: 'ts', mimeType: 'video/mp2t' };
+}
+
+// ---- Disk Staging ----
+
+// Every track's segments go to its own OPFS segment store (disk-staging.js)
+// as they arrive; a failed segment simply has no file
+async function openTrackStores(jobId, tracks) {
+  for (const track of tracks) {
+    track.store = await openSegmentStore(jobId, track.source);
+  }
+}
+
+function segmentSink(track) {
+  return async (segment, data) => {
+    if (data != null) await track.store.write(segment.index, data);
+  };
+}
+
+function hasSegments(track) {
+  return track.playlist.segments.some(s => track.store.has(s.index));
+}
+
+// Raw form of a track: each init section precedes the first segment that uses
+// it and is written again whenever the map changes
+async function writeTrack(track, output) {
+  let currentMap = null;
+  for (const segment of track.playlist.segments) {
+    if (!track.store.has(segment.index)) continue;
+    const id = mapId(segment.map);
+    if (id && id !== currentMap) await output.append(track.inits.get(id));
+    currentMap = id;
+    await output.append(await track.store.file(segment.index));
+  }
+}
+
+// Hand a finished staged file to the background for download. The background
+// asks for it to be removed once the browser download completes.
+async function saveStagedFile(staged, mimeType, filename, tabId) {
+  staged.kept = true;
+  // A Blob over the File references the data on disk, it does not copy it
+  const blob = new Blob([await staged.close()], { type: mimeType });
+  const blobUrl = URL.createObjectURL(blob);
+  chrome.runtime.sendMessage({ action: 'downloadCombinedBlob', blobUrl, tabId, filename, stagedFile: staged.name });
+  setTimeout(() => {
+    try { URL.revokeObjectURL(blobUrl); } catch (e) { /* ignore */ }
+  }, 30000);
+  return blob.size;
+}
+
+// Drop every staged file of a job that was not handed to the background
+async function releaseStaged(files) {
+  for (const staged of files) {
+    if (staged && !staged.kept) await staged.remove();
+  }
+}
+
+// Hand a small in-memory file (subtitles) to the background for download
+function saveBlob(parts, mimeType, filename, tabId) {
+  const blob = new Blob(parts, { type: mimeType });
+  const blobUrl = URL.createObjectURL(blob);
+  chrome.runtime.sendMessage({ action: 'downloadCombinedBlob', blobUrl, tabId, filename });
+  setTimeout(() => {
+    try { URL.revokeObjectURL(blobUrl); } catch (e) { /* ignore */ }
+  }, 30000);
+  return blob.size;
+}
+
+// ---- Remux ----
+
+// Segments of every track in presentation order, so the remuxer can interleave them.
+// The main track leads: its first segment carries the video config the remuxer waits for
+function interleaveTracks(tracks) {
+  const items = [];
+  for (const track of tracks) {
+    track.playlist.segments.forEach(segment => {
+      if (track.store.has(segment.index)) items.push({ track, segment });
+    });
+  }
+  const origin = items.length && items[0].track === tracks[0] ? items[0].segment.start : -Infinity;
+  const at = item => Math.max(item.segment.start, origin);
+  return items.sort((a, b) => at(a) - at(b));
+}
+
+async function writeParts(output, parts) {
+  for (const part of parts) await output.append(part);
+}
+
+// Progressive layout: the first part written was a placeholder for ftyp + mdat header
+async function finishOutput(output, end) {
+  await writeParts(output, end.parts);
+  if (end.header) await output.writeAt(0, end.header);
+}
+
+// Remuxes the staged TS (and packed audio) segments into `output`; failed segments are skipped
+async function remuxSegments(tracks, fragmented, output) {
+  const remuxer = createTsRemuxer({ fragmented, separateAudio: tracks.length > 1 });
+  for (const { track, segment } of interleaveTracks(tracks)) {
+    const buffer = await track.store.read(segment.index);
+    await writeParts(output, remuxer.push(new Uint8Array(buffer), {
+      source: track.source,
+      discontinuity: segment.discontinuity,
+      discontinuitySequence: segment.discontinuitySequence
+    }));
+  }
+  await finishOutput(output, remuxer.finish());
+  return { codecs: remuxer.codecs, toSeconds: (mpegts, dseq) => remuxer.outputTime(mpegts, dseq) };
+}
+
+// Merges fMP4 video with an fMP4 audio rendition into `output`
+async function remuxFmp4Segments(tracks, fragmented, output) {
+  const remuxer = createFmp4Remuxer({ fragmented, sources: tracks.map(t => t.source) });
+  const currentMap = {};
+  const items = interleaveTracks(tracks);
+  // The output moov needs every source's tracks, so load each first init up front
+  for (const track of tracks) {
+    const first = items.find(item => item.track === track);
+    if (!first) continue;
+    currentMap[track.source] = mapId(first.segment.map);
+    remuxer.pushInit(new Uint8Array(track.inits.get(currentMap[track.source])), track.source);
+  }
+  for (const { track, segment } of items) {
+    const id = mapId(segment.map);
+    if (id !== currentMap[track.source]) {
+      remuxer.pushInit(new Uint8Array(track.inits.get(id)), track.source);
+      currentMap[track.source] = id;
+    }
+    const buffer = await track.store.read(segment.index);
+    await writeParts(output, remuxer.push(new Uint8Array(buffer), { source: track.source }));
+  }
+  await finishOutput(output, remuxer.finish());
+  return { codecs: remuxer.codecs, toSeconds: mpegts => remuxer.outputTime(mpegts) };
+}
+
+// ---- Live Recording ----
+const activeRecordings = new Map(); // `${tabId}|${url}` -> job control
+
+function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const mm = String(Math.floor(total / 60) % 60).padStart(2, '0');
+  const ss = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+// Sleep that wakes early when the user stops or cancels the recording
+async function waitForPoll(ms, control) {
+  const until = Date.now() + ms;
+  while (!control.stopped && !control.signal.aborted && Date.now() < until) {
+    await new Promise(r => setTimeout(r, Math.min(250, until - Date.now())));
+  }
+}
+
+/**
+ * Re-poll every job's media playlist at the target-duration interval and append
+ * segments whose media sequence is new. Stops on EXT-X-ENDLIST in the main
+ * playlist, a user stop, or `maxDuration` seconds recorded (0 = no limit).
+ * Each job ends up with the recorded segments and init sections; media
+ * segments are staged to disk as they arrive.
+ */
+async function recordLive(jobs, keyCache, control, report, maxDuration) {
+  const main = jobs[0];
+  let recorded = 0;
+  let recordedSegments = 0;
+  let totalSegments = 0;
+  const gaps = [];
+
+  for (const job of jobs) {
+    job.window = job.playlist;
+    job.playlist = { ...job.playlist, segments: [] };
+    job.lastSequence = null;
+    job.elapsed = 0;
+  }
+
+  while (true) {
+    let added = 0;
+    for (const job of jobs) {
+      const fresh = job.window.segments.filter(s => job.lastSequence === null || s.sequence > job.lastSequence);
+      if (!fresh.length) continue;
+
+      if (job.lastSequence !== null && fresh[0].sequence > job.lastSequence + 1) {
+        const missed = fresh[0].sequence - job.lastSequence - 1;
+        report(`Warning: ${missed} ${job.source} segments left the live window before they were fetched`, null, { recording: true });
+      }
+      job.lastSequence = fresh[fresh.length - 1].sequence;
+      assertSupportedEncryption(fresh);
+
+      // Each refresh counts `start` from its own first segment; keep one running timeline
+      const segments = fresh.map(segment => {
+        const appended = { ...segment, index: job.playlist.segments.length, start: job.elapsed };
+        job.elapsed += segment.duration;
+        job.playlist.segments.push(appended);
+        return appended;
+      });
+      if (job.inits) await fetchInitSections(segments, keyCache, job.inits);
+      const result = await downloadSegments(segments, keyCache, () => { }, segmentSink(job), control);
+      gaps.push(...describeGaps(job.source, result.failures));
+      totalSegments += segments.length;
+      added += segments.length;
+      if (job === main) {
+        recordedSegments += segments.length;
+        recorded = job.elapsed;
+      }
+    }
+
+    report(`Recording ${formatClock(recorded)} · ${recordedSegments} segments`, null, { recording: true });
+
+    if (main.window.endList) {
+      report('Stream ended (#EXT-X-ENDLIST)');
+      break;
+    }
+    if (control.stopped) break;
+    if (maxDuration && recorded >= maxDuration) {
+      report(`Reached maximum recording time (${formatClock(maxDuration)})`);
+      break;
+    }
+
+    // RFC 8216 6.3.4: reload after one target duration, half of it when nothing changed
+    const target = (main.window.targetDuration || 6) * 1000;
+    await waitForPoll(added ? target : target / 2, control);
+    if (control.stopped) break;
+    await checkpoint(control);
+
+    for (const job of jobs) {
+      try {
+        job.window = await fetchPlaylist(job.url, 'Playlist');
+      } catch (e) {
+        // Keep the previous window; the next poll retries
+        console.error(`Live playlist refresh failed (${job.source}):`, e);
+      }
+    }
+  }
+
+  for (const job of jobs) delete job.window;
+  return { totalSegments, gaps };
+}
+
+// ---- Resumable Jobs ----
+// Job records are kept in chrome.storage.local by the background (the offscreen
+// document has no chrome.storage access); the segments stay in the job's OPFS
+// directory. A job whose document goes away shows up as "Resume" in the popup.
+let jobCount = 0;
+
+function newJobId() {
+  return `job_${Date.now().toString(36)}_${++jobCount}`;
+}
+
+function saveJobRecord(record) {
+  chrome.runtime.sendMessage({ action: 'saveJob', job: record });
+}
+
+function updateJobRecord(id, patch) {
+  chrome.runtime.sendMessage({ action: 'updateJob', id, patch });
+}
+
+// Segment indices stored so far, per track
+function completedSegments(jobs) {
+  const completed = {};
+  for (const job of jobs) {
+    completed[job.source] = job.playlist.segments.filter(s => job.store.has(s.index)).map(s => s.index);
+  }
+  return completed;
+}
+
+// Download the segments not on disk yet, one track after another, keeping the record's
+// completed list current. A resume goes by the segment files on disk; the record's list
+// is for the popup.
+async function downloadMissing(jobs, keyCache, control, report, record) {
+  const pending = jobs.map(job => job.playlist.segments.filter(s => !job.store.has(s.index)));
+  const totalSegments = jobs.reduce((n, job) => n + job.playlist.segments.length, 0);
+  const done = totalSegments - pending.reduce((n, list) => n + list.length, 0);
+  if (done > 0) report(`Resuming: ${done}/${totalSegments} segments already downloaded`, 5);
+  const progress = segmentProgress(report, totalSegments, done);
+  let savedAt = 0;
+  const saveCompleted = () => {
+    savedAt = Date.now();
+    updateJobRecord(record.id, { completed: completedSegments(jobs), updatedAt: savedAt });
+  };
+  const onProgress = (count, bytes) => {
+    progress(count, bytes);
+    if (Date.now() - savedAt >= 1000) saveCompleted();
+  };
+  const gaps = [];
+  try {
+    for (let i = 0; i < jobs.length; i++) {
+      const result = await downloadSegments(pending[i], keyCache, onProgress, segmentSink(jobs[i]), control);
+      gaps.push(...describeGaps(jobs[i].source, result.failures));
+    }
+  } finally {
+    saveCompleted();
+  }
+  return gaps;
+}
+
 // ---- Main HLS Download Handler ----
-async function executeHlsDownload(url, tabId, pageUrl) {
-  const report = (msg, prog = null) => {
+
+// Resolve the media playlists to download: for a master playlist the variant picked
+// in the popup (else the preference rule) plus its audio / subtitle renditions
+async function resolveHlsTracks(url, pageUrl, options, report) {
+  let parsed = await fetchPlaylist(url, 'Playlist');
+  let mediaUrl = url;
+  let audioRendition = null;
+  let subtitleRendition = null;
+
+  if (parsed.isMaster && parsed.variants.length > 0) {
+    const master = parsed;
+    const best = (options.variantUrl && master.variants.find(v => v.url === options.variantUrl))
+      || selectVariant(master.variants, options.variantPreference);
+    const resolution = best.resolution ? `${best.resolution.width}x${best.resolution.height}` : 'unknown';
+    report(`Selected: ${resolution} (${Math.round(best.bandwidth / 1000)}kbps)`, 2);
+
+    // Alternate audio defaults to the group's DEFAULT rendition; subtitles only when DEFAULT=YES
+    audioRendition = pickRendition(variantRenditions(master, best, 'AUDIO'), options.audioUrl, defaultRendition);
+    subtitleRendition = pickRendition(variantRenditions(master, best, 'SUBTITLES'), options.subtitleUrl,
+      list => list.find(r => r.default && r.url) || null);
+
+    mediaUrl = best.url;
+    await applyRequestOrigin([best, audioRendition, subtitleRendition].filter(Boolean).map(r => r.url), pageUrl);
+    parsed = await fetchPlaylist(mediaUrl, 'Variant playlist');
+  }
+
+  if (parsed.segments.length === 0) {
+    throw new Error('No segments found in playlist');
+  }
+
+  const tracks = [{ source: 'main', url: mediaUrl, playlist: parsed, rendition: null }];
+  if (audioRendition) {
+    const playlist = await fetchPlaylist(audioRendition.url, 'Audio playlist');
+    if (playlist.segments.length) {
+      tracks.push({ source: 'audio', url: audioRendition.url, playlist, rendition: audioRendition });
+    }
+  }
+  let subtitles = null;
+  if (subtitleRendition) {
+    const playlist = await fetchPlaylist(subtitleRendition.url, 'Subtitle playlist');
+    if (playlist.segments.length) {
+      subtitles = { source: 'subtitles', url: subtitleRendition.url, playlist, rendition: subtitleRendition };
+    }
+  }
+  return { tracks, subtitles };
+}
+
+// ---- Time-Range Clip ----
+// Cut every track down to the segments covering `range` ({start, end, wallClock},
+// see clipSegments). The main track decides the segment-aligned span; renditions
+// are cut to that span on the EXTINF timeline so they cover all of it.
+// Rendition segments may start this much before the clip (EXTINF rounding drift)
+const CLIP_LEAD_TOLERANCE = 0.1;
+
+function applyClip(jobs, range) {
+  const main = jobs[0];
+  const segments = clipSegments(main.playlist.segments, range);
+  if (!segments.length) {
+    throw new Error(range.wallClock
+      ? 'No segments in that time range (is EXT-X-PROGRAM-DATE-TIME present?)'
+      : 'No segments in that time range');
+  }
+
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const span = {
+    requested: range,
+    start: first.start,
+    end: last.start + last.duration,
+    startDate: first.programDateTime,
+    endDate: last.programDateTime !== null ? last.programDateTime + last.duration * 1000 : null,
+    firstSequence: first.sequence,
+    lastSequence: last.sequence,
+    segmentCount: segments.length
+  };
+
+  // Subtitles keep every overlapping segment. Audio starts with its first segment inside
+  // the span: one starting well before the video would open the remux with audio only
+  for (const job of jobs) {
+    let kept = segments;
+    if (job.source === 'subtitles') {
+      kept = clipSegments(job.playlist.segments, { start: span.start, end: span.end });
+    } else if (job !== main) {
+      kept = job.playlist.segments.filter(s => s.start >= span.start - CLIP_LEAD_TOLERANCE && s.start < span.end);
+    }
+    job.playlist = { ...job.playlist, segments: kept };
+  }
+  return span;
+}
+
+// 75.5 -> 01:15.500
+function formatClipTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  return `${formatClock(Math.floor(ms / 1000))}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// Saved next to the clip: what was asked for and the span actually captured
+function clipNote(url, span) {
+  const requested = (value, open) => {
+    if (value === null || value === undefined) return open;
+    return span.requested.wallClock ? new Date(value).toISOString() : formatClipTime(value);
+  };
+  const lines = [
+    `Clip of ${url}`,
+    `Requested: ${requested(span.requested.start, 'start')} - ${requested(span.requested.end, 'end')}`,
+    `Captured:  ${formatClipTime(span.start)} - ${formatClipTime(span.end)} (${(span.end - span.start).toFixed(3)}s, segment-aligned)`
+  ];
+  if (span.startDate !== null && span.endDate !== null) {
+    lines.push(`Date-time: ${new Date(span.startDate).toISOString()} - ${new Date(span.endDate).toISOString()}`);
+  }
+  lines.push(`Segments:  #${span.firstSequence} - #${span.lastSequence} (${span.segmentCount})`);
+  return lines.join('\n') + '\n';
+}
+
+// Rebuild an interrupted job's tracks from the playlist text saved in its record
+function restoreHlsTracks(record) {
+  const restored = record.tracks.map(t => ({
+    source: t.source,
+    url: t.url,
+    playlist: { ...parseM3u8(t.text, t.url), text: t.text },
+    rendition: t.rendition
+  }));
+  return {
+    tracks: restored.filter(t => t.source !== 'subtitles'),
+    subtitles: restored.find(t => t.source === 'subtitles') || null
+  };
+}
+
+async function executeHlsDownload(url, tabId, pageUrl, options = {}, resumeRecord = null) {
+  const control = createJobControl(options.jobId || (resumeRecord ? resumeRecord.id : newJobId()), options);
+  const jobId = control.jobId;
+  const report = (msg, prog = null, extra = {}) => {
     chrome.runtime.sendMessage({
       action: 'downloadProgress',
       tabId,
       url,
+      jobId,
       msg,
-      prog
+      prog,
+      ...extra
     });
   };
 
+  const staged = [];
+  let record = resumeRecord;
+  let sources = [];
+  let keepSegments = false;
+
   try {
-    report('Fetching playlist...', 0);
+    await checkpoint(control);
+    report(record ? 'Resuming download...' : 'Fetching playlist...', 0);
 
-    let res = await fetch(url);
-    if (!res.ok) throw new Error(`Playlist fetch failed: ${res.status}`);
-    let text = await res.text();
-    let currentUrl = url;
-    let parsed = parseM3u8(text, currentUrl);
+    const { tracks, subtitles } = record ? restoreHlsTracks(record) : await resolveHlsTracks(url, pageUrl, options, report);
+    const jobs = subtitles ? tracks.concat(subtitles) : tracks;
+    const recording = options.record && !tracks[0].playlist.endList;
+    // A resumed clip is cut again from the full playlist text in its record
+    const clip = options.clip && !recording ? applyClip(jobs, options.clip) : null;
 
-    // Handle master playlist - pick highest quality
-    if (parsed.isMaster && parsed.variants.length > 0) {
-      parsed.variants.sort((a, b) => b.bandwidth - a.bandwidth);
-      const best = parsed.variants[0];
-      report(`Selected: ${best.resolution} (${Math.round(best.bandwidth / 1000)}kbps)`, 2);
+    const parsed = tracks[0].playlist;
+    const audioTrack = tracks[1] || null;
+    const found = [`${parsed.segments.length} segments`];
+    if (audioTrack) found.push(`audio: ${audioTrack.rendition.name || audioTrack.rendition.language}`);
+    if (subtitles) found.push(`subtitles: ${subtitles.rendition.name || subtitles.rendition.language}`);
+    report(`Found ${found.join(', ')}`, 5);
+    if (clip) report(`Clip: ${formatClipTime(clip.start)} - ${formatClipTime(clip.end)} (segment-aligned)`, 5);
 
-      currentUrl = best.url;
-      res = await fetch(currentUrl);
-      if (!res.ok) throw new Error(`Variant playlist fetch failed: ${res.status}`);
-      text = await res.text();
-      parsed = parseM3u8(text, currentUrl);
+    const allSegments = jobs.flatMap(t => t.playlist.segments);
+    assertSupportedEncryption(allSegments);
+    await applyRequestOrigin(allSegments.flatMap(s => [s.url, s.key && s.key.url, s.map && s.map.url]).filter(Boolean), pageUrl);
+
+    // Live recordings cannot pick up where they stopped; everything else gets a job record
+    if (!record && !recording) {
+      record = {
+        id: jobId,
+        url,
+        pageUrl,
+        options,
+        baseName: `capture_${Date.now()}${clip ? `_clip_${Math.floor(clip.start)}s-${Math.ceil(clip.end)}s` : ''}`,
+        tracks: jobs.map(t => ({ source: t.source, url: t.url, text: t.playlist.text, rendition: t.rendition })),
+        keys: {},
+        completed: {},
+        totalSegments: allSegments.length,
+        createdAt: Date.now()
+      };
+    }
+    if (record) {
+      record = { ...record, tabId, status: 'downloading', error: null, gaps: null };
+      saveJobRecord(record);
+    }
+    sources = jobs.map(t => t.source);
+    const baseName = record ? record.baseName : `capture_${Date.now()}`;
+
+    // Each segment carries its own key context; keys load lazily on first use
+    const keyCache = record
+      ? createKeyCache(record.keys, (keyUrl, hex) => {
+        record.keys[keyUrl] = hex;
+        updateJobRecord(record.id, { keys: record.keys });
+      })
+      : createKeyCache();
+    const keyUrls = new Set(allSegments.filter(s => s.key).map(s => s.key.url));
+    if (keyUrls.size > 0) {
+      const clearCount = allSegments.filter(s => !s.key).length;
+      report(`AES-128: ${keyUrls.size} key(s)${clearCount ? `, ${clearCount} clear segments` : ''}`);
     }
 
-    if (parsed.segments.length === 0) {
-      throw new Error('No segments found in playlist');
+    for (const track of tracks) {
+      track.inits = await fetchInitSections(track.playlist.segments, keyCache);
+    }
+    if (parsed.segments.some(s => s.map)) {
+      report(`fMP4: ${tracks[0].inits.size} init segment(s)`);
     }
 
-    report(`Found ${parsed.segments.length} segments`, 5);
+    // Segments go straight to disk; memory holds only the requests in flight
+    await openTrackStores(jobId, jobs);
 
-    // Fetch encryption key if needed
-    let cryptoKey = null;
-    let globalIV = null;
-    if (parsed.encryption && parsed.encryption.method === 'AES-128') {
-      report('Fetching encryption key...');
-      const keyRes = await fetch(parsed.encryption.keyUrl);
-      if (!keyRes.ok) throw new Error(`Key fetch failed: ${keyRes.status}`);
-      const keyData = await keyRes.arrayBuffer();
-      cryptoKey = await importAesKey(keyData);
+    let totalSegments = allSegments.length;
+    let gaps = [];
 
-      if (parsed.encryption.iv) {
-        globalIV = parseHexIV(parsed.encryption.iv);
+    if (options.record && !parsed.endList) {
+      // Live: keep polling the playlists until ENDLIST, the user stops, or the time limit
+      const recordingKey = `${tabId}|${url}`;
+      activeRecordings.set(recordingKey, control);
+      try {
+        const result = await recordLive(jobs, keyCache, control, report, options.maxRecordSeconds || 0);
+        totalSegments = result.totalSegments;
+        gaps = result.gaps;
+      } finally {
+        activeRecordings.delete(recordingKey);
       }
+    } else {
+      gaps = await downloadMissing(jobs, keyCache, control, report, record);
     }
 
-    // Download segments with concurrency control
-    const totalSegments = parsed.segments.length;
-    const buffers = new Array(totalSegments);
-    let completed = 0;
-    let failedCount = 0;
-    const startTime = Date.now();
+    if (!hasSegments(tracks[0])) {
+      throw new Error('All segments failed to download');
+    }
 
-    for (let i = 0; i < totalSegments; i += CONCURRENCY) {
-      const batch = parsed.segments.slice(i, i + CONCURRENCY);
-      const promises = batch.map(async (segUrl, batchIdx) => {
-        const segIndex = i + batchIdx;
-        const data = await fetchWithRetry(segUrl);
+    if (gaps.length > 0) {
+      report(gapWarning(gaps, totalSegments), null, { gaps });
+      if (options.strictIntegrity) {
+        if (!recording) throw new IntegrityError(gaps);
+        // A live window has moved on, so a recording can't retry: it is saved with its gaps
+        report('Strict mode: a live recording cannot be retried, saving it with its gaps', null, { gaps });
+      }
+    }
 
-        if (!data) {
-          failedCount++;
-          return;
-        }
+    report('Assembling video file...', 96);
+
+    // Raw copy of a track as an output file
+    const stageRaw = async (track, label) => {
+      const file = await createStagedFile(jobId, label);
+      staged.push(file);
+      await writeTrack(track, file);
+      return file;
+    };
+
+    // fMP4 playlists are already MP4; TS is remuxed unless the user keeps it as .ts.
+    // Alternate audio is muxed in when the remuxer can, otherwise saved next to the video.
+    let output;
+    let extension = 'mp4';
+    let mimeType = 'video/mp4';
+    let toSeconds = null;
+    let audioMuxed = false;
+    const outputFormat = options.outputFormat || 'mp4';
+    const mainIsFmp4 = tracks[0].inits.size > 0;
+    const audioIsFmp4 = !!audioTrack && audioTrack.inits.size > 0;
 
-        // Decrypt if needed
-        if (cryptoKey) {
-          try {
-            const iv = globalIV || sequenceIV(parsed.mediaSequence + segIndex);
-            const decrypted = await decryptSegment(data, cryptoKey, iv);
-            buffers[segIndex] = decrypted;
-          } catch (e) {
-            console.error(`Decrypt failed for segment ${segIndex}:`, e);
-            buffers[segIndex] = data; // Use raw data as fallback
-          }
+    if (mainIsFmp4 && !(audioTrack && audioIsFmp4)) {
+      output = await stageRaw(tracks[0], `${baseName}.mp4`);
+    } else if (!mainIsFmp4 && outputFormat === 'ts') {
+      output = await stageRaw(tracks[0], `${baseName}.ts`);
+      extension = 'ts';
+      mimeType = 'video/mp2t';
+    } else {
+      const muxTracks = audioTrack && audioIsFmp4 === mainIsFmp4 ? tracks : [tracks[0]];
+      const muxOutput = await createStagedFile(jobId, `${baseName}.mp4`);
+      staged.push(muxOutput);
+      try {
+        report('Remuxing to MP4...', 97);
+        const remuxed = mainIsFmp4
+          ? await remuxFmp4Segments(muxTracks, outputFormat !== 'mp4', muxOutput)
+          : await remuxSegments(muxTracks, outputFormat === 'fmp4', muxOutput);
+        output = muxOutput;
+        toSeconds = remuxed.toSeconds;
+        audioMuxed = muxTracks.length > 1;
+        report(`Remuxed: ${remuxed.codecs.join(', ')}`, 98);
+      } catch (e) {
+        console.error('Remux failed:', e);
+        await muxOutput.remove();
+        if (mainIsFmp4) {
+          report(`Remux failed (${e.message}), saving tracks separately`);
         } else {
-          buffers[segIndex] = data;
+          report(`Remux failed (${e.message}), saving as .ts`);
+          extension = 'ts';
+          mimeType = 'video/mp2t';
         }
-      });
+        output = await stageRaw(tracks[0], `${baseName}.${extension}`);
+      }
+    }
 
-      await Promise.all(promises);
-      completed = Math.min(i + CONCURRENCY, totalSegments);
+    if (output.size === 0) throw new Error('Assembled file is empty');
 
-      // Progress with speed estimation
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = Math.round((completed / totalSegments) * 100);
-      const speed = elapsed > 0 ? (completed / elapsed) : 0;
-      const remaining = speed > 0 ? Math.round((totalSegments - completed) / speed) : '?';
+    // Send to background for download
+    const size = await saveStagedFile(output, mimeType, `${baseName}.${extension}`, tabId);
+    const sizeMB = (size / (1024 * 1024)).toFixed(1);
 
-      report(
-        `${completed}/${totalSegments} segments (${remaining}s remaining)`,
-        Math.min(progress, 95)
-      );
+    if (audioTrack && !audioMuxed && hasSegments(audioTrack)) {
+      const format = await audioSidecarFormat(audioTrack);
+      const name = `${baseName}.${renditionTag(audioTrack.rendition)}.${format.extension}`;
+      await saveStagedFile(await stageRaw(audioTrack, name), format.mimeType, name, tabId);
+      report(`Audio saved separately (.${format.extension})`);
     }
 
-    // Filter out null/failed segments
-    const validBuffers = buffers.filter(b => b != null);
+    if (clip) saveBlob([clipNote(url, clip)], 'text/plain', `${baseName}.clip.txt`, tabId);
 
-    if (validBuffers.length === 0) {
-      throw new Error('All segments failed to download');
+    if (subtitles) {
+      const stitcher = createVttStitcher(toSeconds, clip ? clip.start : 0);
+      const decoder = new TextDecoder();
+      for (const segment of subtitles.playlist.segments) {
+        if (!subtitles.store.has(segment.index)) continue;
+        stitcher.add(decoder.decode(await subtitles.store.read(segment.index)), segment.discontinuitySequence);
+      }
+      const name = `${baseName}.${renditionTag(subtitles.rendition)}`;
+      saveBlob([stitcher.toVtt()], 'text/vtt', `${name}.vtt`, tabId);
+      saveBlob([stitcher.toSrt()], 'application/x-subrip', `${name}.srt`, tabId);
+      report(`Subtitles: ${stitcher.cueCount} cues (.vtt, .srt)`);
     }
 
-    if (failedCount > 0) {
-      report(`Warning: ${failedCount}/${totalSegments} segments failed`);
+    if (record) chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+    report(`Complete: ${sizeMB}MB`, 100);
+
+  } catch (e) {
+    if (control.signal.aborted) {
+      if (record) chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+      report('Cancelled', null);
+      return;
+    }
+    console.error('HLS download error:', e);
+    if (record) {
+      // Keep the downloaded segments; the popup offers to resume (retrying only the gaps)
+      keepSegments = true;
+      updateJobRecord(record.id, { status: 'interrupted', error: e.message, gaps: e.gaps || null });
     }
+    report('Error: ' + e.message, null, e.gaps ? { gaps: e.gaps } : {});
+  } finally {
+    jobControls.delete(jobId);
+    await releaseStaged(staged);
+    if (sources.length && !keepSegments) await removeSegmentStores(jobId, sources);
+  }
+}
 
-    report('Assembling video file...', 96);
+// ---- DASH ----
+
+// Load the sidx of a SegmentBase representation; without an indexRange the whole file is one segment
+async function resolveDashSegments(rep) {
+  if (rep.segments.length || !rep.segmentBase) return rep.segments;
+  const { url, indexRange } = rep.segmentBase;
+  if (!indexRange) return [{ url, byteRange: null, number: 1, start: 0, duration: 0 }];
+  const data = await fetchWithRetry(url, indexRange);
+  if (!data) throw new Error(`Segment index fetch failed: ${url}`);
+  return parseSidx(new Uint8Array(data), indexRange.offset, url);
+}
+
+// Shape a representation like an HLS media playlist so the segment pipeline is shared
+function dashTrack(source, rep, segments) {
+  const map = rep.init ? { uri: rep.init.url, url: rep.init.url, byteRange: rep.init.byteRange, key: null } : null;
+  return {
+    source,
+    rep,
+    playlist: {
+      segments: segments.map((segment, i) => ({
+        index: i,
+        sequence: segment.number,
+        uri: segment.url,
+        url: segment.url,
+        duration: segment.duration,
+        start: segment.start,
+        byteRange: segment.byteRange,
+        discontinuity: false,
+        discontinuitySequence: 0,
+        key: null,
+        keys: [],
+        map,
+        gap: false
+      }))
+    }
+  };
+}
 
-    // Assemble blob
-    const blob = new Blob(validBuffers, { type: 'video/mp4' });
+function representationSummary(rep) {
+  const parts = [rep.contentType];
+  if (rep.resolution) parts.push(`${rep.resolution.width}x${rep.resolution.height}`);
+  if (rep.lang) parts.push(rep.lang);
+  parts.push(`${Math.round(rep.bandwidth / 1000)}kbps`);
+  return parts.join(' ');
+}
 
-    if (blob.size === 0) throw new Error('Assembled file is empty');
+function dashFileFormat(track) {
+  const webm = /webm/.test(track.rep.mimeType);
+  if (track.rep.contentType === 'audio') {
+    return webm ? { extension: 'weba', mimeType: 'audio/webm' } : { extension: 'm4a', mimeType: 'audio/mp4' };
+  }
+  return webm ? { extension: 'webm', mimeType: 'video/webm' } : { extension: 'mp4', mimeType: 'video/mp4' };
+}
 
-    const blobUrl = URL.createObjectURL(blob);
-    const sizeMB = (blob.size / (1024 * 1024)).toFixed(1);
+// Fetch the manifest and resolve the picked representations' segments into tracks
+async function resolveDashTracks(url, pageUrl, options, report) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Manifest fetch failed: ${res.status}`);
+  const manifest = parseMpd(await res.text(), url);
 
-    report(`Complete: ${sizeMB}MB`, 100);
+  const { video, audio } = selectDashRepresentations(manifest, options);
+  const chosen = [video, audio].filter(Boolean);
+  if (!chosen.length) {
+    throw new Error(manifest.representations.some(r => r.protected)
+      ? 'All representations are DRM-protected (ContentProtection)'
+      : 'No video or audio representations found');
+  }
+  const locked = chosen.find(r => r.protected);
+  if (locked) throw new Error(`Representation ${locked.id} is DRM-protected (ContentProtection)`);
 
-    // Send to background for download
+  report(`Selected: ${chosen.map(representationSummary).join(' + ')}`, 2);
+  if (manifest.periods.length > 1) {
+    report(`Multi-period manifest: downloading period ${chosen[0].periodIndex + 1} of ${manifest.periods.length}`);
+  }
+
+  await applyRequestOrigin(chosen.flatMap(rep => [
+    ...rep.segments.map(s => s.url),
+    rep.segmentBase && rep.segmentBase.url,
+    rep.init && rep.init.url
+  ]).filter(Boolean), pageUrl);
+
+  const tracks = [];
+  for (const [source, rep] of [['main', video || audio], ['audio', video ? audio : null]]) {
+    if (!rep) continue;
+    const segments = await resolveDashSegments(rep);
+    if (!segments.length) throw new Error(`No segments for representation ${rep.id}`);
+    tracks.push(dashTrack(source, rep, segments));
+  }
+  return tracks;
+}
+
+// A job record keeps each track's resolved segment list, so a resume needs neither
+// the manifest nor the segment index again
+function recordedDashTrack(track) {
+  const { id, contentType, mimeType, lang, bandwidth, resolution, init } = track.rep;
+  return {
+    source: track.source,
+    rep: { id, contentType, mimeType, lang, bandwidth, resolution, init },
+    segments: track.playlist.segments.map(s => ({
+      url: s.url, byteRange: s.byteRange, number: s.sequence, start: s.start, duration: s.duration
+    }))
+  };
+}
+
+function restoreDashTracks(record) {
+  return record.tracks.map(t => dashTrack(t.source, t.rep, t.segments));
+}
+
+async function executeDashDownload(url, tabId, pageUrl, options = {}, resumeRecord = null) {
+  const control = createJobControl(options.jobId || (resumeRecord ? resumeRecord.id : newJobId()), options);
+  const jobId = control.jobId;
+  const report = (msg, prog = null, extra = {}) => {
     chrome.runtime.sendMessage({
-      action: 'downloadCombinedBlob',
-      blobUrl,
+      action: 'downloadProgress',
       tabId,
-      filename: `capture_${Date.now()}.mp4`
+      url,
+      jobId,
+      msg,
+      prog,
+      ...extra
     });
+  };
 
-    // Schedule blob URL cleanup (background will also revoke after download starts)
-    setTimeout(() => {
-      try { URL.revokeObjectURL(blobUrl); } catch (e) { /* ignore */ }
-    }, 30000);
+  const staged = [];
+  let record = resumeRecord;
+  let keepSegments = false;
+
+  try {
+    await checkpoint(control);
+    report(record ? 'Resuming download...' : 'Fetching manifest...', 0);
+
+    const tracks = record ? restoreDashTracks(record) : await resolveDashTracks(url, pageUrl, options, report);
+    const allSegments = tracks.flatMap(t => t.playlist.segments);
+    if (record) {
+      await applyRequestOrigin(allSegments.flatMap(s => [s.url, s.map && s.map.url]).filter(Boolean), pageUrl);
+    }
+    report(`Found ${allSegments.length} segments`, 5);
+
+    // Like an HLS job, a DASH job can be resumed (or saved with its gaps) from the popup
+    if (!record) {
+      record = {
+        id: jobId,
+        kind: 'dash',
+        url,
+        pageUrl,
+        options,
+        baseName: `capture_${Date.now()}`,
+        tracks: tracks.map(recordedDashTrack),
+        completed: {},
+        totalSegments: allSegments.length,
+        createdAt: Date.now()
+      };
+    }
+    record = { ...record, tabId, status: 'downloading', error: null, gaps: null };
+    saveJobRecord(record);
+    const baseName = record.baseName;
+
+    const keyCache = createKeyCache();
+    for (const track of tracks) {
+      track.inits = await fetchInitSections(track.playlist.segments, keyCache);
+    }
+    await openTrackStores(jobId, tracks);
+
+    const gaps = await downloadMissing(tracks, keyCache, control, report, record);
+
+    if (!hasSegments(tracks[0])) {
+      throw new Error('All segments failed to download');
+    }
+
+    if (gaps.length > 0) {
+      report(gapWarning(gaps, allSegments.length), null, { gaps });
+      if (options.strictIntegrity) throw new IntegrityError(gaps);
+    }
+
+    report('Assembling video file...', 96);
+
+    // ISO BMFF representations are merged into one MP4; WebM (or a failed merge) is saved per track
+    const outputFormat = options.outputFormat || 'mp4';
+    let size = 0;
+    let merged = false;
+    if (tracks.every(t => t.inits.size > 0 && !/webm/.test(t.rep.mimeType))) {
+      const output = await createStagedFile(jobId, `${baseName}.mp4`);
+      staged.push(output);
+      try {
+        report('Remuxing to MP4...', 97);
+        const remuxed = await remuxFmp4Segments(tracks, outputFormat !== 'mp4', output);
+        size = await saveStagedFile(output, 'video/mp4', `${baseName}.mp4`, tabId);
+        merged = true;
+        report(`Remuxed: ${remuxed.codecs.join(', ')}`, 98);
+      } catch (e) {
+        console.error('Remux failed:', e);
+        await output.remove();
+        report(`Remux failed (${e.message}), saving tracks separately`);
+      }
+    }
+
+    if (!merged) {
+      for (const track of tracks) {
+        if (!hasSegments(track)) continue;
+        const format = dashFileFormat(track);
+        const tag = track.source === 'audio' ? `.${(track.rep.lang || 'audio').replace(/[^\w.-]+/g, '_')}` : '';
+        const name = `${baseName}${tag}.${format.extension}`;
+        const output = await createStagedFile(jobId, name);
+        staged.push(output);
+        await writeTrack(track, output);
+        size += await saveStagedFile(output, format.mimeType, name, tabId);
+      }
+    }
+
+    if (size === 0) throw new Error('Assembled file is empty');
+    chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+    report(`Complete: ${(size / (1024 * 1024)).toFixed(1)}MB`, 100);
 
   } catch (e) {
-    console.error('HLS download error:', e);
-    report('Error: ' + e.message, null);
+    if (control.signal.aborted) {
+      if (record) chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+      report('Cancelled', null);
+      return;
+    }
+    console.error('DASH download error:', e);
+    if (record) {
+      // Keep the downloaded segments; the popup offers to resume (retrying only the gaps)
+      keepSegments = true;
+      updateJobRecord(record.id, { status: 'interrupted', error: e.message, gaps: e.gaps || null });
+    }
+    report('Error: ' + e.message, null, e.gaps ? { gaps: e.gaps } : {});
+  } finally {
+    jobControls.delete(jobId);
+    await releaseStaged(staged);
+    if (!keepSegments) await removeSegmentStores(jobId, ['main', 'audio']);
   }
 }
 
+// ---- Ranged Direct Download ----
+const RANGE_SIZE = 2 * 1024 * 1024;
+const RANGED_MIN_SIZE = 8 * 1024 * 1024; // smaller files aren't worth the extra requests
+const RANGE_RETRIES = 5;
+
+// Total size from `Content-Range: bytes 0-0/123456` (0 when unknown, e.g. `*`)
+function contentRangeTotal(header) {
+  const match = /\/(\d+)\s*$/.exec(header || '');
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Fetch the file in RANGE_SIZE pieces through a connection window. A failed
+// range is retried on its own; ranges are appended to `output` in file order, so
+// finished ones wait in memory for a slow predecessor (never more than two
+// windows' worth). A range that still fails stops the others: the bytes in
+// `output` are then a whole-range prefix of the file, and a resumed download
+// (`output` reopened) continues after it.
+async function downloadRanges(url, total, output, control, onProgress) {
+  const ranges = [];
+  for (let offset = output.size; offset < total; offset += RANGE_SIZE) {
+    ranges.push({ offset, length: Math.min(RANGE_SIZE, total - offset) });
+  }
+  const failed = new AbortController();
+  const signal = AbortSignal.any([control.signal, failed.signal]);
+
+  const slots = createConnectionWindow(control.connections);
+  const finished = new Map(); // range index -> data
+  const inFlight = new Set();
+  let next = 0;
+  let written = 0;
+  let writing = Promise.resolve();
+
+  const flush = async () => {
+    while (finished.has(written)) {
+      const data = finished.get(written);
+      finished.delete(written);
+      written++;
+      await output.append(new Uint8Array(data));
+    }
+  };
+
+  const run = async (index) => {
+    const range = ranges[index];
+    let reason = 'Fetch failed';
+    const data = await fetchWithRetry(url, range, {
+      signal,
+      retries: RANGE_RETRIES,
+      onFailure: (why) => {
+        reason = why;
+        slots.onError();
+      }
+    });
+    if (signal.aborted) return;
+    // A server that answers a range with the whole file would corrupt the output
+    if (data && data.byteLength !== range.length) reason = 'server ignored the range';
+    if (!data || data.byteLength !== range.length) {
+      failed.abort();
+      throw new Error(`Bytes ${range.offset}-${range.offset + range.length - 1} failed: ${reason}`);
+    }
+    slots.onData(data.byteLength);
+
+    finished.set(index, data);
+    writing = writing.then(flush);
+    await writing;
+    onProgress(data.byteLength, slots.size);
+  };
+
+  try {
+    while (next < ranges.length) {
+      await checkpoint(control);
+      if (inFlight.size >= slots.size || next - written >= control.connections * 2) {
+        await Promise.race(inFlight);
+        continue;
+      }
+      const task = run(next++).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }
+    while (inFlight.size) await Promise.race(inFlight);
+  } finally {
+    await Promise.allSettled(inFlight);
+  }
+  if (control.signal.aborted) throw new Error('Cancelled');
+}
+
 // ---- Fetch-based Direct Download ----
-async function executeFetchDownload(url, filename, tabId, pageUrl) {
+// Range indices held by a staged prefix of `bytes`, for the job record (popup progress)
+function stagedRanges(bytes) {
+  return Array.from({ length: Math.ceil(bytes / RANGE_SIZE) }, (_, i) => i);
+}
+
+// A one-byte range request doubles as the probe: 206 with a known size means
+// ranged parallel download, anything else a single stream. A ranged download
+// keeps a job record, so one that fails can be resumed after its staged prefix.
+async function executeFetchDownload(url, filename, tabId, pageUrl, options = {}, resumeRecord = null) {
+  const control = createJobControl(options.jobId || (resumeRecord ? resumeRecord.id : newJobId()), options);
+  const jobId = control.jobId;
   const report = (msg, prog = null) => {
     chrome.runtime.sendMessage({
       action: 'downloadProgress',
       tabId,
       url,
+      jobId,
       msg,
       prog
     });
   };
 
+  let output = null;
+  let record = resumeRecord;
+  let resumable = false;
+
   try {
-    report('Starting download...', 0);
+    await checkpoint(control);
+    report(record ? 'Resuming download...' : 'Starting download...', 0);
 
-    const res = await fetch(url);
+    let res = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal: control.signal });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
-    const contentLength = parseInt(res.headers.get('Content-Length') || '0');
-    const reader = res.body.getReader();
-    const chunks = [];
+    const rangeTotal = res.status === 206 ? contentRangeTotal(res.headers.get('Content-Range')) : 0;
+    const name = record ? record.filename : (filename || `download_${Date.now()}.mp4`);
+    // The staged prefix is only reused while the server has a file of the same size
+    const keepExisting = !!record && rangeTotal >= RANGED_MIN_SIZE && rangeTotal === record.total;
+    output = await createStagedFile(jobId, name, { keepExisting });
+    const resumedBytes = output.size;
+    let contentLength = 0;
     let received = 0;
+    let lastReport = 0;
     const startTime = Date.now();
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      chunks.push(value);
-      received += value.length;
+    const onProgress = (bytes, connections = 1) => {
+      received += bytes;
+      const now = Date.now();
+      if (now - lastReport < PROGRESS_INTERVAL_MS) return;
+      lastReport = now;
 
       if (contentLength > 0) {
-        const progress = Math.round((received / contentLength) * 100);
-        const elapsed = (Date.now() - startTime) / 1000;
+        const progress = Math.round(((resumedBytes + received) / contentLength) * 100);
+        const elapsed = (now - startTime) / 1000;
         const speed = elapsed > 0 ? received / elapsed : 0;
-        const remaining = speed > 0 ? Math.round((contentLength - received) / speed) : '?';
+        const remaining = speed > 0 ? Math.round((contentLength - resumedBytes - received) / speed) : '?';
         const speedMB = (speed / (1024 * 1024)).toFixed(1);
-        report(`${progress}% - ${speedMB}MB/s (${remaining}s left)`, progress);
+        const via = connections > 1 ? `, ${connections} connections` : '';
+        report(`${progress}% - ${speedMB}MB/s (${remaining}s left${via})`, progress);
       } else {
         const sizeMB = (received / (1024 * 1024)).toFixed(1);
         report(`Downloaded: ${sizeMB}MB`, null);
       }
-    }
+    };
 
-    report('Finalizing...', 98);
+    if (rangeTotal >= RANGED_MIN_SIZE) {
+      contentLength = rangeTotal;
+      await res.body.cancel();
+      const parts = Math.ceil(rangeTotal / RANGE_SIZE);
+      releaseConnections(control, Math.max(Math.ceil((rangeTotal - resumedBytes) / RANGE_SIZE), 1));
+      record = {
+        ...(record || { id: jobId, kind: 'direct', url, pageUrl, filename: name, baseName: name, options, createdAt: Date.now() }),
+        total: rangeTotal,
+        totalSegments: parts,
+        completed: { main: stagedRanges(resumedBytes) },
+        tabId,
+        status: 'downloading',
+        error: null,
+        gaps: null
+      };
+      saveJobRecord(record);
+      resumable = true;
+      if (resumedBytes) {
+        report(`Resuming: ${(resumedBytes / (1024 * 1024)).toFixed(1)}MB of ${(rangeTotal / (1024 * 1024)).toFixed(1)}MB already downloaded`, 0);
+      } else {
+        report(`Ranged download: ${(rangeTotal / (1024 * 1024)).toFixed(1)}MB in ${parts} parts`, 0);
+      }
+      await downloadRanges(url, rangeTotal, output, control, onProgress);
+    } else {
+      // No range support (the server sent the whole file), or too small to split
+      releaseConnections(control, 1);
+      if (res.status === 206) {
+        await res.body.cancel();
+        res = await fetch(url, { signal: control.signal });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      }
+      contentLength = parseInt(res.headers.get('Content-Length') || '0');
+      const reader = res.body.getReader();
 
-    const blob = new Blob(chunks, { type: 'video/mp4' });
-    const blobUrl = URL.createObjectURL(blob);
+      while (true) {
+        await checkpoint(control);
+        const { done, value } = await reader.read();
+        if (done) break;
+        await bandwidth.take(value.byteLength, control.signal);
 
-    chrome.runtime.sendMessage({
-      action: 'downloadCombinedBlob',
-      blobUrl,
-      tabId,
-      filename: filename || `download_${Date.now()}.mp4`
-    });
+        await output.append(value);
+        onProgress(value.length);
+      }
+    }
 
-    const sizeMB = (blob.size / (1024 * 1024)).toFixed(1);
-    report(`Complete: ${sizeMB}MB`, 100);
+    report('Finalizing...', 98);
 
-    setTimeout(() => {
-      try { URL.revokeObjectURL(blobUrl); } catch (e) { /* ignore */ }
-    }, 30000);
+    const size = await saveStagedFile(output, 'video/mp4', name, tabId);
+    if (record) chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+    const sizeMB = (size / (1024 * 1024)).toFixed(1);
+    report(`Complete: ${sizeMB}MB`, 100);
 
   } catch (e) {
+    if (control.signal.aborted) {
+      if (record) chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+      report('Cancelled', null);
+      return;
+    }
     console.error('Fetch download error:', e);
+    if (resumable) {
+      // Keep the staged prefix; the popup offers to resume after it
+      await output.close();
+      output.kept = true;
+      updateJobRecord(record.id, { status: 'interrupted', error: e.message, completed: { main: stagedRanges(output.size) } });
+    } else if (record) {
+      // The server no longer serves ranges of the same file: nothing to resume from
+      chrome.runtime.sendMessage({ action: 'finishJob', id: record.id });
+    }
     report('Error: ' + e.message, null);
+  } finally {
+    jobControls.delete(jobId);
+    await releaseStaged([output]);
   }
 }
 
 // ---- Message Handler ----
+// A fresh document runs no jobs: the background marks recorded ones interrupted
+// and lists them, so only their segments survive the cleanup. Jobs dispatched meanwhile
+// wait for it, or it could remove the staging directory they are creating.
+const stagingCleared = new Promise((resolve) => {
+  chrome.runtime.sendMessage({ action: 'offscreenStarted' }, (response) => {
+    if (chrome.runtime.lastError || !response) return resolve();
+    clearStaging(response.jobIds).then(resolve);
+  });
+});
+
+// Dispatched jobs get their control right away: a pause / cancel from the queue that
+// arrives during the wait is kept and applied at the job's first checkpoint
 chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
   if (request.action === 'executeUltimateDownload') {
-    executeHlsDownload(request.url, request.tabId, request.pageUrl);
+    createJobControl(request.options.jobId, request.options);
+    await stagingCleared;
+    executeHlsDownload(request.url, request.tabId, request.pageUrl, request.options);
+  }
+
+  // Sent by the popup; runtime messages reach the offscreen document directly
+  if (request.action === 'stopHlsRecording') {
+    const control = activeRecordings.get(`${request.tabId}|${request.url}`);
+    if (control) control.stopped = true;
+  }
+
+  if (request.action === 'resumeHlsDownload') {
+    const job = request.job;
+    createJobControl(job.options.jobId || job.id, job.options);
+    await stagingCleared;
+    executeHlsDownload(job.url, request.tabId, job.pageUrl, job.options, job);
+  }
+
+  if (request.action === 'resumeDashDownload') {
+    const job = request.job;
+    createJobControl(job.options.jobId || job.id, job.options);
+    await stagingCleared;
+    executeDashDownload(job.url, request.tabId, job.pageUrl, job.options, job);
+  }
+
+  if (request.action === 'resumeFetchDownload') {
+    const job = request.job;
+    createJobControl(job.options.jobId || job.id, job.options);
+    await stagingCleared;
+    executeFetchDownload(job.url, job.filename, request.tabId, job.pageUrl, job.options, job);
+  }
+
+  if (request.action === 'discardJob') {
+    removeJobStaging(request.jobId);
+  }
+
+  // The browser download of a staged file finished (or was interrupted)
+  if (request.action === 'releaseStagedFile') {
+    removeStagedFile(request.name);
+  }
+
+  if (request.action === 'executeDashDownload') {
+    createJobControl(request.options.jobId, request.options);
+    await stagingCleared;
+    executeDashDownload(request.url, request.tabId, request.pageUrl, request.options);
   }
 
   if (request.action === 'executeFetchDownload') {
-    executeFetchDownload(request.url, request.filename, request.tabId, request.pageUrl);
+    createJobControl(request.options.jobId, request.options);
+    await stagingCleared;
+    executeFetchDownload(request.url, request.filename, request.tabId, request.pageUrl, request.options);
+  }
+
+  // Queue controls from the background; a paused job lets its requests in flight finish
+  if (request.action === 'pauseJob' || request.action === 'continueJob') {
+    const control = jobControls.get(request.jobId);
+    if (control) control.paused = request.action === 'pauseJob';
+  }
+
+  if (request.action === 'setBandwidthLimit') {
+    bandwidth.setRate(request.maxBytesPerSecond);
+  }
+
+  if (request.action === 'cancelJob') {
+    const control = jobControls.get(request.jobId);
+    if (control) control.controller.abort();
   }
 });
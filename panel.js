@@ -0,0 +1,383 @@
+/**
+ * Media Network Panel v1.0.0
+ * - DevTools panel listing every media request of the inspected tab (chrome.devtools.network)
+ * - Playlists, DASH manifests, keys, init segments, segments, subtitles and progressive media
+ * - Playlists / manifests parsed as they load, so each child request shows its parent playlist
+ * - Timing, size and status per request on a shared waterfall timeline
+ * - Filter by kind and URL text; export the filtered list as HAR 1.2
+ * - Cleared on navigation unless "Preserve log" is checked
+ */
+
+const MEDIA_KINDS = [
+  ['playlist', 'Playlists'],
+  ['manifest', 'Manifests'],
+  ['key', 'Keys'],
+  ['init', 'Init'],
+  ['segment', 'Segments'],
+  ['subtitle', 'Subtitles'],
+  ['media', 'Media']
+];
+
+const MAX_ENTRIES = 5000;
+const MAX_CHILDREN = 20000; // playlist links kept for requests not seen yet
+
+// ---- Classification ----
+
+// Kind from URL and MIME type alone, for requests no parsed playlist references
+function classifyRequest(url, mimeType) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+  if (/mpegurl/.test(mime) || path.endsWith('.m3u8')) return 'playlist';
+  if (mime === 'application/dash+xml' || path.endsWith('.mpd')) return 'manifest';
+  if (path.endsWith('.key')) return 'key';
+  if (/(^|[/_.-])init[^/]*\.(mp4|m4s|m4v|m4a|cmfv|cmfa)$/.test(path)) return 'init';
+  if (mime === 'text/vtt' || /\.(vtt|webvtt|srt|ttml|dfxp)$/.test(path)) return 'subtitle';
+  if (/\.(ts|m4s|m4f|cmfv|cmfa|aac|ac3|ec3)$/.test(path) || mime === 'video/mp2t' || mime === 'video/iso.segment') {
+    return 'segment';
+  }
+  if (/^(video|audio)\//.test(mime) || /\.(mp4|m4v|m4a|webm|mkv|mov|mp3|ogg|ogv|oga|opus|flac|wav)$/.test(path)) {
+    return 'media';
+  }
+  return null;
+}
+
+// Requests a playlist or manifest references: url -> { parent, kind }
+function playlistChildren(kind, text, url) {
+  const children = new Map();
+  const link = (childUrl, childKind) => {
+    if (!childUrl || children.has(childUrl)) return;
+    children.set(childUrl, { parent: url, kind: classifyRequest(childUrl) === 'subtitle' ? 'subtitle' : childKind });
+  };
+
+  if (kind === 'playlist') {
+    const playlist = parseM3u8(text, url);
+    if (playlist.isMaster) {
+      playlist.variants.concat(playlist.iFrameVariants).forEach(v => link(v.url, 'playlist'));
+      playlist.renditions.forEach(r => link(r.url, 'playlist'));
+      playlist.sessionKeys.forEach(k => link(k.url, 'key'));
+    } else {
+      for (const segment of playlist.segments) {
+        if (segment.map) link(segment.map.url, 'init');
+        segment.keys.forEach(k => link(k.url, 'key'));
+        link(segment.url, 'segment');
+      }
+    }
+  } else {
+    for (const rep of parseMpd(text, url).representations) {
+      // SegmentBase: init and media are byte ranges of one file, mostly media
+      if (rep.segmentBase) link(rep.segmentBase.url, 'segment');
+      if (rep.init) link(rep.init.url, 'init');
+      rep.segments.forEach(s => link(s.url, 'segment'));
+    }
+  }
+  return children;
+}
+
+// ---- Formatting ----
+
+function formatSize(bytes) {
+  if (bytes === null || bytes < 0) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function formatTime(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${Math.round(ms)} ms`;
+}
+
+function shortName(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname.split('/').pop() || parsed.hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+function headerValue(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name);
+  return header ? header.value : null;
+}
+
+// ---- Entries ----
+
+/**
+ * Panel model of one finished HAR entry (chrome.devtools.network).
+ * `kind` / `parent` are refined later when a playlist referencing the URL is parsed.
+ */
+function createEntry(har, id) {
+  const response = har.response || {};
+  const content = response.content || {};
+  const transferred = response._transferSize > 0 ? response._transferSize : null;
+  const bodySize = response.bodySize > 0 ? response.bodySize : null;
+  return {
+    id,
+    har,
+    url: har.request.url,
+    mimeType: content.mimeType || headerValue(response.headers, 'content-type') || '',
+    range: headerValue(har.request.headers, 'range'),
+    start: Date.parse(har.startedDateTime),
+    time: Math.max(har.time || 0, 0),
+    wait: har.timings ? Math.max(har.timings.blocked || 0, 0) + Math.max(har.timings.dns || 0, 0)
+      + Math.max(har.timings.connect || 0, 0) + Math.max(har.timings.send || 0, 0) + Math.max(har.timings.wait || 0, 0) : 0,
+    status: response.status || 0,
+    size: transferred ?? bodySize ?? (content.size >= 0 ? content.size : null),
+    kind: null,
+    parent: null
+  };
+}
+
+function timingSummary(entry) {
+  const t = entry.har.timings || {};
+  const parts = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive']
+    .filter(name => t[name] > 0)
+    .map(name => `${name}: ${formatTime(t[name])}`);
+  return [`${formatTime(entry.time)} total`, ...parts].join('\n');
+}
+
+// ---- HAR Export ----
+
+// Entries serialised without their methods (getContent), plus the panel's classification
+function buildHar(entries) {
+  const version = chrome.runtime.getManifest().version;
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Media Stream Inspector', version },
+      pages: [],
+      entries: entries.map(entry => ({
+        ...JSON.parse(JSON.stringify(entry.har)),
+        _mediaKind: entry.kind,
+        _parentPlaylist: entry.parent
+      }))
+    }
+  };
+}
+
+function saveHar(entries) {
+  const blob = new Blob([JSON.stringify(buildHar(entries), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `media-timeline-${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 30000);
+}
+
+// ---- Panel ----
+
+document.addEventListener('DOMContentLoaded', () => {
+  const tbody = document.getElementById('entries');
+  const empty = document.getElementById('empty');
+  const filterInput = document.getElementById('filter');
+  const kindsBar = document.getElementById('kinds');
+  const preserve = document.getElementById('preserve');
+  const summary = document.getElementById('summary');
+
+  let entries = [];
+  const rows = new Map(); // entry id -> tr
+  let children = new Map(); // child url -> { parent, kind } from parsed playlists
+  let nextId = 1;
+  let renderQueued = false;
+  const hiddenKinds = new Set();
+
+  // ---- Kind Filter ----
+  const kindButtons = new Map();
+  MEDIA_KINDS.forEach(([kind, label]) => {
+    const button = document.createElement('button');
+    button.className = 'kind active';
+    button.appendChild(document.createTextNode(label));
+    const count = document.createElement('span');
+    count.className = 'count';
+    button.appendChild(count);
+    button.addEventListener('click', () => {
+      if (hiddenKinds.has(kind)) hiddenKinds.delete(kind);
+      else hiddenKinds.add(kind);
+      button.classList.toggle('active', !hiddenKinds.has(kind));
+      scheduleRender();
+    });
+    kindButtons.set(kind, { button, count });
+    kindsBar.appendChild(button);
+  });
+
+  function visible(entry) {
+    if (hiddenKinds.has(entry.kind)) return false;
+    const text = filterInput.value.trim().toLowerCase();
+    return !text || entry.url.toLowerCase().includes(text);
+  }
+
+  // ---- Rows ----
+  function createRow() {
+    const row = document.createElement('tr');
+    for (const className of ['name', 'type', 'status', 'size', 'time', 'parent', 'waterfall']) {
+      const cell = document.createElement('td');
+      cell.className = className;
+      row.appendChild(cell);
+    }
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    const wait = document.createElement('div');
+    wait.className = 'wait';
+    bar.appendChild(wait);
+    row.cells[6].appendChild(bar);
+    return row;
+  }
+
+  function fillRow(row, entry) {
+    const [name, type, status, size, time, parent] = row.cells;
+    name.textContent = entry.range ? `${shortName(entry.url)} (${entry.range})` : shortName(entry.url);
+    name.title = entry.url;
+    type.textContent = '';
+    const badge = document.createElement('span');
+    badge.className = `badge ${entry.kind}`;
+    badge.textContent = entry.kind;
+    type.appendChild(badge);
+    status.textContent = entry.status || 'failed';
+    size.textContent = formatSize(entry.size);
+    time.textContent = formatTime(entry.time);
+    parent.textContent = entry.parent ? shortName(entry.parent) : '';
+    parent.title = entry.parent || '';
+    row.classList.toggle('failed', !entry.status || entry.status >= 400);
+  }
+
+  function placeBar(row, entry, origin, span) {
+    const bar = row.cells[6].firstChild;
+    bar.className = `bar ${entry.kind}${!entry.status || entry.status >= 400 ? ' failed' : ''}`;
+    bar.style.left = `${((entry.start - origin) / span) * 100}%`;
+    bar.style.width = `${(entry.time / span) * 100}%`;
+    bar.firstChild.style.width = entry.time ? `${Math.min(entry.wait / entry.time, 1) * 100}%` : '0';
+    bar.title = timingSummary(entry);
+  }
+
+  function render() {
+    renderQueued = false;
+    const shown = entries.filter(visible);
+    const origin = shown.length ? Math.min(...shown.map(e => e.start)) : 0;
+    const end = shown.length ? Math.max(...shown.map(e => e.start + e.time)) : 0;
+    const span = Math.max(end - origin, 1);
+
+    const shownIds = new Set(shown.map(e => e.id));
+    const keptIds = new Set(entries.map(e => e.id));
+    for (const [id, row] of rows) {
+      if (shownIds.has(id)) continue;
+      row.remove();
+      if (!keptIds.has(id)) rows.delete(id);
+    }
+    // Rows stay in arrival order; only missing ones are (re)inserted
+    let cursor = tbody.firstChild;
+    for (const entry of shown) {
+      let row = rows.get(entry.id);
+      if (!row) {
+        row = createRow();
+        rows.set(entry.id, row);
+      }
+      if (row.dataset.kind !== entry.kind || row.dataset.parent !== (entry.parent || '')) {
+        fillRow(row, entry);
+        row.dataset.kind = entry.kind;
+        row.dataset.parent = entry.parent || '';
+      }
+      placeBar(row, entry, origin, span);
+      if (row === cursor) cursor = cursor.nextSibling;
+      else tbody.insertBefore(row, cursor);
+    }
+
+    const counts = new Map();
+    entries.forEach(e => counts.set(e.kind, (counts.get(e.kind) || 0) + 1));
+    for (const [kind, { count }] of kindButtons) count.textContent = counts.get(kind) || '';
+
+    const bytes = shown.reduce((sum, e) => sum + (e.size || 0), 0);
+    summary.textContent = shown.length
+      ? `${shown.length}/${entries.length} requests · ${formatSize(bytes)} · ${formatTime(span)}`
+      : '';
+    empty.style.display = entries.length ? 'none' : 'block';
+  }
+
+  function scheduleRender() {
+    if (renderQueued) return;
+    renderQueued = true;
+    requestAnimationFrame(render);
+  }
+
+  // ---- Capture ----
+  // Links from playlists no longer listed are dropped; the rest are capped, oldest first
+  function pruneChildren() {
+    const listed = new Set(entries.map(e => e.url));
+    for (const [url, link] of children) {
+      if (!listed.has(link.parent)) children.delete(url);
+    }
+    for (const url of children.keys()) {
+      if (children.size <= MAX_CHILDREN) break;
+      children.delete(url);
+    }
+  }
+
+  function applyChildren(found) {
+    for (const [url, link] of found) {
+      // A refreshed live playlist moves its links to the back
+      children.delete(url);
+      children.set(url, link);
+    }
+    pruneChildren();
+    for (const entry of entries) {
+      const link = found.get(entry.url);
+      if (link) {
+        entry.kind = link.kind;
+        entry.parent = link.parent;
+      }
+    }
+    scheduleRender();
+  }
+
+  // Parse finished playlists / manifests so their segments, keys and renditions get a parent
+  function readPlaylist(entry, har) {
+    if (typeof har.getContent !== 'function' || !entry.status || entry.status >= 400) return;
+    har.getContent((content, encoding) => {
+      if (!content) return;
+      try {
+        const text = encoding === 'base64' ? atob(content) : content;
+        applyChildren(playlistChildren(entry.kind, text, entry.url));
+      } catch (e) { /* not parseable (truncated, or not a playlist after all) */ }
+    });
+  }
+
+  function addRequest(har) {
+    const entry = createEntry(har, nextId++);
+    const link = children.get(entry.url);
+    entry.kind = link ? link.kind : classifyRequest(entry.url, entry.mimeType);
+    if (!entry.kind) return;
+    entry.parent = link ? link.parent : null;
+
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) {
+      const dropped = entries.slice(0, -MAX_ENTRIES);
+      entries = entries.slice(-MAX_ENTRIES);
+      if (dropped.some(e => e.kind === 'playlist' || e.kind === 'manifest')) pruneChildren();
+    }
+    if (entry.kind === 'playlist' || entry.kind === 'manifest') readPlaylist(entry, har);
+    scheduleRender();
+  }
+
+  function clear() {
+    entries = [];
+    children = new Map();
+    for (const row of rows.values()) row.remove();
+    rows.clear();
+    scheduleRender();
+  }
+
+  // Requests made before the panel opened (since DevTools opened); then live ones
+  chrome.devtools.network.getHAR((har) => {
+    (har && har.entries || []).forEach(addRequest);
+    chrome.devtools.network.onRequestFinished.addListener(addRequest);
+  });
+  chrome.devtools.network.onNavigated.addListener(() => {
+    if (!preserve.checked) clear();
+  });
+
+  filterInput.addEventListener('input', scheduleRender);
+  document.getElementById('clear').addEventListener('click', clear);
+  document.getElementById('export').addEventListener('click', () => saveHar(entries.filter(visible)));
+
+  render();
+});
@@ -7,6 +7,23 @@
  * - Download continues when popup closes (handled by background + offscreen)
  * - XSS-safe DOM construction (no innerHTML with user data)
  * - Inline SVG icons (no external CDN dependency)
+ * - HLS output container setting (MP4 / fragmented MP4 / .ts)
+ * - Variant picker for master playlists with a saved default preference
+ * - Alternate audio / subtitle rendition picker (EXT-X-MEDIA groups)
+ * - DASH cards with a Representation picker (DRM-protected ones shown, not selectable)
+ * - Live HLS record / stop button with elapsed recording time
+ * - Interrupted downloads listed with Resume / Discard
+ * - Downloads tab: queued / running / finished jobs across tabs, with reorder, pause and cancel
+ * - Bandwidth limit setting
+ * - Failed-segment list per card; strict mode leaves an incomplete job with Retry failed / Save anyway
+ * - HLS clip start / end fields (offsets or PROGRAM-DATE-TIME date-times)
+ * - Inspect button on HLS cards opens the manifest inspector in a tab
+ * - WebRTC card with peer connection states, linking to the WebRTC inspector
+ * - Live capture track list: getUserMedia / getDisplayMedia / captureStream, constraints vs settings, transitions
+ * - Playback diagnostics on cards: ready / network state, buffer, dropped frames, video vs rendered size, event log
+ * - All tabs: media detected across every open tab, with switch-to-tab and download
+ * - Direct MP4 / WebM cards show probed duration, codecs, resolution, frame rate, size and moov position
+ * - HLS cards show the playlist summary: master / media, variants, duration or LIVE, segments, encryption, estimated size
  */
 
 // Inline SVG icons (replaces boxicons CDN for CWS compliance)
@@ -17,6 +34,15 @@ const ICONS = {
   link: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M3.9 12c0-1.71 1.39-3.1 3.1-3.1h4V7H7c-2.76 0-5 2.24-5 5s2.24 5 5 5h4v-1.9H7c-1.71 0-3.1-1.39-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.71 0 3.1 1.39 3.1 3.1s-1.39 3.1-3.1 3.1h-4V17h4c2.76 0 5-2.24 5-5s-2.24-5-5-5z"/></svg>',
   check: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/></svg>',
   shield: '<svg viewBox="0 0 24 24" width="16" height="16" fill="#00ba7c"><path d="M12 2L4 5v6.09c0 5.05 3.41 9.76 8 10.91 4.59-1.15 8-5.86 8-10.91V5l-8-3zm-1.06 13.54L7.4 12l1.41-1.41 2.12 2.12 4.24-4.24 1.41 1.41-5.64 5.66z"/></svg>',
+  list: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M3 5h2v2H3zm4 0h14v2H7zM3 11h2v2H3zm4 0h14v2H7zm-4 6h2v2H3zm4 0h14v2H7z"/></svg>',
+  record: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><circle cx="12" cy="12" r="6"/></svg>',
+  stop: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M7 7h10v10H7z"/></svg>',
+  resume: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>',
+  pause: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M6 5h4v14H6zm8 0h4v14h-4z"/></svg>',
+  up: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z"/></svg>',
+  down: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M7.41 8.59L12 13.17l4.59-4.58L18 10l-6 6-6-6z"/></svg>',
+  inspect: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M9.4 16.6L4.8 12l4.6-4.6L8 6l-6 6 6 6 1.4-1.4zm5.2 0l4.6-4.6-4.6-4.6L16 6l6 6-6 6-1.4-1.4z"/></svg>',
+  close: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>',
   search: '<svg viewBox="0 0 24 24" width="32" height="32" fill="none" stroke="#8b98a5" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="M21 21l-4.35-4.35"/></svg>'
 };
 
@@ -30,17 +56,68 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // ---- Progress Listener ----
   chrome.runtime.onMessage.addListener((request) => {
-    if (request.action === 'downloadProgress' && request.tabId === tab.id) {
+    if (request.action !== 'downloadProgress') return;
+    // A resumed job reports under its own id, whichever tab it was resumed from
+    const resumeCard = request.jobId
+      && document.querySelector(`#resume-list .media-card[data-job-id="${CSS.escape(request.jobId)}"]`);
+    if (resumeCard) {
+      if (/^(Complete|Success)/.test(request.msg || '')) {
+        resumeCard.remove();
+        return;
+      }
+      const state = { progress: request.prog, message: request.msg || '', gaps: request.gaps || null };
+      renderProgress(resumeCard, state);
+      // Failed again: Save anyway / Discard are back too
+      if (isFinished(state.message)) resumeCard.querySelectorAll('button').forEach((btn) => { btn.disabled = false; });
+      return;
+    }
+    if (request.tabId === tab.id) {
+      const previous = downloadStates.get(request.url);
       const state = {
         progress: request.prog,
         message: request.msg || '',
-        active: request.prog !== null && request.prog < 100
+        active: request.prog !== null && request.prog < 100,
+        recording: !!request.recording,
+        // Failed segments stay listed for the rest of the run
+        gaps: request.gaps || (previous ? previous.gaps : null)
       };
       downloadStates.set(request.url, state);
       updateProgressUI(request.url, state);
     }
   });
 
+  // ---- Settings ----
+  let settings = { variantPreference: DEFAULT_VARIANT_PREFERENCE };
+  const formatSelect = document.getElementById('output-format');
+  const maxRecordSelect = document.getElementById('max-record');
+  const maxBandwidthSelect = document.getElementById('max-bandwidth');
+  const strictSelect = document.getElementById('strict-integrity');
+  const strictNote = document.getElementById('strict-note');
+  chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    settings = response.settings;
+    formatSelect.value = settings.outputFormat;
+    maxRecordSelect.value = String(settings.maxRecordMinutes);
+    maxBandwidthSelect.value = String(settings.maxBytesPerSecond);
+    strictSelect.value = String(settings.strictIntegrity);
+    strictNote.classList.toggle('visible', settings.strictIntegrity);
+  });
+  formatSelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'saveSettings', settings: { outputFormat: formatSelect.value } });
+  });
+  maxRecordSelect.addEventListener('change', () => {
+    const maxRecordMinutes = parseInt(maxRecordSelect.value, 10);
+    chrome.runtime.sendMessage({ action: 'saveSettings', settings: { maxRecordMinutes } });
+  });
+  strictSelect.addEventListener('change', () => {
+    strictNote.classList.toggle('visible', strictSelect.value === 'true');
+    chrome.runtime.sendMessage({ action: 'saveSettings', settings: { strictIntegrity: strictSelect.value === 'true' } });
+  });
+  maxBandwidthSelect.addEventListener('change', () => {
+    const maxBytesPerSecond = parseInt(maxBandwidthSelect.value, 10);
+    chrome.runtime.sendMessage({ action: 'saveSettings', settings: { maxBytesPerSecond } });
+  });
+
   // ---- Safe Text Setter ----
   function setText(el, text) {
     if (el) el.textContent = text;
@@ -54,9 +131,281 @@ document.addEventListener('DOMContentLoaded', async () => {
     return span;
   }
 
+  // ---- Variant Picker ----
+  const PREFERENCE_RULES = [
+    ['highest', 'Highest bandwidth'],
+    ['lowest', 'Lowest bandwidth'],
+    ...[2160, 1440, 1080, 720, 480, 360].map(h => [`closest:${h}`, `Closest to ${h}p`])
+  ];
+  const PREFERENCE_CODECS = [['any', 'Any codec'], ['avc', 'AVC'], ['hevc', 'HEVC'], ['av1', 'AV1'], ['vp9', 'VP9']];
+
+  function variantSummary(variant) {
+    const parts = [variant.resolution ? `${variant.resolution.width}x${variant.resolution.height}` : 'No video'];
+    parts.push(formatBitrate(variant.bandwidth));
+    if (variant.frameRate) parts.push(`${Number(variant.frameRate.toFixed(3))} fps`);
+    return parts.join(' · ');
+  }
+
+  function selectEl(className, options, value) {
+    const select = document.createElement('select');
+    select.className = className;
+    options.forEach(([optValue, label]) => {
+      const opt = document.createElement('option');
+      opt.value = optValue;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+    select.value = value;
+    return select;
+  }
+
+  function renditionLabel(rendition) {
+    const parts = [rendition.name || rendition.language || rendition.groupId];
+    if (rendition.language && rendition.name !== rendition.language) parts.push(`(${rendition.language})`);
+    if (!rendition.url) parts.push('- in video');
+    return parts.join(' ');
+  }
+
+  // Audio / subtitle selects for the chosen variant's rendition groups
+  function renderRenditions(container, playlist, variant, state) {
+    container.textContent = '';
+    state.audioUrl = undefined;
+    state.subtitleUrl = undefined;
+    if (!variant) return;
+
+    const audio = variantRenditions(playlist, variant, 'AUDIO');
+    if (audio.length) {
+      const preferred = defaultRendition(audio);
+      const select = selectEl('rendition-audio',
+        audio.map(r => [r.url || '', `Audio: ${renditionLabel(r)}`]),
+        preferred ? preferred.url : '');
+      state.audioUrl = select.value;
+      select.addEventListener('change', () => { state.audioUrl = select.value; });
+      container.appendChild(select);
+    }
+
+    const subtitles = variantRenditions(playlist, variant, 'SUBTITLES').filter(r => r.url);
+    if (subtitles.length) {
+      const preferred = subtitles.find(r => r.default);
+      const select = selectEl('rendition-subtitles',
+        [['', 'No subtitles'], ...subtitles.map(r => [r.url, `Subtitles: ${renditionLabel(r)}`])],
+        preferred ? preferred.url : '');
+      state.subtitleUrl = select.value;
+      select.addEventListener('change', () => { state.subtitleUrl = select.value; });
+      container.appendChild(select);
+    }
+  }
+
+  async function loadPlaylist(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseM3u8(await res.text(), url);
+  }
+
+  // Fill the panel with one row per variant; `state.variantUrl` tracks the pick,
+  // `state.audioUrl` / `state.subtitleUrl` the renditions (undefined = automatic)
+  function renderVariants(panel, playlist, state) {
+    panel.textContent = '';
+
+    if (!playlist.isMaster) {
+      const note = document.createElement('div');
+      note.className = 'variant-note';
+      const length = playlist.endList ? `${Math.round(playlist.totalDuration)}s` : 'LIVE';
+      note.textContent = `Media playlist: ${playlist.segments.length} segments, ${length}`;
+      panel.appendChild(note);
+      return;
+    }
+
+    const rows = [];
+    const renditions = document.createElement('div');
+    renditions.className = 'variant-prefs';
+    const markSelected = () => {
+      rows.forEach(({ row, variant }) => row.classList.toggle('selected', variant.url === state.variantUrl));
+      const selected = playlist.variants.find(v => v.url === state.variantUrl);
+      renderRenditions(renditions, playlist, selected, state);
+    };
+    const applyDefault = () => {
+      const preferred = selectVariant(playlist.variants, settings.variantPreference);
+      rows.forEach(({ badge, variant }) => { badge.style.display = variant === preferred ? 'inline' : 'none'; });
+      state.variantUrl = preferred ? preferred.url : null;
+      markSelected();
+    };
+
+    playlist.variants
+      .slice()
+      .sort((a, b) => b.bandwidth - a.bandwidth)
+      .forEach(variant => {
+        const row = document.createElement('div');
+        row.className = 'variant-row';
+
+        const main = document.createElement('div');
+        main.className = 'variant-main';
+        main.textContent = variantSummary(variant);
+
+        const badge = document.createElement('span');
+        badge.className = 'variant-badge';
+        badge.textContent = 'default';
+        main.appendChild(badge);
+
+        const codecs = document.createElement('div');
+        codecs.className = 'variant-codecs';
+        codecs.textContent = variant.codecs || 'codecs not declared';
+
+        row.appendChild(main);
+        row.appendChild(codecs);
+        row.addEventListener('click', () => {
+          state.variantUrl = variant.url;
+          markSelected();
+        });
+        rows.push({ row, badge, variant });
+        panel.appendChild(row);
+      });
+
+    panel.appendChild(renditions);
+
+    // Default preference rule, saved for every future download
+    const pref = { ...DEFAULT_VARIANT_PREFERENCE, ...settings.variantPreference };
+    const prefs = document.createElement('div');
+    prefs.className = 'variant-prefs';
+    const ruleSelect = selectEl('pref-rule', PREFERENCE_RULES,
+      pref.rule === 'closest' ? `closest:${pref.height}` : pref.rule);
+    const codecSelect = selectEl('pref-codec', PREFERENCE_CODECS, pref.codec);
+    const savePreference = () => {
+      const [rule, height] = ruleSelect.value.split(':');
+      const variantPreference = {
+        rule,
+        height: height ? parseInt(height, 10) : pref.height,
+        codec: codecSelect.value
+      };
+      settings = { ...settings, variantPreference };
+      chrome.runtime.sendMessage({ action: 'saveSettings', settings: { variantPreference } });
+      applyDefault();
+    };
+    ruleSelect.addEventListener('change', savePreference);
+    codecSelect.addEventListener('change', savePreference);
+    prefs.appendChild(ruleSelect);
+    prefs.appendChild(codecSelect);
+    panel.appendChild(prefs);
+
+    applyDefault();
+  }
+
+  // ---- DASH Representations ----
+  async function loadManifest(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseMpd(await res.text(), url);
+  }
+
+  function representationLabel(rep, multiPeriod) {
+    const parts = [];
+    if (rep.contentType === 'video') {
+      parts.push(rep.resolution ? `${rep.resolution.width}x${rep.resolution.height}` : 'Video');
+    } else {
+      parts.push(`${rep.contentType === 'audio' ? 'Audio' : 'Text'}${rep.lang ? ` (${rep.lang})` : ''}`);
+    }
+    if (rep.bandwidth) parts.push(formatBitrate(rep.bandwidth));
+    if (rep.frameRate) parts.push(`${Number(rep.frameRate.toFixed(3))} fps`);
+    if (rep.audioSamplingRate) parts.push(`${rep.audioSamplingRate / 1000} kHz`);
+    if (multiPeriod) parts.unshift(`P${rep.periodIndex + 1}`);
+    return parts.join(' · ');
+  }
+
+  // One row per Representation; clear video/audio rows set `state.videoKey` / `state.audioKey`
+  // (clicking the selected audio row again downloads without audio)
+  function renderRepresentations(panel, manifest, state) {
+    panel.textContent = '';
+    const picked = selectDashRepresentations(manifest, { variantPreference: settings.variantPreference });
+    state.videoKey = picked.video ? picked.video.key : null;
+    state.audioKey = picked.audio ? picked.audio.key : '';
+
+    const rows = [];
+    const markSelected = () => {
+      rows.forEach(({ row, rep }) => row.classList.toggle('selected', rep.key === state.videoKey || rep.key === state.audioKey));
+    };
+    const multiPeriod = manifest.periods.length > 1;
+
+    ['video', 'audio', 'text'].forEach(kind => {
+      manifest.representations
+        .filter(rep => rep.contentType === kind)
+        .sort((a, b) => b.bandwidth - a.bandwidth)
+        .forEach(rep => {
+          const row = document.createElement('div');
+          row.className = 'variant-row';
+
+          const main = document.createElement('div');
+          main.className = 'variant-main';
+          main.textContent = representationLabel(rep, multiPeriod);
+          if (rep.protected) {
+            const badge = document.createElement('span');
+            badge.className = 'variant-badge drm';
+            badge.textContent = 'DRM';
+            main.appendChild(badge);
+          }
+
+          const codecs = document.createElement('div');
+          codecs.className = 'variant-codecs';
+          codecs.textContent = [rep.codecs, rep.mimeType].filter(Boolean).join(' · ');
+
+          row.appendChild(main);
+          row.appendChild(codecs);
+          if (rep.protected || kind === 'text') {
+            row.classList.add('disabled');
+          } else {
+            row.addEventListener('click', () => {
+              if (kind === 'video') state.videoKey = rep.key;
+              else state.audioKey = state.audioKey === rep.key ? '' : rep.key;
+              markSelected();
+            });
+          }
+          rows.push({ row, rep });
+          panel.appendChild(row);
+        });
+    });
+
+    if (!rows.length) panel.textContent = 'No representations found';
+    markSelected();
+  }
+
+  // ---- Clip Range ----
+  // Start / end fields -> { start, end, wallClock } for the offscreen job (null: whole stream)
+  function readClip(startText, endText) {
+    const start = parseClipTime(startText);
+    const end = parseClipTime(endText);
+    if (!start && !end) return null;
+    if (start && end && start.wallClock !== end.wallClock) {
+      throw new Error('Start and end must both be offsets or both date-times');
+    }
+    if (start && end && end.value <= start.value) throw new Error('Clip end must be after its start');
+    return {
+      start: start ? start.value : null,
+      end: end ? end.value : null,
+      wallClock: (start || end).wallClock
+    };
+  }
+
+  // ---- Gap List ----
+  // Failed segments (sequence, time range, reason) as reported by the offscreen job
+  function renderGaps(list, gaps) {
+    list.textContent = '';
+    (gaps || []).forEach((gap) => {
+      const row = document.createElement('div');
+      row.textContent = gap.label;
+      list.appendChild(row);
+    });
+  }
+
   // ---- Progress UI Update ----
+  function isFinished(message) {
+    return ['Complete', 'Success', 'Error', 'Cancelled'].some(prefix => message.startsWith(prefix));
+  }
+
   function updateProgressUI(url, state) {
-    const card = document.querySelector(`.media-card[data-url="${CSS.escape(url)}"]`);
+    renderProgress(listContainer.querySelector(`.media-card[data-url="${CSS.escape(url)}"]`), state);
+    if (isFinished(state.message)) downloadStates.delete(url);
+  }
+
+  function renderProgress(card, state) {
     if (!card) return;
 
     const bar = card.querySelector('.progress-fill');
@@ -71,6 +420,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       if (state.message.startsWith('Error')) {
         log.style.color = '#ff4444';
+      } else if (state.message.startsWith('Cancelled')) {
+        log.style.color = 'var(--subtext)';
       } else if (state.message.startsWith('Complete') || state.message.startsWith('Success')) {
         log.style.color = '#00ba7c';
       } else {
@@ -78,6 +429,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
 
+    const gapList = card.querySelector('.gap-list');
+    if (gapList) renderGaps(gapList, state.gaps);
+
+    const recordBtn = card.querySelector('.btn-record');
+    if (recordBtn && state.recording) setRecording(recordBtn, true);
+
     if (bar) {
       if (state.progress !== null && state.progress >= 0) {
         bar.style.width = state.progress + '%';
@@ -87,25 +444,108 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     }
 
-    if (state.message.startsWith('Complete') || state.message.startsWith('Error') || state.message.startsWith('Success')) {
+    if (isFinished(state.message)) {
       const btn = card.querySelector('.btn-dl');
       if (btn) {
         btn.disabled = false;
         btn.textContent = '';
         btn.appendChild(iconEl('download'));
-        btn.appendChild(document.createTextNode(state.message.startsWith('Error') ? ' Retry' : ' Done'));
+        btn.appendChild(document.createTextNode(state.message.startsWith('Complete') || state.message.startsWith('Success') ? ' Done' : ' Retry'));
+      }
+      if (recordBtn) {
+        setRecording(recordBtn, false);
+        recordBtn.disabled = false;
       }
-      downloadStates.delete(url);
     }
   }
 
+  function setRecording(btn, recording) {
+    if (btn.classList.contains('recording') === recording) return;
+    btn.classList.toggle('recording', recording);
+    btn.title = recording ? 'Stop recording' : 'Record live stream';
+    btn.textContent = '';
+    btn.appendChild(iconEl(recording ? 'stop' : 'record'));
+  }
+
+  // ---- Metadata Probe ----
+  // item.probe comes from the background: a ranged read of the file's head (media-probe.js)
+  // or, for HLS, a summary of the playlist
+  function probeTrackSummary(track) {
+    const parts = [track.codec];
+    if (track.width && track.height) parts.push(`${track.width}x${track.height}`);
+    if (track.frameRate) parts.push(`${Number(track.frameRate.toFixed(2))}fps`);
+    if (track.sampleRate) parts.push(`${track.sampleRate / 1000}kHz`);
+    if (track.channels) parts.push(`${track.channels}ch`);
+    if (track.encrypted) parts.push('encrypted');
+    return parts.join(' ');
+  }
+
+  function playlistSummary(probe) {
+    const parts = [probe.isMaster ? `Master: ${probe.variants} variant${probe.variants === 1 ? '' : 's'}` : 'Media playlist'];
+    if (probe.topResolution) parts.push(`up to ${probe.topResolution.width}x${probe.topResolution.height}`);
+    parts.push(probe.live ? 'LIVE' : formatDuration(probe.duration));
+    parts.push(`${probe.segments} segments`);
+    parts.push(probe.encryption.length ? probe.encryption.join(' + ') : 'clear');
+    parts.push(probe.segmentFormat);
+    if (probe.estimatedSize) {
+      parts.push(`~${(probe.estimatedSize / (1024 * 1024)).toFixed(1)}MB${probe.separateAudio ? ' video only' : ''}`);
+    }
+    return parts.join(' · ');
+  }
+
+  // knownSize: the card's meta line already shows the header size
+  function renderProbe(line, probe, knownSize) {
+    if (!line || !probe) return;
+    line.classList.toggle('moov-end', probe.moovAtFront === false);
+    if (probe.status === 'pending') {
+      setText(line, 'Reading metadata...');
+      return;
+    }
+    if (probe.status === 'failed') {
+      setText(line, `No metadata: ${probe.error}`);
+      return;
+    }
+    if (probe.container === 'HLS') {
+      setText(line, playlistSummary(probe));
+      return;
+    }
+    const parts = [probe.duration ? formatDuration(probe.duration) : 'Duration unknown'];
+    probe.tracks.filter(track => track.kind !== 'other').forEach(track => parts.push(probeTrackSummary(track)));
+    if (probe.size && !knownSize) parts.push(`${(probe.size / (1024 * 1024)).toFixed(1)}MB`);
+    if (probe.moovAtFront === true) parts.push('moov at front');
+    // Players need the moov before the first frame, so such files only play once fully loaded
+    else if (probe.moovAtFront === false) parts.push('moov at end (no progressive playback)');
+    setText(line, parts.join(' · '));
+  }
+
+  // 'hls', 'dash' or null (direct file), from the detected type or the URL
+  function streamKind(item) {
+    if (item.type === 'HLS' || item.url.includes('.m3u8')) return 'hls';
+    if (item.type === 'DASH' || /\.mpd(\?|$|#)/i.test(item.url)) return 'dash';
+    return null;
+  }
+
+  // Size and MIME type come from response headers (background.js), often after the card is built
+  function cardMeta(item) {
+    let metaText = streamKind(item) ? 'Auto-Segment Mapping' : 'Direct Access';
+    if (item.width && item.height) {
+      metaText += ` | ${item.width}x${item.height}`;
+    }
+    if (item.size) metaText += ` | ${(item.size / (1024 * 1024)).toFixed(1)}MB`;
+    if (item.mime) metaText += ` | ${item.mime}`;
+    return metaText;
+  }
+
   // ---- Create Media Card (XSS-safe, inline SVG) ----
   function createCard(item) {
     const card = document.createElement('div');
     card.className = 'media-card';
     card.dataset.url = item.url;
 
-    const isHls = item.url.includes('.m3u8');
+    const kind = streamKind(item);
+    const isHls = kind === 'hls';
+    const isDash = kind === 'dash';
+    const isStream = !!kind;
 
     // Card head
     const head = document.createElement('div');
@@ -113,25 +553,27 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const typeIcon = document.createElement('div');
     typeIcon.className = 'type-icon';
-    typeIcon.appendChild(iconEl(isHls ? 'hls' : 'video'));
+    typeIcon.appendChild(iconEl(isStream ? 'hls' : 'video'));
 
     const info = document.createElement('div');
     info.className = 'info';
 
     const title = document.createElement('div');
     title.className = 'title';
-    title.textContent = isHls ? 'HLS Stream' : 'Direct Video';
+    title.textContent = isHls ? 'HLS Stream' : isDash ? 'DASH Stream' : 'Direct Video';
 
     const meta = document.createElement('div');
     meta.className = 'meta';
-    let metaText = isHls ? 'Auto-Segment Mapping' : 'Direct Access';
-    if (item.width && item.height) {
-      metaText += ` | ${item.width}x${item.height}`;
-    }
-    meta.textContent = metaText;
+    meta.textContent = cardMeta(item);
 
     info.appendChild(title);
     info.appendChild(meta);
+    if (!isDash) {
+      const probeLine = document.createElement('div');
+      probeLine.className = 'probe-info';
+      renderProbe(probeLine, item.probe, item.size);
+      info.appendChild(probeLine);
+    }
 
     head.appendChild(typeIcon);
     head.appendChild(info);
@@ -155,7 +597,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     dlBtn.className = 'btn-main btn-dl';
     dlBtn.dataset.url = item.url;
     dlBtn.appendChild(iconEl('download'));
-    dlBtn.appendChild(document.createTextNode(isHls ? ' Elite Download' : ' Direct Save'));
+    dlBtn.appendChild(document.createTextNode(isStream ? ' Elite Download' : ' Direct Save'));
 
     const copyBtn = document.createElement('button');
     copyBtn.className = 'btn-side btn-copy';
@@ -163,6 +605,87 @@ document.addEventListener('DOMContentLoaded', async () => {
     copyBtn.appendChild(iconEl('link'));
 
     actions.appendChild(dlBtn);
+
+    // Variant / Representation list (HLS and DASH), loaded on first open
+    const state = { variantUrl: null, audioUrl: undefined, subtitleUrl: undefined, videoKey: null, audioKey: undefined };
+    const variantPanel = document.createElement('div');
+    variantPanel.className = 'variant-panel';
+    if (isStream) {
+      const variantsBtn = document.createElement('button');
+      variantsBtn.className = 'btn-side btn-variants';
+      variantsBtn.title = 'Variants';
+      variantsBtn.appendChild(iconEl('list'));
+      actions.appendChild(variantsBtn);
+
+      let loaded = false;
+      variantsBtn.addEventListener('click', async () => {
+        const open = variantPanel.style.display !== 'block';
+        variantPanel.style.display = open ? 'block' : 'none';
+        if (!open || loaded) return;
+        loaded = true;
+        variantPanel.textContent = 'Loading variants...';
+        try {
+          if (isDash) renderRepresentations(variantPanel, await loadManifest(item.url), state);
+          else renderVariants(variantPanel, await loadPlaylist(item.url), state);
+        } catch (e) {
+          loaded = false;
+          variantPanel.textContent = `Could not load playlist: ${e.message}`;
+        }
+      });
+    }
+
+    // Time-range clip (HLS): empty fields download everything
+    const clipRow = document.createElement('div');
+    clipRow.className = 'clip-row';
+    const clipStart = document.createElement('input');
+    clipStart.placeholder = 'Clip start (mm:ss)';
+    const clipEnd = document.createElement('input');
+    clipEnd.placeholder = 'Clip end';
+    clipStart.title = clipEnd.title = 'Seconds, [h:]mm:ss from the start, or an ISO date-time (PROGRAM-DATE-TIME)';
+    clipRow.appendChild(clipStart);
+    clipRow.appendChild(clipEnd);
+
+    // Live recording (HLS): the offscreen job polls the playlist until stopped
+    if (isHls) {
+      const recordBtn = document.createElement('button');
+      recordBtn.className = 'btn-side btn-record';
+      recordBtn.title = 'Record live stream';
+      recordBtn.appendChild(iconEl('record'));
+      actions.appendChild(recordBtn);
+
+      recordBtn.addEventListener('click', () => {
+        if (recordBtn.classList.contains('recording')) {
+          chrome.runtime.sendMessage({ action: 'stopHlsRecording', url: item.url, tabId: tab.id });
+          recordBtn.disabled = true;
+          return;
+        }
+        setRecording(recordBtn, true);
+        dlBtn.disabled = true;
+        chrome.runtime.sendMessage({
+          action: 'startHlsDownload',
+          url: item.url,
+          tabId: tab.id,
+          variantUrl: state.variantUrl,
+          audioUrl: state.audioUrl,
+          subtitleUrl: state.subtitleUrl,
+          record: true
+        });
+      });
+    }
+
+    // Manifest inspector: raw playlist, variant tree, segments and keys in a full tab
+    if (isHls) {
+      const inspectBtn = document.createElement('button');
+      inspectBtn.className = 'btn-side btn-inspect';
+      inspectBtn.title = 'Inspect manifest';
+      inspectBtn.appendChild(iconEl('inspect'));
+      actions.appendChild(inspectBtn);
+
+      inspectBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL(`inspector.html?url=${encodeURIComponent(item.url)}`) });
+      });
+    }
+
     actions.appendChild(copyBtn);
 
     // Progress
@@ -175,14 +698,39 @@ document.addEventListener('DOMContentLoaded', async () => {
     const logMsg = document.createElement('div');
     logMsg.className = 'log-msg';
 
+    const gapList = document.createElement('div');
+    gapList.className = 'gap-list';
+
+    // Filled by refreshPlayback() while the page's element exists
+    const playback = document.createElement('details');
+    playback.className = 'playback';
+    playback.appendChild(document.createElement('summary'));
+    playback.appendChild(document.createElement('div'));
+
     card.appendChild(head);
     card.appendChild(urlPreview);
     card.appendChild(actions);
+    if (isHls) card.appendChild(clipRow);
+    card.appendChild(variantPanel);
     card.appendChild(progressWrap);
     card.appendChild(logMsg);
+    card.appendChild(gapList);
+    card.appendChild(playback);
 
     // Event handlers
     dlBtn.addEventListener('click', () => {
+      let clip = null;
+      if (isHls) {
+        try {
+          clip = readClip(clipStart.value, clipEnd.value);
+        } catch (e) {
+          logMsg.style.display = 'block';
+          logMsg.style.color = '#ff4444';
+          setText(logMsg, e.message);
+          return;
+        }
+      }
+
       dlBtn.disabled = true;
       dlBtn.textContent = '';
       dlBtn.appendChild(document.createTextNode('Processing...'));
@@ -191,7 +739,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         chrome.runtime.sendMessage({
           action: 'startHlsDownload',
           url: item.url,
-          tabId: tab.id
+          tabId: tab.id,
+          variantUrl: state.variantUrl,
+          audioUrl: state.audioUrl,
+          subtitleUrl: state.subtitleUrl,
+          clip
+        });
+      } else if (isDash) {
+        chrome.runtime.sendMessage({
+          action: 'startDashDownload',
+          url: item.url,
+          tabId: tab.id,
+          videoKey: state.videoKey,
+          audioKey: state.audioKey
         });
       } else {
         chrome.runtime.sendMessage({
@@ -222,6 +782,614 @@ document.addEventListener('DOMContentLoaded', async () => {
     return card;
   }
 
+  // ---- Playback Diagnostics ----
+  // Live state of the page's <video>/<audio> element behind each card
+  function formatSeconds(seconds) {
+    return seconds === null || !Number.isFinite(seconds) ? '—' : `${seconds.toFixed(1)}s`;
+  }
+
+  function formatRanges(ranges) {
+    return ranges.length ? ranges.map(([start, end]) => `${start.toFixed(1)}–${end.toFixed(1)}`).join(', ') : 'none';
+  }
+
+  function playbackSummary(diag) {
+    const state = diag.error ? 'error' : diag.ended ? 'ended' : diag.paused ? 'paused' : 'playing';
+    const parts = [`Playback: ${state}`, `${diag.bufferAhead.toFixed(1)}s buffered`];
+    if (diag.frames && diag.frames.total) {
+      parts.push(`${((diag.frames.dropped / diag.frames.total) * 100).toFixed(1)}% dropped`);
+    }
+    const stalls = diag.events.filter(event => event.type === 'waiting' || event.type === 'stalled').length;
+    if (stalls) parts.push(`${stalls} stall${stalls === 1 ? '' : 's'}`);
+    return parts.join(' · ');
+  }
+
+  function renderPlayback(box, diag) {
+    const [summary, body] = box.children;
+    // Red while erroring or within 10s of a stall; one waiting at startup is normal
+    const recentStall = diag.events.some(event =>
+      (event.type === 'waiting' || event.type === 'stalled') && Date.now() - event.t < 10000);
+    box.classList.toggle('unhealthy', !!diag.error || recentStall);
+    setText(summary, playbackSummary(diag));
+
+    const duration = diag.duration === null ? 'live' : formatSeconds(diag.duration);
+    const lines = [
+      `${diag.readyState} · ${diag.networkState} · ${diag.playbackRate}x`,
+      `Position ${formatSeconds(diag.currentTime)} / ${duration}`,
+      `Buffered ${formatRanges(diag.buffered)} · seekable ${formatRanges(diag.seekable)}`
+    ];
+    if (diag.frames) lines.push(`Frames dropped ${diag.frames.dropped} / ${diag.frames.total}`);
+    if (diag.videoWidth) {
+      lines.push(`Video ${diag.videoWidth}x${diag.videoHeight} · shown at ${diag.renderedWidth}x${diag.renderedHeight}`);
+    }
+    if (diag.error) lines.push(`Error: ${diag.error}`);
+    const rows = lines.map(text => {
+      const row = document.createElement('div');
+      row.textContent = text;
+      return row;
+    });
+
+    const events = document.createElement('div');
+    events.className = 'playback-events';
+    diag.events.slice(-8).reverse().forEach(event => {
+      const row = document.createElement('div');
+      const at = `${new Date(event.t).toLocaleTimeString()} ${event.type}${event.detail ? ` ${event.detail}` : ''}`;
+      row.textContent = `${at} @ ${formatSeconds(event.time)}`;
+      events.appendChild(row);
+    });
+    body.replaceChildren(...rows, events);
+  }
+
+  function refreshPlayback() {
+    chrome.tabs.sendMessage(tab.id, { action: 'getPlaybackDiagnostics' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      const byUrl = new Map(response.elements.map(diag => [diag.url, diag]));
+      listContainer.querySelectorAll('.media-card').forEach(card => {
+        const box = card.querySelector('.playback');
+        const diag = byUrl.get(card.dataset.url);
+        box.style.display = diag ? 'block' : 'none';
+        if (diag) renderPlayback(box, diag);
+      });
+    });
+  }
+
+  // ---- Interrupted Downloads ----
+  // Jobs whose offscreen document went away, or that strict mode stopped short of
+  // saving; resuming fetches only the missing segments
+  function createResumeCard(job) {
+    const incomplete = !!(job.gaps && job.gaps.length);
+    const card = document.createElement('div');
+    card.className = 'media-card';
+    card.dataset.jobId = job.id;
+
+    const head = document.createElement('div');
+    head.className = 'card-head';
+    const typeIcon = document.createElement('div');
+    typeIcon.className = 'type-icon';
+    typeIcon.appendChild(iconEl(job.kind === 'direct' ? 'video' : 'hls'));
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = incomplete ? 'Incomplete Download' : 'Interrupted Download';
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const done = Object.values(job.completed || {}).reduce((n, list) => n + list.length, 0);
+    // A direct file is counted in byte ranges
+    const unit = job.kind === 'direct' ? 'parts' : 'segments';
+    meta.textContent = incomplete
+      ? `${done}/${job.totalSegments} ${unit} | ${job.gaps.length} failed`
+      : `${done}/${job.totalSegments} ${unit}${job.error ? ` | ${job.error}` : ''}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    head.appendChild(typeIcon);
+    head.appendChild(info);
+
+    const urlPreview = document.createElement('div');
+    urlPreview.className = 'url-preview';
+    urlPreview.textContent = job.baseName;
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn-main btn-dl';
+    resumeBtn.appendChild(iconEl('resume'));
+    resumeBtn.appendChild(document.createTextNode(incomplete ? ' Retry failed' : ' Resume'));
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'btn-side';
+    discardBtn.title = 'Discard';
+    discardBtn.appendChild(iconEl('close'));
+    actions.appendChild(resumeBtn);
+
+    // Retry once more, then save whatever arrived
+    const saveAnywayBtn = document.createElement('button');
+    saveAnywayBtn.className = 'btn-side';
+    saveAnywayBtn.title = 'Retry, then save with gaps';
+    saveAnywayBtn.appendChild(iconEl('download'));
+    if (incomplete) actions.appendChild(saveAnywayBtn);
+    actions.appendChild(discardBtn);
+
+    const progressWrap = document.createElement('div');
+    progressWrap.className = 'progress-wrap';
+    const progressFill = document.createElement('div');
+    progressFill.className = 'progress-fill';
+    progressWrap.appendChild(progressFill);
+    const logMsg = document.createElement('div');
+    logMsg.className = 'log-msg';
+    const gapList = document.createElement('div');
+    gapList.className = 'gap-list';
+    renderGaps(gapList, job.gaps);
+
+    card.appendChild(head);
+    card.appendChild(urlPreview);
+    card.appendChild(actions);
+    card.appendChild(progressWrap);
+    card.appendChild(logMsg);
+    card.appendChild(gapList);
+
+    const resume = (allowGaps) => {
+      resumeBtn.disabled = true;
+      saveAnywayBtn.disabled = true;
+      discardBtn.disabled = true;
+      resumeBtn.textContent = '';
+      resumeBtn.appendChild(document.createTextNode('Resuming...'));
+      chrome.runtime.sendMessage({ action: 'resumeDownload', jobId: job.id, tabId: tab.id, allowGaps });
+    };
+    resumeBtn.addEventListener('click', () => resume(false));
+    saveAnywayBtn.addEventListener('click', () => resume(true));
+
+    discardBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'discardJob', jobId: job.id });
+      card.remove();
+    });
+
+    return card;
+  }
+
+  chrome.runtime.sendMessage({ action: 'getJobs' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    const resumeList = document.getElementById('resume-list');
+    response.jobs
+      .filter(job => job.status === 'interrupted')
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .forEach(job => resumeList.appendChild(createResumeCard(job)));
+  });
+
+  // ---- Capture Tracks ----
+  // getUserMedia / getDisplayMedia / captureStream streams seen by track-hook.js in this tab
+  const captureList = document.getElementById('capture-list');
+  const openTrackDetails = new Set(); // track ids whose constraints table is expanded
+  let lastCaptureJson = '';
+
+  // {ideal: 1280} -> "ideal 1280", {min: 1, max: 30} -> "1 – 30", [a, b] -> "a, b"
+  function formatConstraint(value) {
+    if (value === undefined || value === null) return '—';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value !== 'object') return String(value);
+    if ('min' in value && 'max' in value && Object.keys(value).length === 2) return `${value.min} – ${value.max}`;
+    return Object.entries(value).map(([key, v]) => `${key} ${formatConstraint(v)}`).join(' · ');
+  }
+
+  function trackPropsTable(track) {
+    const table = document.createElement('table');
+    table.className = 'track-props';
+    const head = document.createElement('tr');
+    ['Property', 'Requested', 'Actual', 'Supported'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    const constraints = track.constraints || {};
+    const settings = track.settings || {};
+    const capabilities = track.capabilities || {};
+    const keys = [...new Set([...Object.keys(constraints), ...Object.keys(settings)])]
+      .filter(key => !['advanced', 'deviceId', 'groupId'].includes(key));
+    keys.forEach(key => {
+      const row = document.createElement('tr');
+      [key, constraints[key], settings[key], capabilities[key]].forEach((value, i) => {
+        const td = document.createElement('td');
+        td.textContent = i === 0 ? value : formatConstraint(value);
+        td.title = td.textContent;
+        row.appendChild(td);
+      });
+      table.appendChild(row);
+    });
+    return table;
+  }
+
+  function createTrackRow(track) {
+    const row = document.createElement('div');
+    row.className = 'track-row';
+
+    const label = document.createElement('div');
+    label.className = 'label';
+    label.textContent = `${track.kind} · ${track.label || track.id}`;
+    label.title = label.textContent;
+    const flags = [
+      [track.readyState, track.readyState === 'ended'],
+      track.muted ? ['muted', true] : null,
+      track.enabled ? null : ['disabled', true]
+    ].filter(Boolean);
+    flags.forEach(([text, off]) => {
+      const flag = document.createElement('span');
+      flag.className = `track-flag${off ? ' off' : ''}`;
+      flag.textContent = text;
+      label.appendChild(flag);
+    });
+
+    const events = document.createElement('div');
+    events.className = 'track-events';
+    events.textContent = track.events.slice(-6)
+      .map(event => `${new Date(event.t).toLocaleTimeString()} ${event.change}`)
+      .join(' · ');
+
+    const details = document.createElement('details');
+    details.open = openTrackDetails.has(track.id);
+    details.addEventListener('toggle', () => {
+      if (details.open) openTrackDetails.add(track.id);
+      else openTrackDetails.delete(track.id);
+    });
+    const summary = document.createElement('summary');
+    summary.textContent = 'Constraints, settings and capabilities';
+    details.appendChild(summary);
+    details.appendChild(trackPropsTable(track));
+
+    row.appendChild(label);
+    row.appendChild(events);
+    row.appendChild(details);
+    return row;
+  }
+
+  function createCaptureCard(stream) {
+    const card = document.createElement('div');
+    card.className = 'media-card';
+
+    const head = document.createElement('div');
+    head.className = 'card-head';
+    const typeIcon = document.createElement('div');
+    typeIcon.className = 'type-icon';
+    typeIcon.appendChild(iconEl('record'));
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = stream.source;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const since = `since ${new Date(stream.created).toLocaleTimeString()}`;
+    meta.textContent = stream.error
+      ? `Failed · ${stream.error}`
+      : `${stream.tracks.length} track${stream.tracks.length === 1 ? '' : 's'} · ${since}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    head.appendChild(typeIcon);
+    head.appendChild(info);
+    card.appendChild(head);
+
+    stream.tracks.forEach(track => card.appendChild(createTrackRow(track)));
+    return card;
+  }
+
+  function refreshCaptureStreams() {
+    chrome.tabs.sendMessage(tab.id, { action: 'getCaptureStreams' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      // Rebuilt only on change, so an open table isn't collapsed by every poll
+      const json = JSON.stringify(response.streams);
+      if (json === lastCaptureJson) return;
+      lastCaptureJson = json;
+      captureList.replaceChildren(...response.streams
+        .slice()
+        .sort((a, b) => b.created - a.created)
+        .map(createCaptureCard));
+    });
+  }
+
+  refreshCaptureStreams();
+  setInterval(refreshCaptureStreams, 1000);
+
+  // ---- WebRTC ----
+  // Peer connections seen by webrtc-hook.js in this tab; the card stays hidden until there is one
+  const webrtcList = document.getElementById('webrtc-list');
+  let webrtcParts = null;
+
+  function createWebrtcCard() {
+    const card = document.createElement('div');
+    card.className = 'media-card';
+
+    const head = document.createElement('div');
+    head.className = 'card-head';
+    const typeIcon = document.createElement('div');
+    typeIcon.className = 'type-icon';
+    typeIcon.appendChild(iconEl('video'));
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = 'WebRTC';
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    info.appendChild(title);
+    info.appendChild(meta);
+    head.appendChild(typeIcon);
+    head.appendChild(info);
+
+    const connections = document.createElement('div');
+    connections.className = 'url-preview webrtc-connections';
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const inspectBtn = document.createElement('button');
+    inspectBtn.className = 'btn-main btn-dl';
+    inspectBtn.appendChild(iconEl('inspect'));
+    inspectBtn.appendChild(document.createTextNode(' Open WebRTC inspector'));
+    inspectBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`webrtc.html?tabId=${tab.id}`) });
+    });
+    actions.appendChild(inspectBtn);
+
+    card.appendChild(head);
+    card.appendChild(connections);
+    card.appendChild(actions);
+    webrtcList.appendChild(card);
+    return { meta, connections };
+  }
+
+  function refreshWebrtc() {
+    chrome.tabs.sendMessage(tab.id, { action: 'getWebrtcState', summary: true }, (response) => {
+      // No content script in this tab (chrome:// pages, not yet loaded)
+      if (chrome.runtime.lastError || !response || !response.connections.length) return;
+      if (!webrtcParts) webrtcParts = createWebrtcCard();
+
+      const count = response.connections.length;
+      setText(webrtcParts.meta, `${count} peer connection${count === 1 ? '' : 's'}`);
+      setText(webrtcParts.connections, response.connections.map(({ state, latest }) => {
+        const bitrate = latest ? latest.streams.reduce((sum, s) => sum + (s.bitrate || 0), 0) : 0;
+        return `${state.id}: ${state.connectionState} · ${formatBitrate(bitrate)}`;
+      }).join('\n'));
+    });
+  }
+
+  refreshWebrtc();
+  setInterval(refreshWebrtc, 2000);
+
+  // ---- Downloads Tab ----
+  // The background queue, across all tabs; polled while the tab is open
+  const queueList = document.getElementById('queue-list');
+  const queueCount = document.getElementById('queue-count');
+  const queueRows = new Map(); // entry id -> row
+  const QUEUE_STATES = {
+    queued: 'Queued',
+    running: 'Running',
+    paused: 'Paused',
+    complete: 'Complete',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  };
+
+  function queueButton(icon, title, onClick) {
+    const btn = document.createElement('button');
+    btn.title = title;
+    btn.appendChild(iconEl(icon));
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function createQueueRow(entry) {
+    const row = document.createElement('div');
+    const head = document.createElement('div');
+    head.className = 'queue-head';
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('div');
+    title.className = 'title';
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const send = action => () => queueAction({ action, id: entry.id });
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    const upBtn = queueButton('up', 'Move up', () => {
+      queueAction({ action: 'moveDownload', id: entry.id, delta: -1 });
+    });
+    const downBtn = queueButton('down', 'Move down', () => {
+      queueAction({ action: 'moveDownload', id: entry.id, delta: 1 });
+    });
+    const pauseBtn = queueButton('pause', 'Pause', send('pauseDownload'));
+    const continueBtn = queueButton('resume', 'Continue', send('continueDownload'));
+    const cancelBtn = queueButton('close', 'Cancel', send('cancelDownload'));
+    [upBtn, downBtn, pauseBtn, continueBtn, cancelBtn].forEach(btn => actions.appendChild(btn));
+
+    head.appendChild(info);
+    head.appendChild(actions);
+
+    const progressWrap = document.createElement('div');
+    progressWrap.className = 'progress-wrap';
+    const progressFill = document.createElement('div');
+    progressFill.className = 'progress-fill';
+    progressWrap.appendChild(progressFill);
+
+    row.appendChild(head);
+    row.appendChild(progressWrap);
+    row.parts = { title, meta, upBtn, downBtn, pauseBtn, continueBtn, cancelBtn, progressFill };
+    return row;
+  }
+
+  function updateQueueRow(row, entry, index, count) {
+    const { title, meta, upBtn, downBtn, pauseBtn, continueBtn, cancelBtn, progressFill } = row.parts;
+    const finished = ['complete', 'failed', 'cancelled'].includes(entry.state);
+
+    row.className = `queue-row state-${entry.state}`;
+    setText(title, entry.label);
+    title.title = entry.url;
+    const kind = entry.live ? 'HLS live' : entry.kind.toUpperCase();
+    setText(meta, `${kind} · ${QUEUE_STATES[entry.state]}${entry.message ? ` · ${entry.message}` : ''}`);
+
+    upBtn.disabled = index === 0;
+    downBtn.disabled = index === count - 1;
+    pauseBtn.style.display = entry.state === 'paused' || finished || entry.live ? 'none' : '';
+    continueBtn.style.display = entry.state === 'paused' ? '' : 'none';
+    cancelBtn.style.display = finished ? 'none' : '';
+
+    if (entry.state === 'running' && entry.progress === null) {
+      progressFill.classList.add('indeterminate');
+    } else {
+      progressFill.classList.remove('indeterminate');
+      progressFill.style.width = `${entry.state === 'complete' ? 100 : entry.progress || 0}%`;
+    }
+  }
+
+  function renderQueue(queue) {
+    const active = queue.filter(entry => ['queued', 'running', 'paused'].includes(entry.state)).length;
+    setText(queueCount, active ? String(active) : '');
+
+    const empty = queueList.querySelector('.empty');
+    if (empty) empty.style.display = queue.length ? 'none' : 'block';
+
+    const ids = new Set(queue.map(entry => entry.id));
+    queueRows.forEach((row, id) => {
+      if (!ids.has(id)) {
+        row.remove();
+        queueRows.delete(id);
+      }
+    });
+
+    queue.forEach((entry, index) => {
+      let row = queueRows.get(entry.id);
+      if (!row) {
+        row = createQueueRow(entry);
+        queueRows.set(entry.id, row);
+      }
+      updateQueueRow(row, entry, index, queue.length);
+      // appendChild moves an existing row, so this also applies reordering
+      queueList.appendChild(row);
+    });
+  }
+
+  // Every queue action answers with the updated queue
+  function queueAction(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      renderQueue(response.queue);
+    });
+  }
+
+  function refreshQueue() {
+    queueAction({ action: 'getDownloadQueue' });
+  }
+
+  document.getElementById('clear-finished').addEventListener('click', () => {
+    queueAction({ action: 'clearFinishedDownloads' });
+  });
+
+  // ---- All Tabs ----
+  // Media detected in every open tab, grouped by tab; downloads go through the shared queue
+  const allList = document.getElementById('all-list');
+
+  function createAllMediaRow(entry, item) {
+    const isHls = item.type === 'HLS' || item.url.includes('.m3u8');
+    const isDash = item.type === 'DASH' || /\.mpd(\?|$|#)/i.test(item.url);
+
+    const row = document.createElement('div');
+    row.className = 'queue-row';
+    const head = document.createElement('div');
+    head.className = 'queue-head';
+    const info = document.createElement('div');
+    info.className = 'info';
+    const title = document.createElement('div');
+    title.className = 'title';
+    try {
+      const parsed = new URL(item.url);
+      title.textContent = parsed.pathname.split('/').pop() || parsed.hostname;
+    } catch (e) {
+      title.textContent = item.url;
+    }
+    title.title = item.url;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = `${item.type} · ${item.source} · ${new Date(item.timestamp).toLocaleTimeString()}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-actions';
+    const downloadBtn = queueButton('download', 'Download', () => {
+      const action = isHls ? 'startHlsDownload' : isDash ? 'startDashDownload' : 'startDirectDownload';
+      chrome.runtime.sendMessage({ action, url: item.url, tabId: entry.tabId });
+      downloadBtn.disabled = true;
+      downloadBtn.replaceChildren(iconEl('check'));
+    });
+    const copyBtn = queueButton('link', 'Copy URL', () => navigator.clipboard.writeText(item.url));
+    actions.appendChild(downloadBtn);
+    actions.appendChild(copyBtn);
+
+    head.appendChild(info);
+    head.appendChild(actions);
+    row.appendChild(head);
+    return row;
+  }
+
+  function createTabGroup(entry) {
+    const group = document.createElement('div');
+    const heading = document.createElement('div');
+    heading.className = 'tab-group-title';
+    heading.textContent = `${entry.title || entry.pageUrl}${entry.tabId === tab.id ? ' (this tab)' : ''}`;
+    heading.title = `${entry.pageUrl}\nClick to switch to this tab`;
+    heading.addEventListener('click', () => {
+      chrome.tabs.update(entry.tabId, { active: true });
+      chrome.windows.update(entry.windowId, { focused: true });
+    });
+    group.appendChild(heading);
+    entry.media.forEach(item => group.appendChild(createAllMediaRow(entry, item)));
+    return group;
+  }
+
+  let lastAllJson = '';
+  function refreshAllMedia() {
+    chrome.runtime.sendMessage({ action: 'getAllMedia' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      // Rebuilt only on change, so a clicked Download button keeps its check mark
+      const json = JSON.stringify(response.tabs);
+      if (json === lastAllJson) return;
+      lastAllJson = json;
+      if (!response.tabs.length) {
+        const empty = document.createElement('div');
+        empty.className = 'empty';
+        empty.textContent = 'No media detected in any tab yet';
+        allList.replaceChildren(empty);
+        return;
+      }
+      allList.replaceChildren(...response.tabs.map(createTabGroup));
+    });
+  }
+
+  // Panels polled while shown: id -> [refresh, interval]
+  const PANEL_REFRESH = {
+    'downloads-panel': [refreshQueue, 1000],
+    'all-panel': [refreshAllMedia, 3000]
+  };
+  let panelTimer = null;
+  document.querySelectorAll('.tab').forEach(tabBtn => {
+    tabBtn.addEventListener('click', () => {
+      document.querySelectorAll('.tab').forEach(btn => btn.classList.toggle('active', btn === tabBtn));
+      document.querySelectorAll('.panel').forEach(panel => {
+        panel.classList.toggle('active', panel.id === tabBtn.dataset.panel);
+      });
+
+      clearInterval(panelTimer);
+      panelTimer = null;
+      const refresh = PANEL_REFRESH[tabBtn.dataset.panel];
+      if (refresh) {
+        refresh[0]();
+        panelTimer = setInterval(refresh[0], refresh[1]);
+      }
+    });
+  });
+
+  refreshQueue();
+
   // ---- Render ----
   const renderedUrls = new Set();
 
@@ -232,7 +1400,16 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (response.media.length === 0 && renderedUrls.size === 0) return;
 
       response.media.forEach(item => {
-        if (!item.url || renderedUrls.has(item.url)) return;
+        if (!item.url) return;
+        if (renderedUrls.has(item.url)) {
+          // Probes and response headers arrive after the card is built
+          const card = listContainer.querySelector(`.media-card[data-url="${CSS.escape(item.url)}"]`);
+          if (card) {
+            setText(card.querySelector('.meta'), cardMeta(item));
+            renderProbe(card.querySelector('.probe-info'), item.probe, item.size);
+          }
+          return;
+        }
         renderedUrls.add(item.url);
 
         const empty = listContainer.querySelector('.empty');
@@ -245,4 +1422,6 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   render();
   setInterval(render, 3000);
+  refreshPlayback();
+  setInterval(refreshPlayback, 1000);
 });
@@ -0,0 +1,1521 @@
+/**
+ * MPEG-TS -> MP4 Remuxer v1.0.0
+ * - Pure JS, runs in the offscreen document (no WASM / ffmpeg)
+ * - Demuxes PAT/PMT/PES for H.264, H.265 and AAC (ADTS)
+ * - Rewrites timestamps across segments (33-bit wrap, discontinuities)
+ * - Writes fragmented MP4 (moof per segment) or progressive MP4 (moov at end)
+ */
+
+const TS_PACKET_SIZE = 188;
+const TS_CLOCK = 90000;
+const PTS_WRAP = 8589934592; // 2^33
+const AAC_FRAME_SAMPLES = 1024;
+
+const STREAM_TYPE_AAC = 0x0f;
+const STREAM_TYPE_H264 = 0x1b;
+const STREAM_TYPE_H265 = 0x24;
+
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350
+];
+
+// ---- Byte Writer ----
+class ByteWriter {
+  constructor(capacity = 256) {
+    this.buf = new Uint8Array(capacity);
+    this.view = new DataView(this.buf.buffer);
+    this.pos = 0;
+  }
+
+  reserve(n) {
+    if (this.pos + n <= this.buf.length) return;
+    let size = this.buf.length * 2;
+    while (size < this.pos + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buf.subarray(0, this.pos));
+    this.buf = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(v) { this.reserve(1); this.view.setUint8(this.pos, v); this.pos += 1; return this; }
+  u16(v) { this.reserve(2); this.view.setUint16(this.pos, v); this.pos += 2; return this; }
+  u24(v) { this.reserve(3); this.view.setUint8(this.pos, (v >>> 16) & 0xff); this.view.setUint16(this.pos + 1, v & 0xffff); this.pos += 3; return this; }
+  u32(v) { this.reserve(4); this.view.setUint32(this.pos, v >>> 0); this.pos += 4; return this; }
+  i32(v) { this.reserve(4); this.view.setInt32(this.pos, v); this.pos += 4; return this; }
+  u64(v) {
+    this.u32(Math.floor(v / 0x100000000));
+    return this.u32(v % 0x100000000);
+  }
+  bytes(arr) { this.reserve(arr.length); this.buf.set(arr, this.pos); this.pos += arr.length; return this; }
+  zeros(n) { this.reserve(n); this.buf.fill(0, this.pos, this.pos + n); this.pos += n; return this; }
+  ascii(str) { for (let i = 0; i < str.length; i++) this.u8(str.charCodeAt(i)); return this; }
+
+  done() { return this.buf.slice(0, this.pos); }
+}
+
+function mp4Box(type, ...payloads) {
+  let size = 8;
+  for (const p of payloads) size += p.length;
+  const w = new ByteWriter(size);
+  w.u32(size).ascii(type);
+  for (const p of payloads) w.bytes(p);
+  return w.done();
+}
+
+function mp4FullBox(type, version, flags, ...payloads) {
+  const header = new ByteWriter(4).u8(version).u24(flags).done();
+  return mp4Box(type, header, ...payloads);
+}
+
+function concatBytes(chunks) {
+  let size = 0;
+  for (const c of chunks) size += c.length;
+  const out = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) { out.set(c, offset); offset += c.length; }
+  return out;
+}
+
+// ---- Bit Reader (Exp-Golomb) ----
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.bit = 0;
+  }
+
+  u(n) {
+    let v = 0;
+    for (let i = 0; i < n; i++) {
+      const byte = this.bytes[this.bit >> 3];
+      if (byte === undefined) throw new Error('Bitstream overrun');
+      v = v * 2 + ((byte >> (7 - (this.bit & 7))) & 1);
+      this.bit++;
+    }
+    return v;
+  }
+
+  skip(n) { this.bit += n; }
+
+  ue() {
+    let zeros = 0;
+    while (this.u(1) === 0) {
+      if (++zeros > 31) throw new Error('Invalid Exp-Golomb code');
+    }
+    return (2 ** zeros - 1) + this.u(zeros);
+  }
+
+  se() {
+    const v = this.ue();
+    return v & 1 ? (v + 1) / 2 : -v / 2;
+  }
+}
+
+// ---- NAL Units ----
+
+// Split an Annex B byte stream on 00 00 01 / 00 00 00 01 start codes
+function splitAnnexB(data) {
+  const units = [];
+  let start = -1;
+  let i = 0;
+  while (i + 2 < data.length) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      if (start >= 0) {
+        let end = i;
+        while (end > start && data[end - 1] === 0) end--; // trailing zero / 4-byte start code
+        if (end > start) units.push(data.subarray(start, end));
+      }
+      i += 3;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  if (start >= 0 && start < data.length) units.push(data.subarray(start));
+  return units;
+}
+
+// Strip emulation prevention bytes (00 00 03 -> 00 00)
+function unescapeRbsp(nal) {
+  const out = new Uint8Array(nal.length);
+  let n = 0;
+  for (let i = 0; i < nal.length; i++) {
+    if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) continue;
+    out[n++] = nal[i];
+  }
+  return out.subarray(0, n);
+}
+
+function sameBytes(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+// Length-prefixed (4 byte) sample data for MP4
+function toLengthPrefixed(units) {
+  let size = 0;
+  for (const u of units) size += 4 + u.length;
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  for (const u of units) {
+    view.setUint32(offset, u.length);
+    out.set(u, offset + 4);
+    offset += 4 + u.length;
+  }
+  return out;
+}
+
+// ---- H.264 ----
+function skipScalingList(r, size) {
+  let last = 8;
+  let next = 8;
+  for (let j = 0; j < size; j++) {
+    if (next !== 0) next = (last + r.se() + 256) % 256;
+    last = next === 0 ? last : next;
+  }
+}
+
+function parseAvcSps(nal) {
+  const r = new BitReader(unescapeRbsp(nal.subarray(1)));
+  const profileIdc = r.u(8);
+  const constraints = r.u(8);
+  const levelIdc = r.u(8);
+  r.ue(); // seq_parameter_set_id
+
+  let chromaFormatIdc = 1;
+  if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profileIdc)) {
+    chromaFormatIdc = r.ue();
+    if (chromaFormatIdc === 3) r.skip(1);
+    r.ue(); // bit_depth_luma_minus8
+    r.ue(); // bit_depth_chroma_minus8
+    r.skip(1);
+    if (r.u(1)) {
+      const lists = chromaFormatIdc !== 3 ? 8 : 12;
+      for (let i = 0; i < lists; i++) {
+        if (r.u(1)) skipScalingList(r, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  r.ue(); // log2_max_frame_num_minus4
+  const pocType = r.ue();
+  if (pocType === 0) {
+    r.ue();
+  } else if (pocType === 1) {
+    r.skip(1);
+    r.se();
+    r.se();
+    const cycle = r.ue();
+    for (let i = 0; i < cycle; i++) r.se();
+  }
+  r.ue(); // max_num_ref_frames
+  r.skip(1);
+  const widthMbs = r.ue() + 1;
+  const heightMapUnits = r.ue() + 1;
+  const frameMbsOnly = r.u(1);
+  if (!frameMbsOnly) r.skip(1);
+  r.skip(1);
+
+  let cropLeft = 0, cropRight = 0, cropTop = 0, cropBottom = 0;
+  if (r.u(1)) {
+    cropLeft = r.ue();
+    cropRight = r.ue();
+    cropTop = r.ue();
+    cropBottom = r.ue();
+  }
+
+  const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+  const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+  return {
+    profileIdc,
+    constraints,
+    levelIdc,
+    width: widthMbs * 16 - (cropLeft + cropRight) * cropUnitX,
+    height: (2 - frameMbsOnly) * heightMapUnits * 16 - (cropTop + cropBottom) * cropUnitY
+  };
+}
+
+function avcCodecString(sps) {
+  const hex = v => v.toString(16).padStart(2, '0');
+  return `avc1.${hex(sps[1])}${hex(sps[2])}${hex(sps[3])}`;
+}
+
+function buildAvcC(spsList, ppsList) {
+  const sps = spsList[0];
+  const w = new ByteWriter();
+  w.u8(1).u8(sps[1]).u8(sps[2]).u8(sps[3]).u8(0xff); // lengthSizeMinusOne = 3
+  w.u8(0xe0 | spsList.length);
+  for (const s of spsList) w.u16(s.length).bytes(s);
+  w.u8(ppsList.length);
+  for (const p of ppsList) w.u16(p.length).bytes(p);
+  return mp4Box('avcC', w.done());
+}
+
+// ---- H.265 ----
+function parseHevcSps(nal) {
+  const r = new BitReader(unescapeRbsp(nal.subarray(2)));
+  r.skip(4); // sps_video_parameter_set_id
+  const maxSubLayersMinus1 = r.u(3);
+  const temporalIdNested = r.u(1);
+
+  // profile_tier_level(1, maxSubLayersMinus1)
+  const profileSpace = r.u(2);
+  const tierFlag = r.u(1);
+  const profileIdc = r.u(5);
+  const compatFlags = r.u(32);
+  const constraintFlags = [];
+  for (let i = 0; i < 6; i++) constraintFlags.push(r.u(8));
+  const levelIdc = r.u(8);
+  const subProfile = [];
+  const subLevel = [];
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    subProfile.push(r.u(1));
+    subLevel.push(r.u(1));
+  }
+  if (maxSubLayersMinus1 > 0) {
+    for (let i = maxSubLayersMinus1; i < 8; i++) r.skip(2);
+  }
+  for (let i = 0; i < maxSubLayersMinus1; i++) {
+    if (subProfile[i]) r.skip(88);
+    if (subLevel[i]) r.skip(8);
+  }
+
+  r.ue(); // sps_seq_parameter_set_id
+  const chromaFormatIdc = r.ue();
+  if (chromaFormatIdc === 3) r.skip(1);
+  let width = r.ue();
+  let height = r.ue();
+  if (r.u(1)) {
+    const subW = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const subH = chromaFormatIdc === 1 ? 2 : 1;
+    const left = r.ue(), right = r.ue(), top = r.ue(), bottom = r.ue();
+    width -= (left + right) * subW;
+    height -= (top + bottom) * subH;
+  }
+  const bitDepthLumaMinus8 = r.ue();
+  const bitDepthChromaMinus8 = r.ue();
+
+  return {
+    profileSpace, tierFlag, profileIdc, compatFlags, constraintFlags, levelIdc,
+    chromaFormatIdc, bitDepthLumaMinus8, bitDepthChromaMinus8,
+    numTemporalLayers: maxSubLayersMinus1 + 1,
+    temporalIdNested,
+    width,
+    height
+  };
+}
+
+function buildHvcC(info, vpsList, spsList, ppsList) {
+  const w = new ByteWriter();
+  w.u8(1);
+  w.u8((info.profileSpace << 6) | (info.tierFlag << 5) | info.profileIdc);
+  w.u32(info.compatFlags);
+  for (const b of info.constraintFlags) w.u8(b);
+  w.u8(info.levelIdc);
+  w.u16(0xf000); // min_spatial_segmentation_idc
+  w.u8(0xfc); // parallelismType
+  w.u8(0xfc | info.chromaFormatIdc);
+  w.u8(0xf8 | info.bitDepthLumaMinus8);
+  w.u8(0xf8 | info.bitDepthChromaMinus8);
+  w.u16(0); // avgFrameRate
+  w.u8((info.numTemporalLayers << 3) | (info.temporalIdNested << 2) | 3);
+
+  const arrays = [[32, vpsList], [33, spsList], [34, ppsList]].filter(([, list]) => list.length);
+  w.u8(arrays.length);
+  for (const [type, list] of arrays) {
+    w.u8(0x80 | type);
+    w.u16(list.length);
+    for (const nal of list) w.u16(nal.length).bytes(nal);
+  }
+  return mp4Box('hvcC', w.done());
+}
+
+// ---- AAC (ADTS) ----
+function parseAdtsHeader(data, offset) {
+  if (offset + 7 > data.length) return null;
+  if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) return null;
+  const protectionAbsent = data[offset + 1] & 1;
+  const profile = (data[offset + 2] >> 6) & 3;
+  const freqIndex = (data[offset + 2] >> 2) & 0x0f;
+  const channelConfig = ((data[offset + 2] & 1) << 2) | ((data[offset + 3] >> 6) & 3);
+  const frameLength = ((data[offset + 3] & 3) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+  const headerLength = protectionAbsent ? 7 : 9;
+  if (frameLength < headerLength || !AAC_SAMPLE_RATES[freqIndex]) return null;
+  return {
+    objectType: profile + 1,
+    freqIndex,
+    sampleRate: AAC_SAMPLE_RATES[freqIndex],
+    channelConfig,
+    frameLength,
+    headerLength
+  };
+}
+
+function buildEsds(objectType, freqIndex, channelConfig) {
+  const asc = new Uint8Array([
+    (objectType << 3) | (freqIndex >> 1),
+    ((freqIndex & 1) << 7) | (channelConfig << 3)
+  ]);
+  const decSpecific = new ByteWriter().u8(0x05).u8(asc.length).bytes(asc).done();
+  const decConfig = new ByteWriter()
+    .u8(0x04).u8(13 + decSpecific.length)
+    .u8(0x40) // MPEG-4 Audio
+    .u8(0x15) // AudioStream
+    .u24(0).u32(0).u32(0)
+    .bytes(decSpecific)
+    .done();
+  const slConfig = new Uint8Array([0x06, 0x01, 0x02]);
+  const es = new ByteWriter()
+    .u8(0x03).u8(3 + decConfig.length + slConfig.length)
+    .u16(0).u8(0)
+    .bytes(decConfig)
+    .bytes(slConfig)
+    .done();
+  return mp4FullBox('esds', 0, 0, es);
+}
+
+// ---- MPEG-TS Demuxer ----
+
+// 33-bit PTS/DTS split 3 + 15 + 15 bits with marker bits in between
+function readPesTimestamp(d, o) {
+  return ((d[o] >> 1) & 0x07) * 1073741824 + // 2^30
+    (((d[o + 1] << 8) | d[o + 2]) >> 1) * 32768 +
+    (((d[o + 3] << 8) | d[o + 4]) >> 1);
+}
+
+function parsePes(data) {
+  if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return null;
+  const ptsDtsFlags = data[7] >> 6;
+  const headerLength = data[8];
+  let pts = null;
+  let dts = null;
+  if (ptsDtsFlags & 2) {
+    pts = readPesTimestamp(data, 9);
+    dts = ptsDtsFlags === 3 ? readPesTimestamp(data, 14) : pts;
+  }
+  return { pts, dts, payload: data.subarray(9 + headerLength) };
+}
+
+// ---- Packed Audio (raw ADTS with ID3 timestamp) ----
+const ID3_TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+function isPackedAudio(bytes) {
+  if (bytes.length < 3) return false;
+  const id3 = bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33;
+  return id3 || (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0);
+}
+
+// Skip leading ID3v2 tags; return the 33-bit PRIV transport stream timestamp if present
+function readId3Timestamp(bytes) {
+  let offset = 0;
+  let timestamp = null;
+  const syncsafe = o => (bytes[o] << 21) | (bytes[o + 1] << 14) | (bytes[o + 2] << 7) | bytes[o + 3];
+
+  while (offset + 10 <= bytes.length &&
+    bytes[offset] === 0x49 && bytes[offset + 1] === 0x44 && bytes[offset + 2] === 0x33) {
+    const version = bytes[offset + 3];
+    const tagEnd = offset + 10 + syncsafe(offset + 6);
+    let frame = offset + 10;
+    while (frame + 10 <= tagEnd) {
+      const id = String.fromCharCode(bytes[frame], bytes[frame + 1], bytes[frame + 2], bytes[frame + 3]);
+      const size = version >= 4
+        ? syncsafe(frame + 4)
+        : ((bytes[frame + 4] << 24) | (bytes[frame + 5] << 16) | (bytes[frame + 6] << 8) | bytes[frame + 7]) >>> 0;
+      if (!size || id === '\0\0\0\0') break;
+      const body = bytes.subarray(frame + 10, frame + 10 + size);
+      if (id === 'PRIV') {
+        const nul = body.indexOf(0);
+        const owner = String.fromCharCode(...body.subarray(0, nul));
+        if (owner === ID3_TIMESTAMP_OWNER && body.length >= nul + 9) {
+          const d = body.subarray(nul + 1);
+          timestamp = (d[3] & 1) * 4294967296 + (((d[4] << 24) | (d[5] << 16) | (d[6] << 8) | d[7]) >>> 0);
+        }
+      }
+      frame += 10 + size;
+    }
+    offset = tagEnd;
+  }
+  return { timestamp, offset };
+}
+
+function videoConfigReady(v) {
+  return !!(v && v.info && v.sps.length && v.pps.length && (v.codec === 'avc' || v.vps.length));
+}
+
+/**
+ * Stateful demuxer: PAT/PMT and codec configuration carry over between pushes.
+ * The last PES of every PID stays pending until the next payload_unit_start or flush().
+ */
+function createTsDemuxer() {
+  let pmtPid = -1;
+  let videoPid = -1;
+  let audioPid = -1;
+  let videoCodec = null; // 'avc' | 'hevc'
+  const pending = new Map(); // pid -> Uint8Array[]
+  const unsupported = new Set();
+
+  let out = null;
+  let aacRemainder = null;
+  let aacNextPts = null;
+
+  const state = {
+    video: null, // { codec, sps, pps, vps, info }
+    audio: null  // { objectType, freqIndex, sampleRate, channelConfig }
+  };
+
+  function parsePat(payload) {
+    const sectionLength = ((payload[1] & 0x0f) << 8) | payload[2];
+    const end = Math.min(3 + sectionLength - 4, payload.length);
+    for (let i = 8; i + 4 <= end; i += 4) {
+      const program = (payload[i] << 8) | payload[i + 1];
+      if (program !== 0) {
+        pmtPid = ((payload[i + 2] & 0x1f) << 8) | payload[i + 3];
+        return;
+      }
+    }
+  }
+
+  function parsePmt(payload) {
+    const sectionLength = ((payload[1] & 0x0f) << 8) | payload[2];
+    const end = Math.min(3 + sectionLength - 4, payload.length);
+    const programInfoLength = ((payload[10] & 0x0f) << 8) | payload[11];
+    let nextVideo = -1;
+    let nextAudio = -1;
+    for (let i = 12 + programInfoLength; i + 5 <= end;) {
+      const streamType = payload[i];
+      const pid = ((payload[i + 1] & 0x1f) << 8) | payload[i + 2];
+      const esInfoLength = ((payload[i + 3] & 0x0f) << 8) | payload[i + 4];
+      if (streamType === STREAM_TYPE_H264 && nextVideo < 0) {
+        nextVideo = pid;
+        videoCodec = 'avc';
+      } else if (streamType === STREAM_TYPE_H265 && nextVideo < 0) {
+        nextVideo = pid;
+        videoCodec = 'hevc';
+      } else if (streamType === STREAM_TYPE_AAC && nextAudio < 0) {
+        nextAudio = pid;
+      } else if (streamType !== 0x15 && streamType !== 0x86) {
+        // ID3 timed metadata and SCTE-35 are expected; anything else is dropped
+        unsupported.add(streamType);
+      }
+      i += 5 + esInfoLength;
+    }
+    videoPid = nextVideo;
+    audioPid = nextAudio;
+  }
+
+  function handleVideoPes(pes) {
+    const units = splitAnnexB(pes.payload);
+    if (!units.length) return;
+
+    // A PES without PTS continues the previous access unit
+    if (pes.pts === null) {
+      const last = out.video[out.video.length - 1];
+      if (last) last.units.push(...units);
+      return;
+    }
+    out.video.push({ pts: pes.pts, dts: pes.dts, units, key: false });
+  }
+
+  function handleAudioPes(pes) {
+    let data = pes.payload;
+    if (aacRemainder) {
+      data = concatBytes([aacRemainder, data]);
+      aacRemainder = null;
+    }
+    const hadRemainder = data !== pes.payload;
+    let frameIndex = 0;
+    let offset = 0;
+    const firstFramePts = pes.pts;
+
+    while (offset < data.length) {
+      const header = parseAdtsHeader(data, offset);
+      if (!header) { offset++; continue; }
+      if (offset + header.frameLength > data.length) {
+        aacRemainder = data.slice(offset);
+        break;
+      }
+      if (!state.audio) {
+        state.audio = {
+          objectType: header.objectType,
+          freqIndex: header.freqIndex,
+          sampleRate: header.sampleRate,
+          channelConfig: header.channelConfig
+        };
+      }
+
+      const frameTicks = AAC_FRAME_SAMPLES * TS_CLOCK / header.sampleRate;
+      let pts;
+      if (firstFramePts === null) {
+        pts = aacNextPts;
+      } else if (offset === 0 && hadRemainder && aacNextPts !== null) {
+        // Frame completed from the previous PES; this PES's PTS belongs to the next one
+        pts = aacNextPts;
+      } else {
+        pts = firstFramePts + frameIndex * frameTicks;
+        frameIndex++;
+      }
+      if (pts !== null) {
+        out.audio.push({
+          pts,
+          dts: pts,
+          data: data.subarray(offset + header.headerLength, offset + header.frameLength),
+          key: true
+        });
+        aacNextPts = pts + frameTicks;
+      }
+      offset += header.frameLength;
+    }
+  }
+
+  function emitPes(pid) {
+    const chunks = pending.get(pid);
+    pending.delete(pid);
+    if (!chunks || !chunks.length) return;
+    const pes = parsePes(chunks.length === 1 ? chunks[0] : concatBytes(chunks));
+    if (!pes) return;
+    if (pid === videoPid) handleVideoPes(pes);
+    else if (pid === audioPid) handleAudioPes(pes);
+  }
+
+  // Convert access units to length-prefixed samples, lifting parameter sets into the track config
+  function finishVideo(accessUnits) {
+    const samples = [];
+    for (const au of accessUnits) {
+      const keep = [];
+      let key = false;
+      for (const nal of au.units) {
+        if (videoCodec === 'hevc') {
+          const type = (nal[0] >> 1) & 0x3f;
+          if (type === 35) continue; // AUD
+          if (type >= 16 && type <= 23) key = true;
+          if (type === 32 || type === 33 || type === 34) {
+            if (!state.video || state.video.codec !== 'hevc') {
+              state.video = { codec: 'hevc', vps: [], sps: [], pps: [], info: null };
+            }
+            const v = state.video;
+            const list = type === 32 ? v.vps : type === 33 ? v.sps : v.pps;
+            if (!list.length) {
+              list.push(nal.slice());
+              if (type === 33) v.info = parseHevcSps(nal);
+              continue;
+            }
+            if (sameBytes(list[0], nal)) continue;
+          }
+        } else {
+          const type = nal[0] & 0x1f;
+          if (type === 9) continue; // AUD
+          if (type === 5) key = true;
+          if (type === 7 || type === 8) {
+            if (!state.video || state.video.codec !== 'avc') {
+              state.video = { codec: 'avc', sps: [], pps: [], info: null };
+            }
+            const v = state.video;
+            const list = type === 7 ? v.sps : v.pps;
+            if (!list.length) {
+              list.push(nal.slice());
+              if (type === 7) v.info = parseAvcSps(nal);
+              continue;
+            }
+            if (sameBytes(list[0], nal)) continue;
+          }
+        }
+        keep.push(nal);
+      }
+      if (!keep.length) continue;
+      samples.push({ pts: au.pts, dts: au.dts, data: toLengthPrefixed(keep), key });
+    }
+    return samples;
+  }
+
+  function collect() {
+    const result = { video: finishVideo(out.video), audio: out.audio };
+    out = { video: [], audio: [] };
+    return result;
+  }
+
+  out = { video: [], audio: [] };
+
+  return {
+    state,
+    unsupported,
+
+    /** Demux one chunk of TS (or packed audio); returns the samples whose PES packets completed. */
+    push(bytes) {
+      if (isPackedAudio(bytes)) {
+        const { timestamp, offset } = readId3Timestamp(bytes);
+        // Without a PRIV timestamp the segment continues where the previous one ended
+        const pts = timestamp !== null ? timestamp : (aacNextPts !== null ? aacNextPts : 0);
+        handleAudioPes({ pts, dts: pts, payload: bytes.subarray(offset) });
+        return collect();
+      }
+
+      let i = 0;
+      // Align on the first sync byte that repeats one packet later
+      while (i + TS_PACKET_SIZE < bytes.length &&
+        !(bytes[i] === 0x47 && bytes[i + TS_PACKET_SIZE] === 0x47)) i++;
+
+      for (; i + TS_PACKET_SIZE <= bytes.length; i += TS_PACKET_SIZE) {
+        if (bytes[i] !== 0x47) {
+          // Lost sync: scan forward to the next packet boundary
+          while (i < bytes.length && bytes[i] !== 0x47) i++;
+          i -= TS_PACKET_SIZE;
+          continue;
+        }
+        const pusi = bytes[i + 1] & 0x40;
+        const pid = ((bytes[i + 1] & 0x1f) << 8) | bytes[i + 2];
+        const afc = (bytes[i + 3] >> 4) & 3;
+        if (!(afc & 1)) continue;
+        let start = i + 4;
+        if (afc & 2) start += 1 + bytes[i + 4];
+        if (start >= i + TS_PACKET_SIZE) continue;
+        const payload = bytes.subarray(start, i + TS_PACKET_SIZE);
+
+        if (pid === 0) {
+          if (pusi) parsePat(payload.subarray(1 + payload[0]));
+        } else if (pid === pmtPid) {
+          if (pusi) parsePmt(payload.subarray(1 + payload[0]));
+        } else if (pid === videoPid || pid === audioPid) {
+          if (pusi) {
+            emitPes(pid);
+            pending.set(pid, [payload]);
+          } else if (pending.has(pid)) {
+            pending.get(pid).push(payload);
+          }
+        }
+      }
+      return collect();
+    },
+
+    /** Complete every pending PES (end of stream or before a discontinuity). */
+    flush() {
+      for (const pid of Array.from(pending.keys())) emitPes(pid);
+      aacRemainder = null;
+      aacNextPts = null;
+      return collect();
+    }
+  };
+}
+
+// ---- MP4 Writer ----
+
+const UNITY_MATRIX = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+
+function writeMatrix(w) {
+  for (const v of UNITY_MATRIX) w.u32(v);
+}
+
+function versionFor(...values) {
+  return values.some(v => v > 0xffffffff) ? 1 : 0;
+}
+
+function mvhdBox(duration, nextTrackId) {
+  const v = versionFor(duration);
+  const w = new ByteWriter();
+  if (v) w.u64(0).u64(0).u32(1000).u64(duration);
+  else w.u32(0).u32(0).u32(1000).u32(duration);
+  w.u32(0x00010000).u16(0x0100).zeros(10);
+  writeMatrix(w);
+  w.zeros(24).u32(nextTrackId);
+  return mp4FullBox('mvhd', v, 0, w.done());
+}
+
+function tkhdBox(track, duration) {
+  const v = versionFor(duration);
+  const w = new ByteWriter();
+  if (v) w.u64(0).u64(0).u32(track.id).u32(0).u64(duration);
+  else w.u32(0).u32(0).u32(track.id).u32(0).u32(duration);
+  w.zeros(8).u16(0).u16(0).u16(track.kind === 'audio' ? 0x0100 : 0).u16(0);
+  writeMatrix(w);
+  w.u32((track.width || 0) * 0x10000).u32((track.height || 0) * 0x10000);
+  return mp4FullBox('tkhd', v, 3, w.done());
+}
+
+function mdhdBox(track, duration) {
+  const v = versionFor(duration);
+  const w = new ByteWriter();
+  if (v) w.u64(0).u64(0).u32(track.timescale).u64(duration);
+  else w.u32(0).u32(0).u32(track.timescale).u32(duration);
+  w.u16(0x55c4).u16(0); // 'und'
+  return mp4FullBox('mdhd', v, 0, w.done());
+}
+
+function hdlrBox(kind) {
+  const name = kind === 'audio' ? 'SoundHandler' : 'VideoHandler';
+  const w = new ByteWriter().u32(0).ascii(kind === 'audio' ? 'soun' : 'vide').zeros(12).ascii(name).u8(0);
+  return mp4FullBox('hdlr', 0, 0, w.done());
+}
+
+function visualSampleEntry(type, width, height, configBox) {
+  const w = new ByteWriter()
+    .zeros(6).u16(1) // data_reference_index
+    .zeros(16)
+    .u16(width).u16(height)
+    .u32(0x00480000).u32(0x00480000)
+    .u32(0).u16(1)
+    .zeros(32)
+    .u16(0x0018).u16(0xffff);
+  return mp4Box(type, w.done(), configBox);
+}
+
+function audioSampleEntry(channels, sampleRate, esds) {
+  const w = new ByteWriter()
+    .zeros(6).u16(1)
+    .zeros(8)
+    .u16(channels).u16(16)
+    .u16(0).u16(0)
+    .u32(sampleRate * 0x10000);
+  return mp4Box('mp4a', w.done(), esds);
+}
+
+function dinfBox() {
+  const url = mp4FullBox('url ', 0, 1);
+  return mp4Box('dinf', mp4FullBox('dref', 0, 0, new ByteWriter().u32(1).done(), url));
+}
+
+function stblBox(track, tables) {
+  const stsd = mp4FullBox('stsd', 0, 0, new ByteWriter().u32(1).done(), track.sampleEntry);
+  if (!tables) {
+    const empty = new ByteWriter().u32(0).done();
+    return mp4Box('stbl', stsd,
+      mp4FullBox('stts', 0, 0, empty),
+      mp4FullBox('stsc', 0, 0, empty),
+      mp4FullBox('stsz', 0, 0, new ByteWriter().u32(0).u32(0).done()),
+      mp4FullBox('stco', 0, 0, empty));
+  }
+  return mp4Box('stbl', stsd, ...tables);
+}
+
+// Progressive tracks start at decode time 0, so a later first sample is kept with an empty edit
+function edtsBox(delay, mediaDuration) {
+  const w = new ByteWriter().u32(2);
+  w.u32(delay).i32(-1).u16(1).u16(0);
+  w.u32(mediaDuration).i32(0).u16(1).u16(0);
+  return mp4Box('edts', mp4FullBox('elst', 0, 0, w.done()));
+}
+
+function trakBox(track, tables, durations) {
+  const mediaHeader = track.kind === 'audio'
+    ? mp4FullBox('smhd', 0, 0, new Uint8Array(4))
+    : mp4FullBox('vmhd', 0, 1, new Uint8Array(8));
+  const minf = mp4Box('minf', mediaHeader, dinfBox(), stblBox(track, tables));
+  const mdia = mp4Box('mdia', mdhdBox(track, durations.media), hdlrBox(track.kind), minf);
+  if (durations.delay) {
+    const edts = edtsBox(durations.delay, durations.movie - durations.delay);
+    return mp4Box('trak', tkhdBox(track, durations.movie), edts, mdia);
+  }
+  return mp4Box('trak', tkhdBox(track, durations.movie), mdia);
+}
+
+function ftypBox(fragmented) {
+  const w = new ByteWriter();
+  if (fragmented) {
+    w.ascii('iso6').u32(1).ascii('iso6').ascii('isom').ascii('mp41').ascii('avc1');
+  } else {
+    w.ascii('isom').u32(0x200).ascii('isom').ascii('iso2').ascii('avc1').ascii('mp41');
+  }
+  return mp4Box('ftyp', w.done());
+}
+
+const SAMPLE_FLAGS_SYNC = 0x02000000;
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000;
+
+function moofBox(sequence, trackRuns) {
+  const build = (offsets) => {
+    const trafs = trackRuns.map((run, i) => {
+      const tfhd = mp4FullBox('tfhd', 0, 0x020000, new ByteWriter().u32(run.track.id).done());
+      const tfdt = mp4FullBox('tfdt', 1, 0, new ByteWriter().u64(run.baseTime).done());
+      const w = new ByteWriter(12 + run.samples.length * 16);
+      w.u32(run.samples.length).i32(offsets[i]);
+      for (const s of run.samples) {
+        w.u32(s.duration).u32(s.data.length)
+          .u32(s.key ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC)
+          .i32(s.cto);
+      }
+      const trun = mp4FullBox('trun', 1, 0x000f01, w.done());
+      return mp4Box('traf', tfhd, tfdt, trun);
+    });
+    return mp4Box('moof', mp4FullBox('mfhd', 0, 0, new ByteWriter().u32(sequence).done()), ...trafs);
+  };
+
+  // Data offsets are relative to the moof start, so size it once with placeholders
+  const size = build(trackRuns.map(() => 0)).length;
+  const offsets = [];
+  let offset = size + 8;
+  for (const run of trackRuns) {
+    offsets.push(offset);
+    for (const s of run.samples) offset += s.data.length;
+  }
+  return build(offsets);
+}
+
+// Run-length helpers for progressive sample tables
+function pushRun(runs, value) {
+  const last = runs[runs.length - 1];
+  if (last && last.value === value) last.count++;
+  else runs.push({ count: 1, value });
+}
+
+function progressiveTables(track) {
+  const t = track.table;
+  const stts = new ByteWriter().u32(t.durations.length);
+  for (const r of t.durations) stts.u32(r.count).u32(r.value);
+
+  const boxes = [mp4FullBox('stts', 0, 0, stts.done())];
+
+  if (t.ctsOffsets.some(r => r.value !== 0)) {
+    const negative = t.ctsOffsets.some(r => r.value < 0);
+    const ctts = new ByteWriter().u32(t.ctsOffsets.length);
+    for (const r of t.ctsOffsets) ctts.u32(r.count).i32(r.value);
+    boxes.push(mp4FullBox('ctts', negative ? 1 : 0, 0, ctts.done()));
+  }
+
+  if (track.kind === 'video' && t.syncSamples.length < t.sizes.length) {
+    const stss = new ByteWriter().u32(t.syncSamples.length);
+    for (const n of t.syncSamples) stss.u32(n);
+    boxes.push(mp4FullBox('stss', 0, 0, stss.done()));
+  }
+
+  const stsc = new ByteWriter();
+  const chunkRuns = [];
+  t.chunks.forEach((chunk, i) => {
+    const last = chunkRuns[chunkRuns.length - 1];
+    if (!last || last.samples !== chunk.samples) chunkRuns.push({ first: i + 1, samples: chunk.samples });
+  });
+  stsc.u32(chunkRuns.length);
+  for (const r of chunkRuns) stsc.u32(r.first).u32(r.samples).u32(1);
+  boxes.push(mp4FullBox('stsc', 0, 0, stsc.done()));
+
+  const stsz = new ByteWriter(12 + t.sizes.length * 4).u32(0).u32(t.sizes.length);
+  for (const size of t.sizes) stsz.u32(size);
+  boxes.push(mp4FullBox('stsz', 0, 0, stsz.done()));
+
+  const large = t.chunks.some(c => c.offset > 0xffffffff);
+  const stco = new ByteWriter().u32(t.chunks.length);
+  for (const c of t.chunks) {
+    if (large) stco.u64(c.offset);
+    else stco.u32(c.offset);
+  }
+  boxes.push(mp4FullBox(large ? 'co64' : 'stco', 0, 0, stco.done()));
+  return boxes;
+}
+
+// ---- MP4 Output ----
+
+/**
+ * Sample sink shared by the TS and fMP4 remuxers.
+ *
+ * Tracks: { kind, codec, timescale, sampleEntry, width?, height? }.
+ * Samples: { dts, cto, data, key, duration? } in track timescale. A sample
+ * without a duration is held back until the next one (or finish) fixes it.
+ *
+ * start() and write() return byte chunks to append in order. In progressive
+ * mode the first chunk is a placeholder for ftyp + mdat header; finish()
+ * returns the real `header` bytes (same length) to write over it, plus the moov.
+ */
+function createMp4Writer(trackList, { fragmented }) {
+  const tracks = trackList.map((t, i) => ({
+    ...t,
+    id: i + 1,
+    pending: [],
+    lastDts: null,
+    firstDts: null,
+    lastDuration: t.kind === 'audio' ? AAC_FRAME_SAMPLES : Math.round(t.timescale / 30),
+    table: { durations: [], ctsOffsets: [], sizes: [], syncSamples: [], chunks: [], mediaDuration: 0 }
+  }));
+  let sequence = 0;
+  let written = 0; // mdat payload bytes (progressive chunk offsets)
+  let headerSize = 0;
+
+  function progressiveHeader(mdatPayload) {
+    const mdat = new ByteWriter(16).u32(1).ascii('mdat').u64(mdatPayload + 16).done();
+    return concatBytes([ftypBox(false), mdat]);
+  }
+
+  // Samples whose duration is known (all of them when flushing)
+  function takeReady(track, all) {
+    const p = track.pending;
+    const ready = [];
+    let i = 0;
+    for (; i < p.length; i++) {
+      const next = p[i + 1];
+      if (p[i].duration == null) {
+        if (!next && !all) break;
+        p[i].duration = next ? next.dts - p[i].dts : track.lastDuration;
+      }
+      track.lastDuration = p[i].duration;
+      ready.push(p[i]);
+    }
+    track.pending = p.slice(i);
+    return ready;
+  }
+
+  function fragment(runs) {
+    const moof = moofBox(++sequence, runs);
+    const payload = [];
+    let size = 0;
+    for (const run of runs) {
+      for (const s of run.samples) {
+        payload.push(s.data);
+        size += s.data.length;
+      }
+    }
+    const mdatHeader = new ByteWriter(8).u32(size + 8).ascii('mdat').done();
+    return [moof, mdatHeader, ...payload];
+  }
+
+  function progressiveChunk(runs) {
+    const parts = [];
+    for (const run of runs) {
+      const t = run.track.table;
+      t.chunks.push({ offset: headerSize + written, samples: run.samples.length });
+      for (const s of run.samples) {
+        if (s.key) t.syncSamples.push(t.sizes.length + 1);
+        t.sizes.push(s.data.length);
+        pushRun(t.durations, s.duration);
+        pushRun(t.ctsOffsets, s.cto);
+        t.mediaDuration += s.duration;
+        parts.push(s.data);
+        written += s.data.length;
+      }
+    }
+    return parts;
+  }
+
+  return {
+    tracks,
+
+    start() {
+      if (fragmented) {
+        const traks = tracks.map(t => trakBox(t, null, { media: 0, movie: 0 }));
+        const trex = tracks.map(t => mp4FullBox('trex', 0, 0,
+          new ByteWriter().u32(t.id).u32(1).u32(0).u32(0).u32(0).done()));
+        const moov = mp4Box('moov', mvhdBox(0, tracks.length + 1), ...traks, mp4Box('mvex', ...trex));
+        return [ftypBox(true), moov];
+      }
+      headerSize = progressiveHeader(0).length;
+      return [new Uint8Array(headerSize)];
+    },
+
+    /** Queue samples for a track; decode times are forced strictly increasing. */
+    add(track, samples) {
+      for (const s of samples) {
+        const pts = s.dts + s.cto;
+        let dts = Math.max(0, s.dts);
+        if (track.lastDts !== null && dts <= track.lastDts) dts = track.lastDts + 1;
+        const cto = track.kind === 'audio' ? 0 : pts - dts;
+        if (track.firstDts === null) track.firstDts = dts;
+        track.lastDts = dts;
+        track.pending.push({ dts, cto, data: s.data, key: s.key, duration: s.duration });
+      }
+    },
+
+    /** Emit everything whose duration is known; `all` at the end of the stream. */
+    write(all = false) {
+      const runs = [];
+      for (const track of tracks) {
+        const samples = takeReady(track, all);
+        if (samples.length) runs.push({ track, baseTime: samples[0].dts, samples });
+      }
+      if (!runs.length) return [];
+      return fragmented ? fragment(runs) : progressiveChunk(runs);
+    },
+
+    /** @returns {{parts: Uint8Array[], header: Uint8Array|null}} */
+    finish() {
+      const parts = this.write(true);
+      if (fragmented) return { parts, header: null };
+
+      const toMovie = (t, v) => Math.round(v * 1000 / t.timescale);
+      const delays = tracks.map(t => toMovie(t, t.firstDts || 0));
+      const movieDurations = tracks.map((t, i) => delays[i] + toMovie(t, t.table.mediaDuration));
+      const traks = tracks.map((t, i) => trakBox(t, progressiveTables(t), {
+        media: t.table.mediaDuration,
+        movie: movieDurations[i],
+        delay: delays[i]
+      }));
+      parts.push(mp4Box('moov', mvhdBox(Math.max(...movieDurations), tracks.length + 1), ...traks));
+      return { parts, header: progressiveHeader(written) };
+    }
+  };
+}
+
+// ---- TS Remuxer ----
+
+/**
+ * Remux HLS MPEG-TS segments into MP4. With `separateAudio`, audio comes from
+ * an alternate rendition (TS or packed audio) pushed with `source: 'audio'`;
+ * both sources share the 90 kHz clock and discontinuity sequence numbers.
+ *
+ * @param {{fragmented?: boolean, separateAudio?: boolean}} options
+ */
+function createTsRemuxer(options = {}) {
+  const fragmented = !!options.fragmented;
+  const separateAudio = !!options.separateAudio;
+  const demuxers = {
+    main: createTsDemuxer(),
+    audio: separateAudio ? createTsDemuxer() : null
+  };
+
+  let writer = null;
+  const outTracks = { video: null, audio: null };
+  let queued = { video: [], audio: [] }; // samples waiting for codec configs
+  let videoStarted = false; // video starts at the first keyframe
+  let lastAudioDts = null;
+
+  // Timeline: output = unwrapped 90 kHz + offset of the segment's discontinuity sequence
+  const offsets = new Map(); // discontinuity sequence -> offset
+  let implicitSequence = 0;
+  let lastRaw = null;
+  const timelineEnd = { video: 0, audio: 0 }; // output end of the last sample per kind
+  const frameTicks = { video: 3000, audio: 1920 };
+
+  function unwrap(ts, ref) {
+    if (ref === null) return ts;
+    while (ts < ref - PTS_WRAP / 2) ts += PTS_WRAP;
+    while (ts > ref + PTS_WRAP / 2) ts -= PTS_WRAP;
+    return ts;
+  }
+
+  // Place one segment's samples on the continuous output timeline
+  function normalize(batch, sequence) {
+    const all = batch.video.concat(batch.audio);
+    if (!all.length) return;
+
+    for (const s of all) {
+      s.dts = unwrap(s.dts, lastRaw);
+      s.pts = unwrap(s.pts, s.dts);
+    }
+    const minDts = Math.min(...all.map(s => s.dts));
+    lastRaw = Math.max(...all.map(s => s.dts));
+
+    let offset = offsets.get(sequence);
+    const jumpedBack = offset !== undefined && ['video', 'audio'].some(kind =>
+      batch[kind].length && Math.min(...batch[kind].map(s => s.dts)) + offset < timelineEnd[kind] - TS_CLOCK);
+
+    if (offset === undefined || jumpedBack) {
+      // New discontinuity sequence or timestamps reset: continue where the output left off
+      offset = offsets.size === 0 ? -minDts : Math.max(timelineEnd.video, timelineEnd.audio) - minDts;
+      offsets.set(sequence, offset);
+    }
+
+    for (const kind of ['video', 'audio']) {
+      const samples = batch[kind];
+      if (!samples.length) continue;
+      for (const s of samples) {
+        s.dts += offset;
+        s.pts += offset;
+      }
+      const dtsList = samples.map(s => s.dts).sort((a, b) => a - b);
+      if (dtsList.length > 1) {
+        frameTicks[kind] = (dtsList[dtsList.length - 1] - dtsList[0]) / (dtsList.length - 1);
+      }
+      timelineEnd[kind] = Math.max(timelineEnd[kind], dtsList[dtsList.length - 1] + frameTicks[kind]);
+    }
+  }
+
+  function audioState() {
+    return separateAudio ? demuxers.audio.state.audio : demuxers.main.state.audio;
+  }
+
+  function createWriter() {
+    const list = [];
+    const vs = demuxers.main.state.video;
+    const as = audioState();
+    if (videoConfigReady(vs)) {
+      const configBox = vs.codec === 'hevc'
+        ? buildHvcC(vs.info, vs.vps, vs.sps, vs.pps)
+        : buildAvcC(vs.sps, vs.pps);
+      list.push({
+        kind: 'video',
+        codec: vs.codec === 'hevc' ? 'hvc1' : avcCodecString(vs.sps[0]),
+        timescale: TS_CLOCK,
+        width: vs.info.width,
+        height: vs.info.height,
+        sampleEntry: visualSampleEntry(vs.codec === 'hevc' ? 'hvc1' : 'avc1', vs.info.width, vs.info.height, configBox)
+      });
+    }
+    if (as) {
+      const channels = as.channelConfig || 2;
+      list.push({
+        kind: 'audio',
+        codec: `mp4a.40.${as.objectType}`,
+        timescale: as.sampleRate,
+        sampleEntry: audioSampleEntry(channels, as.sampleRate, buildEsds(as.objectType, as.freqIndex, as.channelConfig))
+      });
+    }
+    if (!list.length) return null;
+    const w = createMp4Writer(list, { fragmented });
+    for (const t of w.tracks) outTracks[t.kind] = t;
+    return w;
+  }
+
+  // Convert output-timeline 90 kHz samples to track units; audio snaps to a gapless sequence
+  function toTrackSamples(track, samples) {
+    const out = [];
+    for (const s of samples) {
+      if (track.kind === 'video' && !videoStarted) {
+        if (!s.key) continue;
+        videoStarted = true;
+      }
+      let dts = Math.round(s.dts * track.timescale / TS_CLOCK);
+      const pts = Math.round(s.pts * track.timescale / TS_CLOCK);
+      if (track.kind === 'audio') {
+        const expected = lastAudioDts !== null ? lastAudioDts + AAC_FRAME_SAMPLES : null;
+        if (expected !== null && Math.abs(dts - expected) < AAC_FRAME_SAMPLES / 2) dts = expected;
+        lastAudioDts = dts;
+      }
+      out.push({ dts, cto: track.kind === 'audio' ? 0 : pts - dts, data: s.data, key: s.key });
+    }
+    return out;
+  }
+
+  function ingest(batch, force) {
+    queued.video.push(...batch.video);
+    queued.audio.push(...batch.audio);
+
+    const out = [];
+    if (!writer) {
+      const videoReady = !queued.video.length || videoConfigReady(demuxers.main.state.video);
+      // A separate audio rendition must deliver its config before the moov is written
+      const audioReady = separateAudio ? !!audioState() : (!queued.audio.length || !!audioState());
+      if (!force && (!videoReady || !audioReady)) return out;
+      writer = createWriter();
+      if (!writer) return out;
+      out.push(...writer.start());
+    }
+
+    for (const kind of ['video', 'audio']) {
+      if (outTracks[kind]) writer.add(outTracks[kind], toTrackSamples(outTracks[kind], queued[kind]));
+    }
+    queued = { video: [], audio: [] };
+    out.push(...writer.write());
+    return out;
+  }
+
+  return {
+    /** Codec strings of the output tracks, once known */
+    get codecs() {
+      return writer ? writer.tracks.map(t => t.codec) : [];
+    },
+
+    get unsupportedStreams() {
+      return Array.from(demuxers.main.unsupported);
+    },
+
+    /**
+     * Map a 90 kHz timestamp of the given discontinuity sequence (e.g. a WebVTT
+     * X-TIMESTAMP-MAP) to seconds on the output timeline.
+     */
+    outputTime(mpegts, discontinuitySequence = 0) {
+      const offset = offsets.has(discontinuitySequence)
+        ? offsets.get(discontinuitySequence)
+        : (offsets.size ? offsets.values().next().value : 0);
+      return (unwrap(mpegts, lastRaw) + offset) / TS_CLOCK;
+    },
+
+    /**
+     * @param {Uint8Array} bytes  One decrypted TS (or packed audio) segment
+     * @param {{discontinuity?: boolean, discontinuitySequence?: number, source?: 'main'|'audio'}} info
+     * @returns {Uint8Array[]}
+     */
+    push(bytes, info = {}) {
+      const source = info.source === 'audio' && separateAudio ? 'audio' : 'main';
+      if (info.discontinuity && info.discontinuitySequence === undefined) implicitSequence++;
+      const sequence = info.discontinuitySequence !== undefined ? info.discontinuitySequence : implicitSequence;
+
+      // Segments end on PES boundaries, so each one is demuxed completely
+      const demuxer = demuxers[source];
+      const batch = demuxer.push(bytes);
+      const rest = demuxer.flush();
+      batch.video.push(...rest.video);
+      batch.audio.push(...rest.audio);
+      if (source === 'audio') batch.video = [];
+      else if (separateAudio) batch.audio = [];
+
+      normalize(batch, sequence);
+      return ingest(batch, false);
+    },
+
+    /** @returns {{parts: Uint8Array[], header: Uint8Array|null}} */
+    finish() {
+      const parts = ingest({ video: [], audio: [] }, true);
+      if (!writer) throw new Error('No H.264/H.265/AAC streams found to remux');
+      const end = writer.finish();
+      return { parts: parts.concat(end.parts), header: end.header };
+    }
+  };
+}
+
+// ---- Fragmented MP4 Demuxer ----
+
+function readBoxes(bytes, start = 0, end = bytes.length) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    let header = 8;
+    if (size === 1) {
+      size = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type, start: offset, end: offset + size, body: offset + header });
+    offset += size;
+  }
+  return boxes;
+}
+
+function childBox(bytes, parent, type) {
+  return readBoxes(bytes, parent.body, parent.end).find(b => b.type === type) || null;
+}
+
+function boxPath(bytes, parent, ...types) {
+  let box = parent;
+  for (const type of types) {
+    box = childBox(bytes, box, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+function sampleEntryCodec(bytes, entry) {
+  if (entry.type === 'avc1' || entry.type === 'avc3') {
+    const avcC = readBoxes(bytes, entry.body + 78, entry.end).find(b => b.type === 'avcC');
+    // avcC starts with version, profile, compat, level: the same layout avcCodecString reads from an SPS
+    if (avcC) return avcCodecString(bytes.subarray(avcC.body, avcC.body + 4));
+  }
+  if (entry.type === 'mp4a') return 'mp4a.40.2';
+  return entry.type;
+}
+
+/** Parse an fMP4 init segment (ftyp + moov) into track descriptions. */
+function parseFmp4Init(bytes) {
+  const moov = readBoxes(bytes).find(b => b.type === 'moov');
+  if (!moov) throw new Error('Init segment has no moov');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const trex = new Map();
+  const mvex = childBox(bytes, moov, 'mvex');
+  if (mvex) {
+    for (const box of readBoxes(bytes, mvex.body, mvex.end)) {
+      if (box.type !== 'trex') continue;
+      trex.set(view.getUint32(box.body + 4), {
+        duration: view.getUint32(box.body + 12),
+        size: view.getUint32(box.body + 16),
+        flags: view.getUint32(box.body + 20)
+      });
+    }
+  }
+
+  const tracks = [];
+  for (const trak of readBoxes(bytes, moov.body, moov.end).filter(b => b.type === 'trak')) {
+    const tkhd = childBox(bytes, trak, 'tkhd');
+    const mdhd = boxPath(bytes, trak, 'mdia', 'mdhd');
+    const hdlr = boxPath(bytes, trak, 'mdia', 'hdlr');
+    const stsd = boxPath(bytes, trak, 'mdia', 'minf', 'stbl', 'stsd');
+    if (!tkhd || !mdhd || !hdlr || !stsd) continue;
+
+    const tkhdVersion = bytes[tkhd.body];
+    const id = view.getUint32(tkhd.body + (tkhdVersion ? 20 : 12));
+    const mdhdVersion = bytes[mdhd.body];
+    const timescale = view.getUint32(mdhd.body + (mdhdVersion ? 20 : 12));
+    const handler = String.fromCharCode(...bytes.subarray(hdlr.body + 8, hdlr.body + 12));
+    const kind = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : null;
+    const entry = readBoxes(bytes, stsd.body + 8, stsd.end)[0];
+    if (!kind || !entry) continue;
+    if (entry.type === 'encv' || entry.type === 'enca') {
+      throw new Error('Encrypted (CENC) fMP4 tracks cannot be remuxed');
+    }
+
+    const widthOffset = tkhd.end - 8;
+    tracks.push({
+      id,
+      kind,
+      timescale,
+      codec: sampleEntryCodec(bytes, entry),
+      sampleEntry: bytes.slice(entry.start, entry.end),
+      width: kind === 'video' ? view.getUint32(widthOffset) >>> 16 : 0,
+      height: kind === 'video' ? view.getUint32(widthOffset + 4) >>> 16 : 0,
+      defaults: trex.get(id) || { duration: 0, size: 0, flags: 0 }
+    });
+  }
+  return tracks;
+}
+
+/** Parse moof/mdat pairs of a media segment into per-track samples. */
+function parseFmp4Segment(bytes, initTracks) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const result = new Map(); // track id -> samples
+  const boxes = readBoxes(bytes);
+
+  for (const moof of boxes.filter(b => b.type === 'moof')) {
+    for (const traf of readBoxes(bytes, moof.body, moof.end).filter(b => b.type === 'traf')) {
+      const tfhd = childBox(bytes, traf, 'tfhd');
+      if (!tfhd) continue;
+      const flags = view.getUint32(tfhd.body) & 0xffffff;
+      const trackId = view.getUint32(tfhd.body + 4);
+      const track = initTracks.find(t => t.id === trackId);
+      if (!track) continue;
+
+      let o = tfhd.body + 8;
+      let base = moof.start;
+      if (flags & 0x01) { base = view.getUint32(o) * 0x100000000 + view.getUint32(o + 4); o += 8; }
+      if (flags & 0x02) o += 4;
+      let defDuration = track.defaults.duration;
+      let defSize = track.defaults.size;
+      let defFlags = track.defaults.flags;
+      if (flags & 0x08) { defDuration = view.getUint32(o); o += 4; }
+      if (flags & 0x10) { defSize = view.getUint32(o); o += 4; }
+      if (flags & 0x20) { defFlags = view.getUint32(o); o += 4; }
+
+      const tfdt = childBox(bytes, traf, 'tfdt');
+      let dts = 0;
+      if (tfdt) {
+        dts = bytes[tfdt.body] === 1
+          ? view.getUint32(tfdt.body + 4) * 0x100000000 + view.getUint32(tfdt.body + 8)
+          : view.getUint32(tfdt.body + 4);
+      }
+
+      const samples = result.get(trackId) || [];
+      for (const trun of readBoxes(bytes, traf.body, traf.end).filter(b => b.type === 'trun')) {
+        const version = bytes[trun.body];
+        const tflags = view.getUint32(trun.body) & 0xffffff;
+        const count = view.getUint32(trun.body + 4);
+        let p = trun.body + 8;
+        let dataOffset = base;
+        if (tflags & 0x01) { dataOffset = base + view.getInt32(p); p += 4; }
+        let firstFlags = null;
+        if (tflags & 0x04) { firstFlags = view.getUint32(p); p += 4; }
+
+        for (let i = 0; i < count; i++) {
+          const duration = tflags & 0x100 ? view.getUint32((p += 4) - 4) : defDuration;
+          const size = tflags & 0x200 ? view.getUint32((p += 4) - 4) : defSize;
+          let sampleFlags = tflags & 0x400 ? view.getUint32((p += 4) - 4) : defFlags;
+          if (i === 0 && firstFlags !== null) sampleFlags = firstFlags;
+          let cto = 0;
+          if (tflags & 0x800) {
+            cto = version ? view.getInt32(p) : view.getUint32(p);
+            p += 4;
+          }
+          samples.push({
+            dts,
+            cto,
+            duration,
+            data: bytes.subarray(dataOffset, dataOffset + size),
+            key: track.kind === 'audio' || !((sampleFlags >> 16) & 1)
+          });
+          dts += duration;
+          dataOffset += size;
+        }
+      }
+      result.set(trackId, samples);
+    }
+  }
+  return result;
+}
+
+// ---- fMP4 Remuxer ----
+
+/**
+ * Merge fMP4/CMAF sources (video playlist + alternate audio rendition, or DASH
+ * representations) into one MP4. Push each source's init segment first.
+ *
+ * @param {{fragmented?: boolean, sources?: string[]}} options  sources expected, default ['main']
+ */
+function createFmp4Remuxer(options = {}) {
+  const fragmented = !!options.fragmented;
+  const expected = options.sources || ['main'];
+  const inits = new Map(); // source -> parsed init tracks
+  let writer = null;
+  const outTracks = new Map(); // 'source:kind' -> writer track
+  let base = null; // seconds subtracted from every timestamp
+
+  function createWriter() {
+    // Video from the main source; audio from a dedicated audio source when there is one
+    const list = [];
+    const keys = [];
+    const audioSource = expected.includes('audio') ? 'audio' : 'main';
+    for (const [source, tracks] of inits) {
+      for (const t of tracks) {
+        const wanted = t.kind === 'video' ? source === 'main' : source === audioSource;
+        const key = `${source}:${t.kind}`;
+        if (!wanted || keys.includes(key)) continue;
+        keys.push(key);
+        list.push(t);
+      }
+    }
+    const order = list.map((t, i) => i).sort((a, b) => (list[a].kind === 'video' ? 0 : 1) - (list[b].kind === 'video' ? 0 : 1));
+    const w = createMp4Writer(order.map(i => ({
+      kind: list[i].kind,
+      codec: list[i].codec,
+      timescale: list[i].timescale,
+      sampleEntry: list[i].sampleEntry,
+      width: list[i].width,
+      height: list[i].height
+    })), { fragmented });
+    order.forEach((i, n) => outTracks.set(keys[i], w.tracks[n]));
+    return w;
+  }
+
+  return {
+    get codecs() {
+      return writer ? writer.tracks.map(t => t.codec) : [];
+    },
+
+    /** Seconds on the output timeline for a 90 kHz media timestamp */
+    outputTime(mpegts) {
+      return mpegts / TS_CLOCK - (base || 0);
+    },
+
+    /** Register (or replace, after a map change) the init segment of a source. */
+    pushInit(bytes, source = 'main') {
+      inits.set(source, parseFmp4Init(bytes));
+      return [];
+    },
+
+    /** @returns {Uint8Array[]} */
+    push(bytes, info = {}) {
+      const source = info.source || 'main';
+      const initTracks = inits.get(source);
+      if (!initTracks) throw new Error(`No init segment for ${source}`);
+
+      const out = [];
+      if (!writer) {
+        if (!expected.every(s => inits.has(s))) throw new Error('Init segments missing');
+        writer = createWriter();
+        out.push(...writer.start());
+      }
+
+      const parsed = parseFmp4Segment(bytes, initTracks);
+      for (const t of initTracks) {
+        const target = outTracks.get(`${source}:${t.kind}`);
+        const samples = parsed.get(t.id);
+        if (!target || !samples || !samples.length) continue;
+
+        if (base === null) base = samples[0].dts / t.timescale;
+        const scale = target.timescale / t.timescale;
+        const shift = Math.round(base * target.timescale);
+        writer.add(target, samples.map(s => ({
+          dts: Math.round(s.dts * scale) - shift,
+          cto: Math.round(s.cto * scale),
+          duration: Math.round(s.duration * scale),
+          data: s.data,
+          key: s.key
+        })));
+      }
+      out.push(...writer.write());
+      return out;
+    },
+
+    /** @returns {{parts: Uint8Array[], header: Uint8Array|null}} */
+    finish() {
+      if (!writer) throw new Error('No media segments to remux');
+      return writer.finish();
+    }
+  };
+}
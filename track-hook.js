@@ -0,0 +1,173 @@
+/**
+ * Track Hook v1.0.0 (page world)
+ * - Wraps getUserMedia, getDisplayMedia and <video>/<audio>/<canvas> captureStream()
+ * - Reports each stream's tracks: kind, label, getConstraints() / getSettings() / getCapabilities()
+ * - enabled / muted / ended changes as they happen (enabled setter, stop(), track events)
+ * - Rejected capture requests are reported too, with the error name
+ * - Everything is posted to content.js (window.postMessage); streams made before it loaded are re-sent on sync
+ */
+(() => {
+  'use strict';
+
+  if (window.__mediaStreamInspectorTracksHooked || typeof window.MediaStreamTrack !== 'function') return;
+  window.__mediaStreamInspectorTracksHooked = true;
+
+  const MESSAGE_SOURCE = 'media-stream-inspector';
+  const MAX_TRACKED = 50;
+  let nextRequest = 1;
+
+  function post(type, payload) {
+    window.postMessage({ source: MESSAGE_SOURCE, type, payload }, '*');
+  }
+
+  // Constraints and settings are plain dictionaries; anything else is dropped
+  function plain(value) {
+    try {
+      return JSON.parse(JSON.stringify(value ?? null));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // ---- Snapshots ----
+  function trackInfo(track) {
+    const call = method => (typeof track[method] === 'function' ? plain(track[method]()) : null);
+    return {
+      id: track.id,
+      kind: track.kind,
+      label: track.label,
+      enabled: track.enabled,
+      muted: track.muted,
+      readyState: track.readyState,
+      contentHint: track.contentHint || '',
+      constraints: call('getConstraints'),
+      settings: call('getSettings'),
+      capabilities: call('getCapabilities')
+    };
+  }
+
+  function snapshot(entry) {
+    return {
+      id: entry.id,
+      source: entry.source,
+      created: entry.created,
+      url: location.href,
+      requested: entry.requested,
+      error: entry.error,
+      tracks: entry.stream ? [...entry.tracks].map(trackInfo) : []
+    };
+  }
+
+  // ---- Tracking ----
+  const tracked = []; // every stream, for content.js to catch up on (it loads at document_end)
+  const trackOwners = new WeakMap(); // MediaStreamTrack -> entry
+
+  function report(entry) {
+    post('media-stream', { t: Date.now(), ...snapshot(entry) });
+  }
+
+  function remember(entry) {
+    tracked.push(entry);
+    if (tracked.length > MAX_TRACKED) tracked.shift();
+    report(entry);
+  }
+
+  function addTrack(entry, track) {
+    entry.tracks.add(track);
+    trackOwners.set(track, entry);
+    const update = () => report(entry);
+    ['mute', 'unmute', 'ended'].forEach(type => track.addEventListener(type, update));
+  }
+
+  function trackStream(stream, source, requested) {
+    const entry = { id: stream.id, source, created: Date.now(), requested: plain(requested), error: null, stream, tracks: new Set() };
+    stream.getTracks().forEach(track => addTrack(entry, track));
+    // captureStream() of a media element gains tracks once it loads
+    stream.addEventListener('addtrack', (event) => {
+      addTrack(entry, event.track);
+      report(entry);
+    });
+    remember(entry);
+  }
+
+  function trackFailure(source, requested, error) {
+    remember({
+      id: `request${nextRequest++}`,
+      source,
+      created: Date.now(),
+      requested: plain(requested),
+      error: error && error.name ? `${error.name}: ${error.message}` : String(error),
+      stream: null,
+      tracks: new Set()
+    });
+  }
+
+  // ---- Hooks ----
+  function wrapCapture(proto, method, source) {
+    const native = proto && proto[method];
+    if (typeof native !== 'function') return;
+    proto[method] = function (constraints, ...rest) {
+      const result = native.call(this, constraints, ...rest);
+      result.then(
+        stream => { try { trackStream(stream, source, constraints); } catch (e) { /* never break the page */ } },
+        error => { try { trackFailure(source, constraints, error); } catch (e) { /* never break the page */ } }
+      );
+      return result;
+    };
+  }
+
+  function wrapElementCapture(proto, method, tag) {
+    const native = proto && proto[method];
+    if (typeof native !== 'function') return;
+    proto[method] = function (...args) {
+      const stream = native.apply(this, args);
+      try {
+        const element = this.localName || tag;
+        trackStream(stream, `${element}.${method}()`, args.length ? { frameRate: args[0] } : null);
+      } catch (e) { /* never break the page */ }
+      return stream;
+    };
+  }
+
+  wrapCapture(window.MediaDevices && MediaDevices.prototype, 'getUserMedia', 'getUserMedia');
+  wrapCapture(window.MediaDevices && MediaDevices.prototype, 'getDisplayMedia', 'getDisplayMedia');
+  wrapElementCapture(window.HTMLMediaElement && HTMLMediaElement.prototype, 'captureStream', 'media');
+  wrapElementCapture(window.HTMLCanvasElement && HTMLCanvasElement.prototype, 'captureStream', 'canvas');
+
+  // enabled, stop() and applyConstraints() fire no events
+  const trackProto = MediaStreamTrack.prototype;
+  const enabled = Object.getOwnPropertyDescriptor(trackProto, 'enabled');
+  if (enabled && enabled.set) {
+    Object.defineProperty(trackProto, 'enabled', {
+      ...enabled,
+      set(value) {
+        enabled.set.call(this, value);
+        const entry = trackOwners.get(this);
+        if (entry) report(entry);
+      }
+    });
+  }
+
+  const stop = trackProto.stop;
+  trackProto.stop = function (...args) {
+    const result = stop.apply(this, args);
+    const entry = trackOwners.get(this);
+    if (entry) report(entry);
+    return result;
+  };
+
+  const applyConstraints = trackProto.applyConstraints;
+  if (typeof applyConstraints === 'function') {
+    trackProto.applyConstraints = function (...args) {
+      const result = applyConstraints.apply(this, args);
+      const entry = trackOwners.get(this);
+      if (entry) result.then(() => report(entry), () => report(entry));
+      return result;
+    };
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== MESSAGE_SOURCE) return;
+    if (event.data.type === 'sync') tracked.forEach(report);
+  });
+})();
@@ -0,0 +1,197 @@
+/**
+ * WebRTC Hook v1.0.0 (page world)
+ * - Wraps RTCPeerConnection before the page creates any
+ * - Reports signaling / ICE / connection state, transceivers and local / remote SDP
+ * - Polls getStats() once a second: bitrate, codec, frame rate, jitter, packet loss, RTT
+ * - Everything is posted to content.js (window.postMessage); no extension APIs in this world
+ * - Connections made before content.js loaded are re-sent when it asks (sync)
+ */
+(() => {
+  'use strict';
+
+  if (window.__mediaStreamInspectorRtcHooked || typeof window.RTCPeerConnection !== 'function') return;
+  window.__mediaStreamInspectorRtcHooked = true;
+
+  const MESSAGE_SOURCE = 'media-stream-inspector';
+  const STATS_INTERVAL_MS = 1000;
+  const NativePeerConnection = window.RTCPeerConnection;
+  let nextId = 1;
+
+  function post(type, payload) {
+    window.postMessage({ source: MESSAGE_SOURCE, type, payload }, '*');
+  }
+
+  // ---- Snapshots ----
+  function trackInfo(track) {
+    if (!track) return null;
+    return { id: track.id, kind: track.kind, label: track.label, enabled: track.enabled, muted: track.muted, readyState: track.readyState };
+  }
+
+  function description(desc) {
+    return desc ? { type: desc.type, sdp: desc.sdp } : null;
+  }
+
+  // ICE server URLs only: credentials stay in the page
+  function configInfo(config) {
+    const servers = (config && config.iceServers) || [];
+    return {
+      iceServers: servers.map(s => [].concat(s.urls || s.url || [])).flat(),
+      iceTransportPolicy: (config && config.iceTransportPolicy) || 'all',
+      bundlePolicy: (config && config.bundlePolicy) || 'balanced'
+    };
+  }
+
+  function snapshot(entry) {
+    const pc = entry.pc;
+    let transceivers = [];
+    try {
+      transceivers = pc.getTransceivers().map(t => ({
+        mid: t.mid,
+        direction: t.direction,
+        currentDirection: t.currentDirection,
+        stopped: !!t.stopped,
+        sender: trackInfo(t.sender.track),
+        receiver: trackInfo(t.receiver.track)
+      }));
+    } catch (e) { /* closed */ }
+
+    return {
+      id: entry.id,
+      created: entry.created,
+      url: location.href,
+      config: entry.config,
+      signalingState: pc.signalingState,
+      iceConnectionState: pc.iceConnectionState,
+      iceGatheringState: pc.iceGatheringState,
+      connectionState: pc.connectionState,
+      transceivers,
+      localDescription: description(pc.localDescription),
+      remoteDescription: description(pc.remoteDescription)
+    };
+  }
+
+  // ---- Stats ----
+
+  // One sample per poll: an entry per RTP stream, rates from the previous poll
+  function summarizeStats(report, previous) {
+    const byId = new Map();
+    report.forEach(s => byId.set(s.id, s));
+
+    let rtt = null;
+    const remoteInbound = new Map(); // local outbound-rtp id -> remote-inbound-rtp
+    for (const s of byId.values()) {
+      if (s.type === 'candidate-pair' && s.nominated && s.state === 'succeeded' && s.currentRoundTripTime !== undefined) {
+        rtt = s.currentRoundTripTime * 1000;
+      }
+      if (s.type === 'remote-inbound-rtp' && s.localId) remoteInbound.set(s.localId, s);
+    }
+
+    const streams = [];
+    for (const s of byId.values()) {
+      if (s.type !== 'inbound-rtp' && s.type !== 'outbound-rtp') continue;
+      const inbound = s.type === 'inbound-rtp';
+      const remote = inbound ? null : remoteInbound.get(s.id);
+      const bytes = inbound ? s.bytesReceived : s.bytesSent;
+      const lost = inbound ? s.packetsLost : remote && remote.packetsLost;
+      const packets = inbound ? s.packetsReceived : s.packetsSent;
+      const last = previous.get(s.id);
+      const seconds = last ? (s.timestamp - last.timestamp) / 1000 : 0;
+
+      let lossPercent = null;
+      if (last && lost !== undefined && packets !== undefined) {
+        const lostDelta = Math.max(lost - last.lost, 0);
+        const total = lostDelta + Math.max(packets - last.packets, 0);
+        lossPercent = total ? (lostDelta / total) * 100 : 0;
+      } else if (remote && remote.fractionLost !== undefined) {
+        lossPercent = remote.fractionLost * 100;
+      }
+
+      const codec = byId.get(s.codecId);
+      const jitter = inbound ? s.jitter : remote && remote.jitter;
+      streams.push({
+        id: s.id,
+        direction: inbound ? 'inbound' : 'outbound',
+        kind: s.kind || s.mediaType,
+        ssrc: s.ssrc,
+        codec: codec ? `${codec.mimeType}${codec.clockRate ? ` ${codec.clockRate}` : ''}` : null,
+        bitrate: last && seconds > 0 ? ((bytes - last.bytes) * 8) / seconds : null,
+        framesPerSecond: s.framesPerSecond ?? null,
+        frameWidth: s.frameWidth ?? null,
+        frameHeight: s.frameHeight ?? null,
+        jitter: jitter !== undefined && jitter !== null ? jitter * 1000 : null,
+        lossPercent,
+        packetsLost: lost ?? null,
+        rtt: remote && remote.roundTripTime !== undefined ? remote.roundTripTime * 1000 : null
+      });
+      previous.set(s.id, { bytes, lost: lost || 0, packets: packets || 0, timestamp: s.timestamp });
+    }
+    return { rtt, streams };
+  }
+
+  // ---- Tracking ----
+  const MAX_TRACKED = 20;
+  const tracked = []; // every connection, for content.js to catch up on (it loads at document_end)
+  const live = new Set();
+  let statsTimer = null;
+
+  function pollStats() {
+    for (const entry of live) {
+      entry.pc.getStats().then(report => {
+        post('rtc-stats', { id: entry.id, t: Date.now(), ...summarizeStats(report, entry.previous) });
+      }).catch(() => { /* closed mid-poll */ });
+    }
+  }
+
+  function report(entry) {
+    post('rtc-state', snapshot(entry));
+    if (entry.pc.connectionState === 'closed' || entry.pc.signalingState === 'closed') {
+      live.delete(entry);
+      if (!live.size) {
+        clearInterval(statsTimer);
+        statsTimer = null;
+      }
+    }
+  }
+
+  function track(pc, config) {
+    const entry = { id: `pc${nextId++}`, created: Date.now(), pc, config: configInfo(config), previous: new Map() };
+    tracked.push(entry);
+    if (tracked.length > MAX_TRACKED) live.delete(tracked.shift());
+    live.add(entry);
+    if (!statsTimer) statsTimer = setInterval(pollStats, STATS_INTERVAL_MS);
+
+    const update = () => report(entry);
+    for (const type of ['signalingstatechange', 'iceconnectionstatechange', 'icegatheringstatechange',
+      'connectionstatechange', 'negotiationneeded', 'track']) {
+      pc.addEventListener(type, update);
+    }
+    update();
+
+    // close() fires no state events
+    const close = pc.close;
+    pc.close = function (...args) {
+      const result = close.apply(this, args);
+      update();
+      return result;
+    };
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== MESSAGE_SOURCE) return;
+    if (event.data.type === 'sync') tracked.forEach(entry => post('rtc-state', snapshot(entry)));
+  });
+
+  // Subclass, so instanceof, prototype methods and generateCertificate keep working
+  class InspectedPeerConnection extends NativePeerConnection {
+    constructor(config, ...rest) {
+      super(config, ...rest);
+      try {
+        track(this, config);
+      } catch (e) { /* never break the page */ }
+    }
+  }
+  Object.defineProperty(InspectedPeerConnection, 'name', { value: 'RTCPeerConnection' });
+
+  window.RTCPeerConnection = InspectedPeerConnection;
+  if (window.webkitRTCPeerConnection) window.webkitRTCPeerConnection = InspectedPeerConnection;
+})();
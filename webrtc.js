@@ -0,0 +1,305 @@
+/**
+ * WebRTC Inspector v1.0.0
+ * - Opened from the popup for one tab (webrtc.html?tabId=...)
+ * - Peer connections reported by webrtc-hook.js, polled from the tab's content script
+ * - Signaling / ICE / connection state with a timestamped change log
+ * - Transceivers, local / remote SDP
+ * - Bitrate, frame rate, jitter, packet loss and RTT charted per RTP stream
+ * - JSON export of the full stats timeline
+ */
+
+const POLL_INTERVAL_MS = 1000;
+const SERIES_COLORS = ['#1d9bf0', '#00ba7c', '#ffb020', '#c792ea', '#ff4444', '#82aaff', '#f78c6c', '#c3e88d'];
+
+// [sample field, title, value formatter]
+const CHARTS = [
+  ['bitrate', 'Bitrate', v => formatBitrate(v)],
+  ['framesPerSecond', 'Frame rate', v => `${v.toFixed(1)} fps`],
+  ['jitter', 'Jitter', v => `${v.toFixed(1)} ms`],
+  ['lossPercent', 'Packet loss', v => `${v.toFixed(2)} %`],
+  ['rtt', 'Round-trip time', v => `${Math.round(v)} ms`]
+];
+
+// ---- Formatting ----
+
+function formatBitrate(bps) {
+  if (bps >= 1000000) return `${(bps / 1000000).toFixed(2)} Mbps`;
+  return `${Math.round(bps / 1000)} kbps`;
+}
+
+function formatClock(t) {
+  return new Date(t).toLocaleTimeString();
+}
+
+function streamLabel(stream) {
+  return `${stream.direction} ${stream.kind || ''} ${stream.ssrc || ''}`.trim();
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function stateEl(value) {
+  return el('span', `state ${value}`, value);
+}
+
+// ---- Charts ----
+
+// One line per series over the shared time axis; values are plain numbers (null = no data)
+function drawChart(canvas, series, format) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const points = series.flatMap(s => s.points);
+  if (!points.length) {
+    ctx.fillStyle = '#8b98a5';
+    ctx.font = '11px sans-serif';
+    ctx.fillText('No data', 8, 16);
+    return;
+  }
+  const start = Math.min(...points.map(p => p[0]));
+  const end = Math.max(...points.map(p => p[0]));
+  const max = Math.max(...points.map(p => p[1]), 0) * 1.1 || 1;
+  const pad = { top: 16, right: 8, bottom: 4, left: 8 };
+  const x = t => pad.left + ((t - start) / Math.max(end - start, 1)) * (width - pad.left - pad.right);
+  const y = v => height - pad.bottom - (v / max) * (height - pad.top - pad.bottom);
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= 3; i++) {
+    const gy = Math.round(y((max * i) / 3)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, gy);
+    ctx.lineTo(width - pad.right, gy);
+    ctx.stroke();
+  }
+  ctx.fillStyle = '#8b98a5';
+  ctx.font = '10px sans-serif';
+  ctx.fillText(format(max), pad.left, 11);
+
+  ctx.lineWidth = 1.5;
+  for (const s of series) {
+    ctx.strokeStyle = s.color;
+    ctx.beginPath();
+    let drawing = false;
+    for (const [t, v] of s.points) {
+      if (drawing) ctx.lineTo(x(t), y(v));
+      else ctx.moveTo(x(t), y(v));
+      drawing = true;
+    }
+    ctx.stroke();
+  }
+}
+
+// Series per RTP stream for one sample field; RTT also gets the candidate pair's
+function chartSeries(samples, field, colors) {
+  const series = new Map();
+  const add = (id, label, t, value) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return;
+    if (!series.has(id)) {
+      if (!colors.has(id)) colors.set(id, SERIES_COLORS[colors.size % SERIES_COLORS.length]);
+      series.set(id, { label, color: colors.get(id), points: [] });
+    }
+    series.get(id).points.push([t, value]);
+  };
+  for (const sample of samples) {
+    if (field === 'rtt') add('candidate-pair', 'candidate pair', sample.t, sample.rtt);
+    for (const stream of sample.streams) add(stream.id, streamLabel(stream), sample.t, stream[field]);
+  }
+  return [...series.values()];
+}
+
+// ---- Page ----
+
+document.addEventListener('DOMContentLoaded', () => {
+  const tabId = parseInt(new URLSearchParams(location.search).get('tabId'), 10);
+  const sourceEl = document.getElementById('source');
+  const statusEl = document.getElementById('status');
+  const list = document.getElementById('connections');
+  const details = document.getElementById('details');
+  const chartsEl = document.getElementById('charts');
+
+  let connections = [];
+  let selectedId = null;
+  const colors = new Map(); // stream id -> color, stable across polls
+
+  function setStatus(text, className = '') {
+    statusEl.textContent = text;
+    statusEl.className = `status ${className}`;
+  }
+
+  // Chart containers are built once; each poll only redraws the canvases
+  const charts = CHARTS.map(([field, title, format]) => {
+    const wrap = el('div', 'chart');
+    wrap.appendChild(el('h3', '', title));
+    const canvas = el('canvas');
+    const legend = el('div', 'legend');
+    wrap.appendChild(canvas);
+    wrap.appendChild(legend);
+    chartsEl.appendChild(wrap);
+    return { field, format, canvas, legend };
+  });
+
+  function renderList() {
+    if (!connections.length) {
+      list.replaceChildren(el('div', 'muted', 'No peer connections on this page yet'));
+      return;
+    }
+    list.replaceChildren(...connections.map(({ state, samples }) => {
+      const item = el('div', `connection${state.id === selectedId ? ' selected' : ''}`);
+      const title = el('div', 'title', `${state.id} `);
+      title.appendChild(stateEl(state.connectionState));
+      item.appendChild(title);
+      const latest = samples[samples.length - 1];
+      const bitrate = latest ? latest.streams.reduce((sum, s) => sum + (s.bitrate || 0), 0) : 0;
+      item.appendChild(el('div', 'sub',
+        `${state.transceivers.length} transceivers · ${formatBitrate(bitrate)} · since ${formatClock(state.created)}`));
+      item.addEventListener('click', () => {
+        selectedId = state.id;
+        render();
+      });
+      return item;
+    }));
+  }
+
+  function renderSummary(state) {
+    const items = [
+      ['Connection', stateEl(state.connectionState)],
+      ['ICE connection', stateEl(state.iceConnectionState)],
+      ['ICE gathering', stateEl(state.iceGatheringState)],
+      ['Signaling', stateEl(state.signalingState)],
+      ['ICE servers', document.createTextNode(state.config.iceServers.join(', ') || 'none')],
+      ['Transport policy', document.createTextNode(`${state.config.iceTransportPolicy} · bundle ${state.config.bundlePolicy}`)]
+    ];
+    document.getElementById('summary').replaceChildren(...items.map(([label, value]) => {
+      const item = el('div');
+      item.appendChild(el('div', 'label', label));
+      const valueEl = el('div', 'value');
+      valueEl.appendChild(value);
+      item.appendChild(valueEl);
+      return item;
+    }));
+  }
+
+  function renderStats(samples) {
+    for (const chart of charts) {
+      const series = chartSeries(samples, chart.field, colors);
+      drawChart(chart.canvas, series, chart.format);
+      chart.legend.replaceChildren(...series.map(s => {
+        const item = el('span');
+        const swatch = el('span', 'swatch');
+        swatch.style.background = s.color;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(s.label));
+        return item;
+      }));
+    }
+
+    const latest = samples[samples.length - 1];
+    const dash = (value, format) => (value === null || value === undefined ? '—' : format(value));
+    document.getElementById('streams').replaceChildren(...(latest ? latest.streams : []).map(s => {
+      const row = el('tr');
+      [
+        streamLabel(s),
+        s.codec || '—',
+        dash(s.bitrate, formatBitrate),
+        dash(s.framesPerSecond, v => `${v.toFixed(1)}`),
+        s.frameWidth ? `${s.frameWidth}x${s.frameHeight}` : '—',
+        dash(s.jitter, v => `${v.toFixed(1)} ms`),
+        dash(s.lossPercent, v => `${v.toFixed(2)} %`),
+        dash(s.rtt ?? latest.rtt, v => `${Math.round(v)} ms`)
+      ].forEach(text => row.appendChild(el('td', '', text)));
+      return row;
+    }));
+  }
+
+  function trackLabel(track) {
+    if (!track) return '—';
+    const flags = [track.readyState, track.enabled ? null : 'disabled', track.muted ? 'muted' : null].filter(Boolean);
+    return `${track.kind} ${track.label || track.id} (${flags.join(', ')})`;
+  }
+
+  function renderTransceivers(state) {
+    document.getElementById('transceivers').replaceChildren(...state.transceivers.map(t => {
+      const row = el('tr');
+      [t.mid ?? '—', t.stopped ? 'stopped' : t.direction, t.currentDirection || '—', trackLabel(t.sender), trackLabel(t.receiver)]
+        .forEach(text => row.appendChild(el('td', '', text)));
+      return row;
+    }));
+  }
+
+  function renderEvents(events) {
+    const log = document.getElementById('events');
+    log.replaceChildren(...events.slice().reverse().map(event => {
+      const line = el('div');
+      line.appendChild(el('span', 'time', formatClock(event.t)));
+      line.appendChild(document.createTextNode(`${event.field} → `));
+      line.appendChild(stateEl(event.value));
+      return line;
+    }));
+  }
+
+  function renderSdp(id, desc) {
+    const block = document.getElementById(id);
+    block.querySelector('summary').textContent = `${id === 'local-sdp' ? 'Local' : 'Remote'}${desc ? ` (${desc.type})` : ' (none)'}`;
+    const pre = block.querySelector('pre');
+    const text = desc ? desc.sdp : '';
+    if (pre.textContent !== text) pre.textContent = text;
+  }
+
+  function render() {
+    if (!connections.some(c => c.state.id === selectedId)) selectedId = connections.length ? connections[0].state.id : null;
+    renderList();
+    const selected = connections.find(c => c.state.id === selectedId);
+    details.style.display = selected ? 'block' : 'none';
+    if (!selected) return;
+    renderSummary(selected.state);
+    renderStats(selected.samples);
+    renderTransceivers(selected.state);
+    renderEvents(selected.events);
+    renderSdp('local-sdp', selected.state.localDescription);
+    renderSdp('remote-sdp', selected.state.remoteDescription);
+  }
+
+  function poll() {
+    chrome.tabs.sendMessage(tabId, { action: 'getWebrtcState' }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        setStatus('Tab closed or not reachable', 'error');
+        return;
+      }
+      connections = response.connections;
+      if (connections.length) sourceEl.textContent = connections[0].state.url;
+      setStatus(`${connections.length} connection${connections.length === 1 ? '' : 's'} · updated ${formatClock(Date.now())}`);
+      render();
+    });
+  }
+
+  document.getElementById('export').addEventListener('click', () => {
+    const data = { exportedAt: new Date().toISOString(), tabId, connections };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `webrtc-stats-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 30000);
+  });
+
+  if (Number.isNaN(tabId)) {
+    setStatus('No tab given', 'error');
+    return;
+  }
+  details.style.display = 'none';
+  poll();
+  setInterval(poll, POLL_INTERVAL_MS);
+});
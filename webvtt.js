@@ -0,0 +1,164 @@
+/**
+ * WebVTT Stitcher v1.0.0
+ * - Joins segmented HLS WebVTT into one cue list
+ * - X-TIMESTAMP-MAP aligns each segment to the video timeline
+ * - Cues repeated across segment boundaries are merged
+ * - Unmapped cues shifted onto a clip's timeline
+ * - Output as .vtt or .srt
+ */
+
+// ---- Timestamps ----
+
+// [hh:]mm:ss.ttt -> seconds
+function parseVttTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(value.trim());
+  if (!match) return null;
+  return (parseInt(match[1] || '0', 10) * 3600) +
+    parseInt(match[2], 10) * 60 +
+    parseInt(match[3], 10) +
+    parseInt(match[4], 10) / 1000;
+}
+
+function formatCueTime(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (v, n = 2) => String(v).padStart(n, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// ---- Parser ----
+
+// X-TIMESTAMP-MAP=MPEGTS:900000,LOCAL:00:00:00.000
+function parseTimestampMap(line) {
+  const value = line.slice(line.indexOf('=') + 1);
+  let mpegts = 0;
+  let local = 0;
+  for (const part of value.split(',')) {
+    const sep = part.indexOf(':');
+    const name = part.slice(0, sep).trim().toUpperCase();
+    const v = part.slice(sep + 1).trim();
+    if (name === 'MPEGTS') mpegts = parseInt(v, 10) || 0;
+    else if (name === 'LOCAL') local = parseVttTimestamp(v) || 0;
+  }
+  return { mpegts, local };
+}
+
+/**
+ * Parse one WebVTT segment.
+ * @param {string} text
+ * @returns {{timestampMap: {mpegts: number, local: number}|null, blocks: string[], cues: Array<{id: string, start: number, end: number, settings: string, text: string}>}}
+ */
+function parseVttSegment(text) {
+  const result = { timestampMap: null, blocks: [], cues: [] };
+  const chunks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  chunks.forEach((chunk, i) => {
+    const lines = chunk.split('\n').filter((line, n) => n > 0 || line.trim());
+    if (!lines.length) return;
+
+    if (i === 0 && lines[0].startsWith('WEBVTT')) {
+      const mapLine = lines.find(line => line.startsWith('X-TIMESTAMP-MAP'));
+      if (mapLine) result.timestampMap = parseTimestampMap(mapLine);
+      return;
+    }
+    if (/^(STYLE|REGION)\b/.test(lines[0])) {
+      result.blocks.push(lines.join('\n'));
+      return;
+    }
+    if (lines[0].startsWith('NOTE')) return;
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex < 0) return;
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const [endText, ...settings] = rest.trim().split(/\s+/);
+    const start = parseVttTimestamp(startText);
+    const end = parseVttTimestamp(endText);
+    if (start === null || end === null) return;
+
+    result.cues.push({
+      id: timingIndex > 0 ? lines[0] : '',
+      start,
+      end,
+      settings: settings.join(' '),
+      text: lines.slice(timingIndex + 1).join('\n').trimEnd()
+    });
+  });
+  return result;
+}
+
+// ---- Stitcher ----
+
+/**
+ * Collects segments in playlist order.
+ * @param {(mpegts: number, discontinuitySequence: number) => number} [toSeconds]
+ *   Maps a 90 kHz X-TIMESTAMP-MAP value onto the output timeline. Without it,
+ *   segments are placed relative to the first segment's MPEGTS value.
+ * @param {number} [origin]  Playlist time of the output's first frame; cues of
+ *   segments without X-TIMESTAMP-MAP are moved back by it (clips)
+ */
+function createVttStitcher(toSeconds = null, origin = 0) {
+  const cues = [];
+  const seen = new Set();
+  let blocks = null;
+  let firstMpegts = null;
+
+  return {
+    get cueCount() {
+      return cues.length;
+    },
+
+    add(text, discontinuitySequence = 0) {
+      const segment = parseVttSegment(text);
+      if (blocks === null) blocks = segment.blocks;
+
+      let shift = -origin;
+      const map = segment.timestampMap;
+      if (map) {
+        if (toSeconds) {
+          shift = toSeconds(map.mpegts, discontinuitySequence) - map.local;
+        } else {
+          if (firstMpegts === null) firstMpegts = map.mpegts;
+          shift = (map.mpegts - firstMpegts) / 90000 - map.local;
+        }
+      }
+
+      for (const cue of segment.cues) {
+        const start = cue.start + shift;
+        const end = cue.end + shift;
+        if (end <= 0) continue;
+        // Cues spanning a segment boundary are repeated in both segments
+        const key = `${Math.round(start * 1000)}|${Math.round(end * 1000)}|${cue.text}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        cues.push({ ...cue, start: Math.max(0, start), end });
+      }
+    },
+
+    toVtt() {
+      const out = ['WEBVTT', ''];
+      for (const block of blocks || []) out.push(block, '');
+      for (const cue of this.sorted()) {
+        if (cue.id) out.push(cue.id);
+        const settings = cue.settings ? ` ${cue.settings}` : '';
+        out.push(`${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}${settings}`, cue.text, '');
+      }
+      return out.join('\n');
+    },
+
+    // SubRip has no styling: voice/class tags are stripped, <b>/<i>/<u> kept
+    toSrt() {
+      return this.sorted().map((cue, i) => {
+        const text = cue.text
+          .replace(/<(?!\/?[biu]>)[^>]+>/g, '')
+          .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ');
+        return `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${text}\n`;
+      }).join('\n');
+    },
+
+    sorted() {
+      return cues.slice().sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+  };
+}